@@ -0,0 +1,245 @@
+// =============================================================================
+// admin-api.js
+// Routes for catalog staff, mounted by server.js at /admin. Every route
+// requires "Authorization: Bearer <token>" with a token from ADMIN_TOKEN
+// (see requireAdminToken() in protection.js).
+//
+//   GET    /admin/searches?days=30&limit=20   search analytics (search-log.js)
+//
+//   Manual corrections (catalog-admin.js) — each one takes effect at once,
+//   survives re-ingests, and is written to the audit log:
+//   PUT    /admin/programs/42/courses/CNIT%20120   program 42 lists CNIT 120
+//   DELETE /admin/programs/42/courses/CNIT%20120   program 42 does not
+//   PATCH  /admin/programs/42/courses/CNIT%2012    { "courseCode": "CNIT 120" }
+//                                                  — fix a misread number
+//   PATCH  /admin/programs/42                      { "active": false }
+//                                                  — retire (true reactivates)
+//
+//   GET    /admin/overrides          every correction currently re-applied
+//   DELETE /admin/overrides/7        stop re-applying one; the scraped data
+//                                    returns at the next ingest
+//   GET    /admin/audit?limit=50&offset=0   who changed what, newest first
+//
+// Errors use the same { "error": "..." } object as the original routes in
+// server.js. Program ids are the ones shown by GET /programs.
+// =============================================================================
+
+import express from 'express';
+
+import { isCourseCode, normalizeCode, parsePage } from './validation.js';
+import { requireAdminToken } from './protection.js';
+import { DEFAULT_REPORT_DAYS, DEFAULT_REPORT_LIMIT } from './search-log.js';
+
+
+// -----------------------------------------------------------------------------
+// FUNCTION: createAdminApi(queries, searchCache, adminToken)
+// PURPOSE:  Builds the /admin router. "queries" is the store from
+//           catalog-store.js, "searchCache" the one from search-cache.js
+//           (cleared after every edit, since an edit changes search results
+//           without a new snapshot) and "adminToken" the ADMIN_TOKEN setting.
+// -----------------------------------------------------------------------------
+
+export function createAdminApi(queries, searchCache, adminToken) {
+  const router = express.Router();
+
+  router.use(requireAdminToken(adminToken));
+  router.use((req, res, next) => {
+    res.set('Cache-Control', 'no-store');
+    // Admin responses change with every edit and are for one person only.
+    next();
+  });
+
+
+  // ---------------------------------------------------------------------------
+  // sendServerError(req, res, err) — logs and answers 500, as in server.js.
+  // ---------------------------------------------------------------------------
+
+  function sendServerError(req, res, err) {
+    req.log.error('Query error', { error: err.message });
+    res.status(500).json({ error: 'Database query failed.' });
+  }
+
+
+  // ---------------------------------------------------------------------------
+  // edit(req, res, edit) — runs one catalog edit and sends the program's
+  // updated state:
+  //   { "program": { "id": 42, "institution": "ccsf", "name": "A.S. Network Security", "active": true },
+  //     "courses": ["CNIT 106", "CNIT 120", ...] }
+  // ---------------------------------------------------------------------------
+
+  async function edit(req, res, change) {
+    try {
+      const result = await queries.editCatalog(change, req.adminUser);
+
+      if (!result) {
+        return res.status(404).json({ error: 'No program with that id.' });
+      }
+
+      searchCache.clear();
+      req.log.info('Catalog edited', { actor: req.adminUser, ...change });
+      res.json(result);
+    } catch (err) {
+      sendServerError(req, res, err);
+    }
+  }
+
+
+  // ---------------------------------------------------------------------------
+  // readProgramId(req, res) / readCourseCode(res, value, name)
+  // Validate path and body values, sending a 400 and returning null when one
+  // is invalid.
+  // ---------------------------------------------------------------------------
+
+  function readProgramId(req, res) {
+    if (!/^\d{1,9}$/.test(req.params.id)) {
+      res.status(400).json({ error: 'Program id must be a number.' });
+      return null;
+    }
+    return Number(req.params.id);
+  }
+
+  function readCourseCode(res, value, name) {
+    if (!isCourseCode(value)) {
+      res.status(400).json({ error: `${name} must be a course code such as CNIT 120.` });
+      return null;
+    }
+    return normalizeCode(value);
+  }
+
+
+  // ---------------------------------------------------------------------------
+  // GET /searches?days=30&limit=20
+  // Response:
+  //   { "since": "2026-09-19T00:00:00.000Z", "totalSearches": 1840, "zeroResultSearches": 97,
+  //     "popular":     [{ "institution": "ccsf", "course_code": "CNIT 120", "searches": 212, "last_searched": "..." }],
+  //     "zeroResults": [{ "institution": "ccsf", "course_code": "CNIT 999", "searches": 14,  "last_searched": "..." }],
+  //     "trend":       [{ "day": "2026-10-18", "searches": 74, "zero_result": 3 }] }
+  // ---------------------------------------------------------------------------
+
+  router.get('/searches', async (req, res) => {
+    const { days = String(DEFAULT_REPORT_DAYS), limit = String(DEFAULT_REPORT_LIMIT) } = req.query;
+
+    if (!/^\d{1,3}$/.test(days) || Number(days) < 1 || Number(days) > 366) {
+      return res.status(400).json({ error: 'days must be a whole number from 1 to 366.' });
+    }
+    if (!/^\d{1,3}$/.test(limit) || Number(limit) < 1 || Number(limit) > 100) {
+      return res.status(400).json({ error: 'limit must be a whole number from 1 to 100.' });
+    }
+
+    try {
+      res.json(await queries.searchReport({ days: Number(days), limit: Number(limit) }));
+    } catch (err) {
+      sendServerError(req, res, err);
+    }
+  });
+
+
+  // ---------------------------------------------------------------------------
+  // PUT / DELETE / PATCH /programs/:id/courses/:code
+  // ---------------------------------------------------------------------------
+
+  router.put('/programs/:id/courses/:code', async (req, res) => {
+    const programId  = readProgramId(req, res);
+    const courseCode = programId !== null && readCourseCode(res, req.params.code, 'Course code');
+    if (!courseCode) return;
+
+    await edit(req, res, { action: 'add_mapping', programId, courseCode });
+  });
+
+  router.delete('/programs/:id/courses/:code', async (req, res) => {
+    const programId  = readProgramId(req, res);
+    const courseCode = programId !== null && readCourseCode(res, req.params.code, 'Course code');
+    if (!courseCode) return;
+
+    await edit(req, res, { action: 'remove_mapping', programId, courseCode });
+  });
+
+  router.patch('/programs/:id/courses/:code', async (req, res) => {
+    const programId     = readProgramId(req, res);
+    const courseCode    = programId !== null && readCourseCode(res, req.params.code, 'Course code');
+    const newCourseCode = courseCode && readCourseCode(res, req.body?.courseCode, 'courseCode');
+    if (!newCourseCode) return;
+
+    if (newCourseCode === courseCode) {
+      return res.status(400).json({ error: 'courseCode is the same as the current code.' });
+    }
+
+    await edit(req, res, { action: 'change_mapping', programId, courseCode, newCourseCode });
+  });
+
+
+  // ---------------------------------------------------------------------------
+  // PATCH /programs/:id   { "active": false }
+  // ---------------------------------------------------------------------------
+
+  router.patch('/programs/:id', async (req, res) => {
+    const programId = readProgramId(req, res);
+    if (programId === null) return;
+
+    if (typeof req.body?.active !== 'boolean') {
+      return res.status(400).json({ error: 'active must be true or false.' });
+    }
+
+    await edit(req, res, {
+      action: req.body.active ? 'reactivate_program' : 'retire_program',
+      programId
+    });
+  });
+
+
+  // ---------------------------------------------------------------------------
+  // GET /overrides, DELETE /overrides/:id
+  // ---------------------------------------------------------------------------
+
+  router.get('/overrides', async (req, res) => {
+    try {
+      res.json({ overrides: await queries.listOverrides() });
+    } catch (err) {
+      sendServerError(req, res, err);
+    }
+  });
+
+  router.delete('/overrides/:id', async (req, res) => {
+    if (!/^\d{1,9}$/.test(req.params.id)) {
+      return res.status(400).json({ error: 'Override id must be a number.' });
+    }
+
+    try {
+      const deleted = await queries.deleteOverride(Number(req.params.id), req.adminUser);
+
+      if (!deleted) {
+        return res.status(404).json({ error: 'No override with that id.' });
+      }
+
+      req.log.info('Override deleted', { actor: req.adminUser, overrideId: deleted.id });
+      res.json({ deleted });
+      // The live catalog keeps the correction until the next ingest, which
+      // loads the scraped data without it; nothing is reverted here, since
+      // only a scrape knows what the catalog says on its own.
+    } catch (err) {
+      sendServerError(req, res, err);
+    }
+  });
+
+
+  // ---------------------------------------------------------------------------
+  // GET /audit?limit=50&offset=0
+  // ---------------------------------------------------------------------------
+
+  router.get('/audit', async (req, res) => {
+    const page = parsePage(req.query);
+    if (!page) {
+      return res.status(400).json({ error: 'limit must be a whole number from 1 to 200, and offset a whole number.' });
+    }
+
+    try {
+      const { entries, total } = await queries.listAudit(page);
+      res.json({ entries, pagination: { ...page, total } });
+    } catch (err) {
+      sendServerError(req, res, err);
+    }
+  });
+
+
+  return router;
+}
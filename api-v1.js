@@ -0,0 +1,421 @@
+// =============================================================================
+// api-v1.js
+// The versioned read API, mounted by server.js at /api/v1.
+//
+// PURPOSE:
+//   The original routes (POST /search, ...) were written for script.js: a
+//   search is a POST with a JSON body, so it cannot be bookmarked, linked to
+//   or cached by a browser or CDN, and every error is a bare string. This
+//   API answers the same questions with plain GET requests:
+//
+//     GET /api/v1/institutions             the colleges with a catalog
+//     GET /api/v1/courses                  the course catalog
+//     GET /api/v1/courses/CNIT%20120       one course
+//     GET /api/v1/search?course=CNIT%20120 programs a course counts toward
+//     GET /api/v1/programs                 every program
+//     GET /api/v1/programs/42              one program in full
+//     GET /api/v1/suggest?q=cnit           typeahead matches
+//     GET /api/v1/changes?since=2026-01-15 the catalog change log
+//     GET /api/v1/openapi.json             the OpenAPI description of all this
+//
+//   Course, search, program-list and suggest routes answer for one college,
+//   chosen with ?institution= (an id from /institutions). Without it they
+//   answer for CCSF, as they did before colleges were added.
+//
+// RESPONSE SHAPES (documented in full in openapi.json):
+//   Success — the payload is always under "data". Lists are paginated with
+//   ?limit= (default 50, at most 200) and ?offset=, and say where they are:
+//     { "data": [...], "pagination": { "limit": 50, "offset": 0, "total": 134 } }
+//
+//   Error — always the same object, whatever went wrong:
+//     { "error": { "status": 400, "code": "invalid_parameter",
+//                  "message": "course must be a course code such as CNIT 120." } }
+//   "code" is stable and meant for programs to check; "message" is for people.
+//
+// VERSIONING:
+//   Fields may be added to v1 responses, but none are removed or renamed. A
+//   breaking change gets a new /api/v2 router alongside this one.
+// =============================================================================
+
+import express from 'express';
+import { readFileSync } from 'node:fs';
+
+import {
+  isCourseCode, normalizeCode, isCalendarDate, parsePage, parseInstitution,
+  DEPARTMENT_REGEX, MAX_PAGE_SIZE
+} from './validation.js';
+
+import { setSearchHeaders } from './search-cache.js';
+
+
+// -----------------------------------------------------------------------------
+// CONSTANTS
+// -----------------------------------------------------------------------------
+
+const CACHE_MAX_AGE = 300;
+// Seconds a browser or CDN may reuse a successful response. The catalog only
+// changes when ingest.js loads a new snapshot — a few times a semester — so
+// five minutes of staleness costs nothing and absorbs repeated lookups.
+
+const MAX_SUGGESTIONS = 10;
+// Same limit as the original GET /suggest.
+
+const OPENAPI_DOCUMENT = JSON.parse(
+  readFileSync(new URL('./openapi.json', import.meta.url), 'utf8')
+);
+// Read once at startup. new URL(..., import.meta.url) finds openapi.json next
+// to this file regardless of the directory the server was started from.
+
+
+// -----------------------------------------------------------------------------
+// FUNCTION: sendData(res, body)
+// PURPOSE:  Sends a successful response with cache headers.
+// -----------------------------------------------------------------------------
+
+function sendData(res, body) {
+  res.set('Cache-Control', `public, max-age=${CACHE_MAX_AGE}`);
+  // "public" lets shared caches (a CDN in front of the server) keep it too;
+  // every response here is the same for every caller.
+  res.json(body);
+}
+
+
+// -----------------------------------------------------------------------------
+// FUNCTION: sendError(res, status, code, message)
+// PURPOSE:  Sends the standard error object. Errors are never cached, so a
+//           fixed database outage is not served from a cache afterwards.
+// -----------------------------------------------------------------------------
+
+function sendError(res, status, code, message) {
+  res.set('Cache-Control', 'no-store');
+  res.status(status).json({ error: { status, code, message } });
+}
+
+
+// -----------------------------------------------------------------------------
+// FUNCTION: sendServerError(req, res, err)
+// PURPOSE:  Logs a failed query and sends a 500 that reveals nothing about
+//           the database (see the error handler, SECTION 15 of server.js).
+//           req.log is the request's logger, set up in logger.js.
+// -----------------------------------------------------------------------------
+
+function sendServerError(req, res, err) {
+  req.log.error('Query error', { error: err.message });
+  sendError(res, 500, 'internal_error', 'The request could not be completed.');
+}
+
+
+// -----------------------------------------------------------------------------
+// FUNCTION: readIncludeInactive(query)
+// PURPOSE:  Reads ?includeInactive=true|false. Returns true, false, or null
+//           if the value is anything else. Missing means false.
+// -----------------------------------------------------------------------------
+
+function readIncludeInactive(query) {
+  const { includeInactive = 'false' } = query;
+  if (includeInactive === 'true')  return true;
+  if (includeInactive === 'false') return false;
+  return null;
+}
+
+
+// -----------------------------------------------------------------------------
+// FUNCTION: paginated(data, total, page)
+// PURPOSE:  Wraps one page of a list in the standard envelope.
+// -----------------------------------------------------------------------------
+
+function paginated(data, total, page) {
+  return { data, pagination: { limit: page.limit, offset: page.offset, total } };
+}
+
+
+// -----------------------------------------------------------------------------
+// FUNCTION: createApiV1(queries, searchCache, recordSearch, isKnownInstitution)
+// PURPOSE:  Builds the /api/v1 router. "queries" is the object returned by
+//           createCatalogQueries() in catalog-queries.js; "searchCache" the
+//           one from createSearchCache() in search-cache.js, shared with
+//           POST /search; "recordSearch(req, institution, courseCode,
+//           resultCount)" adds a search to the analytics log and
+//           "isKnownInstitution(id)" says whether a college has a catalog
+//           (both in server.js).
+// -----------------------------------------------------------------------------
+
+export function createApiV1(queries, searchCache, recordSearch, isKnownInstitution) {
+  const router = express.Router();
+
+  const PAGE_ERROR = `limit must be a whole number from 1 to ${MAX_PAGE_SIZE}, and offset a whole number.`;
+  const INACTIVE_ERROR = 'includeInactive must be true or false.';
+  const INSTITUTION_ERROR = 'institution must be the id of a college listed by /institutions, such as ccsf.';
+
+
+  // ---------------------------------------------------------------------------
+  // GET /institutions
+  // Not paginated: one entry per college, a handful at most.
+  // ---------------------------------------------------------------------------
+
+  router.get('/institutions', async (req, res) => {
+    try {
+      sendData(res, { data: await queries.listInstitutions() });
+    } catch (err) {
+      sendServerError(req, res, err);
+    }
+  });
+
+
+  // ---------------------------------------------------------------------------
+  // GET /courses?department=CNIT
+  // ---------------------------------------------------------------------------
+
+  router.get('/courses', async (req, res) => {
+    const { department } = req.query;
+    const institution = parseInstitution(req.query.institution);
+    const page = parsePage(req.query);
+
+    if (department !== undefined && !DEPARTMENT_REGEX.test(department)) {
+      return sendError(res, 400, 'invalid_parameter', 'department must be 2-4 letters, such as CNIT.');
+    }
+    if (!institution) {
+      return sendError(res, 400, 'invalid_parameter', INSTITUTION_ERROR);
+    }
+    if (!page) {
+      return sendError(res, 400, 'invalid_parameter', PAGE_ERROR);
+    }
+
+    try {
+      if (!await isKnownInstitution(institution)) {
+        return sendError(res, 400, 'invalid_parameter', INSTITUTION_ERROR);
+      }
+
+      const { courses, total } = await queries.listCourses({ department, institution }, page);
+      sendData(res, paginated(courses, total, page));
+    } catch (err) {
+      sendServerError(req, res, err);
+    }
+  });
+
+
+  // ---------------------------------------------------------------------------
+  // GET /courses/:code
+  // The space in a course code is sent URL-encoded (/courses/CNIT%20120);
+  // Express decodes req.params, so code arrives as 'CNIT 120'.
+  // ---------------------------------------------------------------------------
+
+  router.get('/courses/:code', async (req, res) => {
+    if (!isCourseCode(req.params.code)) {
+      return sendError(res, 400, 'invalid_parameter', 'Course code must look like CNIT 120 or PSYC C1000.');
+    }
+
+    const institution = parseInstitution(req.query.institution);
+    if (!institution) {
+      return sendError(res, 400, 'invalid_parameter', INSTITUTION_ERROR);
+    }
+
+    try {
+      if (!await isKnownInstitution(institution)) {
+        return sendError(res, 400, 'invalid_parameter', INSTITUTION_ERROR);
+      }
+
+      const course = await queries.getCourse(normalizeCode(req.params.code), { institution });
+
+      if (!course) {
+        return sendError(res, 404, 'not_found', 'No course with that code is in the catalog.');
+      }
+
+      sendData(res, { data: course });
+    } catch (err) {
+      sendServerError(req, res, err);
+    }
+  });
+
+
+  // ---------------------------------------------------------------------------
+  // GET /search?course=CNIT%20120&includeInactive=false&institution=ccsf
+  // The GET equivalent of POST /search. A course that counts toward nothing
+  // is an empty list (200), not a 404: the search itself succeeded.
+  // Answers come from the search cache and carry ETag / Last-Modified, so a
+  // browser or CDN revalidating a stored copy gets 304 Not Modified.
+  // ---------------------------------------------------------------------------
+
+  router.get('/search', async (req, res) => {
+    const { course } = req.query;
+    const includeInactive = readIncludeInactive(req.query);
+    const institution = parseInstitution(req.query.institution);
+    const page = parsePage(req.query);
+
+    if (!isCourseCode(course)) {
+      return sendError(res, 400, 'invalid_parameter', 'course must be a course code such as CNIT 120.');
+    }
+    if (includeInactive === null) {
+      return sendError(res, 400, 'invalid_parameter', INACTIVE_ERROR);
+    }
+    if (!institution) {
+      return sendError(res, 400, 'invalid_parameter', INSTITUTION_ERROR);
+    }
+    if (!page) {
+      return sendError(res, 400, 'invalid_parameter', PAGE_ERROR);
+    }
+
+    try {
+      if (!await isKnownInstitution(institution)) {
+        return sendError(res, 400, 'invalid_parameter', INSTITUTION_ERROR);
+      }
+
+      const answer = await searchCache.search(normalizeCode(course), { includeInactive, institution });
+      const { results, equivalencies } = answer;
+
+      setSearchHeaders(res, answer, `${page.limit}-${page.offset}`);
+      if (page.offset === 0) recordSearch(req, institution, normalizeCode(course), results.length);
+      // Only the first page counts as a search; paging through the results
+      // of one search would otherwise count it several times.
+      sendData(res, {
+        ...paginated(results.slice(page.offset, page.offset + page.limit), results.length, page),
+        equivalencies
+      });
+      // Paged in JavaScript rather than SQL because searchCourse() removes
+      // duplicate rows (a program listing both an old and a new number)
+      // after the query; a course counts toward a few dozen programs at most.
+    } catch (err) {
+      sendServerError(req, res, err);
+    }
+  });
+
+
+  // ---------------------------------------------------------------------------
+  // GET /programs?department=...&awardType=...&includeInactive=false&institution=ccsf
+  // ---------------------------------------------------------------------------
+
+  router.get('/programs', async (req, res) => {
+    const { department, awardType } = req.query;
+    const includeInactive = readIncludeInactive(req.query);
+    const institution = parseInstitution(req.query.institution);
+    const page = parsePage(req.query);
+
+    for (const [name, value] of Object.entries({ department, awardType })) {
+      if (value !== undefined && (typeof value !== 'string' || value.length > 100)) {
+        return sendError(res, 400, 'invalid_parameter', `${name} must be a single value of at most 100 characters.`);
+      }
+    }
+    if (includeInactive === null) {
+      return sendError(res, 400, 'invalid_parameter', INACTIVE_ERROR);
+    }
+    if (!institution) {
+      return sendError(res, 400, 'invalid_parameter', INSTITUTION_ERROR);
+    }
+    if (!page) {
+      return sendError(res, 400, 'invalid_parameter', PAGE_ERROR);
+    }
+
+    try {
+      if (!await isKnownInstitution(institution)) {
+        return sendError(res, 400, 'invalid_parameter', INSTITUTION_ERROR);
+      }
+
+      const { programs, total } =
+        await queries.listPrograms({ department, awardType, includeInactive, institution }, page);
+      sendData(res, paginated(programs, total, page));
+    } catch (err) {
+      sendServerError(req, res, err);
+    }
+  });
+
+
+  // ---------------------------------------------------------------------------
+  // GET /programs/:id
+  // ---------------------------------------------------------------------------
+
+  router.get('/programs/:id', async (req, res) => {
+    const { id } = req.params;
+
+    if (!/^\d{1,9}$/.test(id)) {
+      return sendError(res, 400, 'invalid_parameter', 'Program id must be a number.');
+    }
+
+    try {
+      const program = await queries.getProgram(Number(id));
+
+      if (!program) {
+        return sendError(res, 404, 'not_found', 'No program with that id.');
+      }
+
+      sendData(res, { data: program });
+    } catch (err) {
+      sendServerError(req, res, err);
+    }
+  });
+
+
+  // ---------------------------------------------------------------------------
+  // GET /suggest?q=cnit&institution=ccsf
+  // Not paginated: it is a short typeahead list, never more than
+  // MAX_SUGGESTIONS entries.
+  // ---------------------------------------------------------------------------
+
+  router.get('/suggest', async (req, res) => {
+    const q = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+
+    if (q.length < 2 || q.length > 50) {
+      return sendError(res, 400, 'invalid_parameter', 'q must be between 2 and 50 characters.');
+    }
+
+    const institution = parseInstitution(req.query.institution);
+    if (!institution) {
+      return sendError(res, 400, 'invalid_parameter', INSTITUTION_ERROR);
+    }
+
+    try {
+      if (!await isKnownInstitution(institution)) {
+        return sendError(res, 400, 'invalid_parameter', INSTITUTION_ERROR);
+      }
+
+      const { suggestions, didYouMean } = await queries.suggestCourses(q, MAX_SUGGESTIONS, { institution });
+      sendData(res, { data: suggestions, didYouMean });
+    } catch (err) {
+      sendServerError(req, res, err);
+    }
+  });
+
+
+  // ---------------------------------------------------------------------------
+  // GET /changes?since=2026-01-15
+  // ---------------------------------------------------------------------------
+
+  router.get('/changes', async (req, res) => {
+    const { since } = req.query;
+    const page = parsePage(req.query);
+
+    if (!isCalendarDate(since)) {
+      return sendError(res, 400, 'invalid_parameter', 'since must be a date in the format YYYY-MM-DD.');
+    }
+    if (!page) {
+      return sendError(res, 400, 'invalid_parameter', PAGE_ERROR);
+    }
+
+    try {
+      const { changes, total } = await queries.listChanges(since, page);
+      sendData(res, paginated(changes, total, page));
+    } catch (err) {
+      sendServerError(req, res, err);
+    }
+  });
+
+
+  // ---------------------------------------------------------------------------
+  // GET /openapi.json
+  // ---------------------------------------------------------------------------
+
+  router.get('/openapi.json', (req, res) => {
+    sendData(res, OPENAPI_DOCUMENT);
+  });
+
+
+  // ---------------------------------------------------------------------------
+  // Anything else under /api/v1 — answered here with the standard error
+  // object rather than Express's default HTML "Cannot GET" page.
+  // ---------------------------------------------------------------------------
+
+  router.use((req, res) => {
+    sendError(res, 404, 'not_found', `No endpoint at ${req.method} ${req.baseUrl}${req.path}.`);
+  });
+
+  return router;
+}
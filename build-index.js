@@ -0,0 +1,153 @@
+// =============================================================================
+// build-index.js
+// Builds search-index.json: every course → program answer precomputed into
+// one static file that ships with the GitHub Pages site.
+//
+// PURPOSE:
+//   Every search normally goes to server.js, which runs on a separate host
+//   that may be asleep (free hosting tiers stop idle servers) or down. With
+//   this index next to index.html, script.js can answer searches in the
+//   browser instead — as a fallback when the API cannot be reached, or for
+//   every search when SEARCH_MODE is 'static' (see script.js).
+//
+//   The answers are computed by the same code the server uses
+//   (createJsonQueries() in json-store.js), so a search answered from the
+//   index matches what POST /search would have returned.
+//
+// USAGE:
+//   node build-index.js                                  — data/catalog.json → search-index.json
+//   node build-index.js path/to/catalog.json --out path/to/search-index.json
+//
+//   The input is a JSON catalog written by "node ingest.js ... --json".
+//   Only built-in Node.js modules are used, so this runs in the Pages
+//   workflow without installing anything.
+//
+// INDEX FORMAT (kept compact; the file is downloaded by every visitor who
+// needs it):
+//   {
+//     "generated_at": "2026-10-18T12:00:00.000Z",
+//     "institutions": [{ "id": "ccsf", "name": "City College of San Francisco" }],
+//     "programs": [{ institution, degree_name, certificate_name, award_type,
+//                    department, program_url, catalog_year, active }],
+//     "courses":  { "ccsf": { "CNIT 120": [[programIndex, matchedCode, requirements], ...] } },
+//     "equivalencies": { "ccsf": { "PSYC 1": [{ course_code, equivalent_code, relation }] } },
+//     "titles":   { "ccsf": { "CNIT 120": "Network Security" } }
+//   }
+//   Courses, equivalencies and titles are kept per college, by college id,
+//   since the same code means a different course at each. Each program is
+//   stored once and referred to by its position in "programs". matchedCode
+//   is 0 when it is the searched code itself.
+// =============================================================================
+
+import { writeFile } from 'node:fs/promises';
+import { pathToFileURL } from 'node:url';
+
+import { readJsonCatalog, createJsonQueries, DEFAULT_DATA_FILE } from './json-store.js';
+
+
+// -----------------------------------------------------------------------------
+// CONSTANTS
+// -----------------------------------------------------------------------------
+
+const DEFAULT_INDEX_FILE = 'search-index.json';
+// Next to index.html, so script.js can fetch it with a relative URL.
+
+
+// -----------------------------------------------------------------------------
+// FUNCTION: buildSearchIndex(queries)
+// PURPOSE:  Runs a search for every course code each college's catalog
+//           knows — its own codes and every equivalent number — and packs
+//           the answers into the index format above. Retired programs are
+//           included (flagged active: false); script.js leaves them out
+//           unless "Include retired programs" is ticked, as the server does.
+// -----------------------------------------------------------------------------
+
+export async function buildSearchIndex(queries) {
+  const institutions = await queries.listInstitutions();
+
+  const programs = [];
+  const programIndex = new Map();
+  const index = { courses: {}, equivalencies: {}, titles: {} };
+
+  for (const { id: institution } of institutions) {
+    const { courses } = await queries.listCourses({ institution });
+    // No page argument: the JSON store then returns every course.
+
+    const codes = new Set(courses.map(c => c.course_code));
+    for (const course of courses) {
+      for (const eq of await queries.findEquivalents(course.course_code, institution)) {
+        codes.add(eq.course_code);
+        codes.add(eq.equivalent_code);
+      }
+    }
+    // An old number such as 'PSYC 1' may no longer be listed by any program,
+    // but students still search for it, so it gets an entry of its own.
+
+    index.courses[institution] = {};
+    index.equivalencies[institution] = {};
+    index.titles[institution] = {};
+
+    for (const code of [...codes].sort()) {
+      const { results, equivalencies } =
+        await queries.searchCourse(code, { includeInactive: true, institution });
+
+      index.courses[institution][code] = results.map(({ matched_code, requirements, ...program }) => {
+        const key = `${institution}|${program.degree_name ?? program.certificate_name}`;
+        // Two colleges may have programs with the same name.
+        if (!programIndex.has(key)) {
+          programIndex.set(key, programs.length);
+          programs.push(program);
+        }
+        return [programIndex.get(key), matched_code === code ? 0 : matched_code, requirements];
+      });
+
+      if (equivalencies.length > 0) {
+        index.equivalencies[institution][code] = equivalencies;
+      }
+    }
+
+    for (const course of courses) {
+      if (course.title) index.titles[institution][course.course_code] = course.title;
+    }
+    // Titles let the typeahead work from the index too.
+  }
+
+  return { generated_at: new Date().toISOString(), institutions, programs, ...index };
+}
+
+
+// -----------------------------------------------------------------------------
+// COMMAND-LINE ENTRY POINT
+// -----------------------------------------------------------------------------
+
+async function main(argv) {
+  const out = argv.includes('--out') ? argv[argv.indexOf('--out') + 1] : DEFAULT_INDEX_FILE;
+  const input = argv.find((arg, i) => !arg.startsWith('--') && argv[i - 1] !== '--out')
+    ?? DEFAULT_DATA_FILE;
+
+  const catalog = await readJsonCatalog(input);
+  if (catalog.programs.length === 0) {
+    throw new Error(`No programs in ${input}. Build it first with: node ingest.js fixtures/ccsf --json ${input}`);
+    // readJsonCatalog() treats a missing file as an empty catalog; an empty
+    // index would make every offline search come back with nothing.
+  }
+
+  const index = await buildSearchIndex(createJsonQueries(catalog));
+
+  await writeFile(out, JSON.stringify(index));
+  // No indentation: the file is for script.js, not for people, and every
+  // byte is downloaded by the browser.
+
+  const codeCount = Object.values(index.courses).reduce((sum, codes) => sum + Object.keys(codes).length, 0);
+  console.log(
+    `Wrote ${out}: ${codeCount} course code(s), ${index.programs.length} program(s) ` +
+    `at ${index.institutions.length} college(s) from ${input}.`
+  );
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  main(process.argv.slice(2)).catch(err => {
+    console.error('Index build failed:', err.message);
+    process.exitCode = 1;
+  });
+}
@@ -0,0 +1,411 @@
+// =============================================================================
+// catalog-admin.js
+// Manual corrections to the catalog, made through the /admin API
+// (see admin-api.js).
+//
+// PURPOSE:
+//   The catalog is scraped, and scrapers make mistakes: a course number
+//   misread from the page, a course missing from a program, a program that
+//   was discontinued but is still online. Fixing one used to mean writing
+//   SQL by hand against production — and the next ingest would undo it.
+//
+//   Every correction here does three things, together:
+//     1. changes the live catalog, so /search reflects it immediately;
+//     2. saves an OVERRIDE, which ingest.js re-applies to every new scrape
+//        (see applyOverrides() in catalog-diff.js), so it survives
+//        re-ingests until someone deletes it;
+//     3. appends an AUDIT entry: who made the change, when, and what it was.
+//
+// EDITS (the "edit" argument of editCatalog()):
+//   { action: 'add_mapping',        programId, courseCode }
+//   { action: 'remove_mapping',     programId, courseCode }
+//   { action: 'change_mapping',     programId, courseCode, newCourseCode }
+//       — a misread number: removes courseCode, adds newCourseCode
+//   { action: 'retire_program',     programId }
+//   { action: 'reactivate_program', programId }
+//
+//   Two stores, matching catalog-store.js: createPostgresAdmin(pool) uses
+//   the catalog_overrides and admin_audit_log tables (see schema.sql);
+//   createJsonAdmin(file) keeps both in the JSON catalog file.
+//
+//   Program ids are unique across colleges, so an edit names no college:
+//   it applies to the program's own college, and its override and audit
+//   entry are recorded under that college.
+// =============================================================================
+
+import { programName } from './catalog-diff.js';
+import { readJsonCatalog, writeJsonCatalog } from './json-store.js';
+
+
+// -----------------------------------------------------------------------------
+// FUNCTION: planEdit(edit)
+// PURPOSE:  Translates an edit into what both stores need to do:
+//             mappings — [{ action: 'add_mapping' | 'remove_mapping', course_code }]
+//             program  — 'retire' | 'reactivate' | null
+//             audit    — { action, course_code, details } for the audit log
+// -----------------------------------------------------------------------------
+
+function planEdit({ action, courseCode = null, newCourseCode = null }) {
+  switch (action) {
+    case 'add_mapping':
+      return { mappings: [{ action, course_code: courseCode }], program: null,
+               audit: { action: 'mapping_added', course_code: courseCode, details: null } };
+    case 'remove_mapping':
+      return { mappings: [{ action, course_code: courseCode }], program: null,
+               audit: { action: 'mapping_removed', course_code: courseCode, details: null } };
+    case 'change_mapping':
+      return {
+        mappings: [
+          { action: 'remove_mapping', course_code: courseCode },
+          { action: 'add_mapping',    course_code: newCourseCode }
+        ],
+        program: null,
+        audit: { action: 'mapping_changed', course_code: courseCode, details: { new_course_code: newCourseCode } }
+      };
+    case 'retire_program':
+      return { mappings: [], program: 'retire',
+               audit: { action: 'program_retired', course_code: null, details: null } };
+    case 'reactivate_program':
+      return { mappings: [], program: 'reactivate',
+               audit: { action: 'program_reactivated', course_code: null, details: null } };
+    default:
+      throw new Error(`Unknown catalog edit "${action}".`);
+      // admin-api.js only builds the actions above; this is a programming error.
+  }
+}
+
+
+// -----------------------------------------------------------------------------
+// FUNCTION: createPostgresAdmin(pool)
+// PURPOSE:  Returns { editCatalog, listOverrides, deleteOverride, listAudit }
+//           for the Postgres store.
+//
+//   editCatalog(edit, actor) → { program: { id, institution, name, active }, courses }
+//                              or null if there is no program with that id
+//   listOverrides()          → every override, by program and course
+//   deleteOverride(id, actor) → the deleted override, or null
+//   listAudit({ limit, offset }) → { entries, total }, newest first
+// -----------------------------------------------------------------------------
+
+export function createPostgresAdmin(pool) {
+
+  async function editCatalog(edit, actor) {
+    const plan = planEdit(edit);
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      await client.query('LOCK TABLE course_qualifications IN ROW EXCLUSIVE MODE');
+      // Conflicts with the EXCLUSIVE lock loadSnapshot() in ingest.js takes,
+      // so an edit and an ingest never run at the same time: the ingest
+      // either sees this edit's override or runs entirely before it.
+
+      const found = await client.query(
+        'SELECT id, institution, name, active, award_type FROM programs WHERE id = $1 FOR UPDATE',
+        [edit.programId]
+      );
+      const program = found.rows[0];
+      if (!program) {
+        await client.query('ROLLBACK');
+        return null;
+      }
+
+      for (const mapping of plan.mappings) {
+        if (mapping.action === 'add_mapping') {
+          const kind = await client.query(
+            `SELECT degree_name IS NOT NULL AS is_degree
+             FROM course_qualifications
+             WHERE institution = $2 AND COALESCE(degree_name, certificate_name) = $1
+             LIMIT 1`,
+            [program.name, program.institution]
+          );
+          const isDegree = kind.rows[0]?.is_degree ?? !/certificate/i.test(program.award_type ?? '');
+          // Whether the name goes in degree_name or certificate_name: the
+          // same column as the program's other rows, or, for a program with
+          // no rows left, whatever its award type suggests.
+
+          await client.query(
+            `INSERT INTO course_qualifications (institution, course_code, degree_name, certificate_name)
+             VALUES ($1, $2, $3, $4)
+             ON CONFLICT (institution, course_code, COALESCE(degree_name, ''), COALESCE(certificate_name, ''))
+             DO NOTHING`,
+            [program.institution, mapping.course_code, isDegree ? program.name : null, isDegree ? null : program.name]
+          );
+        } else {
+          await client.query(
+            `DELETE FROM course_qualifications
+             WHERE institution = $3 AND course_code = $1 AND COALESCE(degree_name, certificate_name) = $2`,
+            [mapping.course_code, program.name, program.institution]
+          );
+          await client.query(
+            `DELETE FROM requirement_courses rc
+             USING requirement_groups g
+             WHERE rc.group_id = g.id AND g.institution = $3 AND g.program_name = $2 AND rc.course_code = $1`,
+            [mapping.course_code, program.name, program.institution]
+          );
+          // Out of its requirement groups too, so POST /progress stops
+          // counting it toward the program.
+        }
+
+        await upsertOverride(client, program.institution, mapping.action, program.name, mapping.course_code, actor);
+      }
+
+      if (plan.program === 'retire') {
+        await client.query(
+          'UPDATE programs SET active = false, retired_at = now() WHERE id = $1',
+          [program.id]
+        );
+        await upsertOverride(client, program.institution, 'retire_program', program.name, null, actor);
+      } else if (plan.program === 'reactivate') {
+        await client.query(
+          'UPDATE programs SET active = true, retired_at = NULL WHERE id = $1',
+          [program.id]
+        );
+        await client.query(
+          `DELETE FROM catalog_overrides
+           WHERE institution = $2 AND program_name = $1 AND action = 'retire_program'`,
+          [program.name, program.institution]
+        );
+        // No override is needed to keep a program active: the next ingest
+        // decides from the catalog itself, as for any other program.
+      }
+
+      await client.query(
+        `INSERT INTO admin_audit_log (institution, actor, action, program_name, course_code, details)
+         VALUES ($1, $2, $3, $4, $5, $6)`,
+        [program.institution, actor, plan.audit.action, program.name, plan.audit.course_code, plan.audit.details]
+      );
+
+      const courses = await client.query(
+        `SELECT course_code FROM course_qualifications
+         WHERE institution = $2 AND COALESCE(degree_name, certificate_name) = $1
+         ORDER BY course_code`,
+        [program.name, program.institution]
+      );
+      const active = await client.query('SELECT active FROM programs WHERE id = $1', [program.id]);
+
+      await client.query('COMMIT');
+      return {
+        program: { id: program.id, institution: program.institution, name: program.name, active: active.rows[0].active },
+        courses: courses.rows.map(row => row.course_code)
+      };
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
+  }
+
+
+  async function listOverrides() {
+    const result = await pool.query(
+      `SELECT id, institution, action, program_name, course_code, created_at, created_by
+       FROM catalog_overrides
+       ORDER BY institution, program_name, course_code NULLS FIRST`
+    );
+    return result.rows;
+  }
+
+
+  async function deleteOverride(id, actor) {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const deleted = await client.query(
+        `DELETE FROM catalog_overrides WHERE id = $1
+         RETURNING id, institution, action, program_name, course_code, created_at, created_by`,
+        [id]
+      );
+      const override = deleted.rows[0] ?? null;
+
+      if (override) {
+        await client.query(
+          `INSERT INTO admin_audit_log (institution, actor, action, program_name, course_code, details)
+           VALUES ($1, $2, 'override_deleted', $3, $4, $5)`,
+          [override.institution, actor, override.program_name, override.course_code, { action: override.action }]
+        );
+      }
+
+      await client.query('COMMIT');
+      return override;
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
+  }
+
+
+  async function listAudit({ limit, offset }) {
+    const [entries, count] = await Promise.all([
+      pool.query(
+        `SELECT id, changed_at, actor, action, institution, program_name, course_code, details
+         FROM admin_audit_log
+         ORDER BY id DESC
+         LIMIT $1 OFFSET $2`,
+        [limit, offset]
+      ),
+      pool.query('SELECT count(*) AS total FROM admin_audit_log')
+    ]);
+    return { entries: entries.rows, total: Number(count.rows[0].total) };
+  }
+
+
+  return { editCatalog, listOverrides, deleteOverride, listAudit };
+}
+
+
+// -----------------------------------------------------------------------------
+// FUNCTION: upsertOverride(client, institution, action, programName, courseCode, actor)
+// PURPOSE:  Saves an override, replacing any earlier one for the same
+//           college, program and course (the unique index in schema.sql) — removing a
+//           mapping that was added by hand turns its add_mapping override
+//           into a remove_mapping one.
+// -----------------------------------------------------------------------------
+
+async function upsertOverride(client, institution, action, program_name, course_code, actor) {
+  await client.query(
+    `INSERT INTO catalog_overrides (institution, action, program_name, course_code, created_by)
+     VALUES ($1, $2, $3, $4, $5)
+     ON CONFLICT (institution, program_name, COALESCE(course_code, '')) DO UPDATE
+       SET action     = EXCLUDED.action,
+           created_at = now(),
+           created_by = EXCLUDED.created_by`,
+    [institution, action, program_name, course_code, actor]
+  );
+}
+
+
+// -----------------------------------------------------------------------------
+// FUNCTION: createJsonAdmin(file)
+// PURPOSE:  The same methods over a JSON catalog file (see json-store.js).
+//
+//   Each method reads the file, changes it and writes it back with
+//   writeJsonCatalog(). Edits within this server run one at a time (the
+//   "queue" below), so two edits cannot each overwrite the other's. An
+//   ingest running in another process at the same moment could still
+//   overwrite an edit; the JSON store is meant for development and demos.
+// -----------------------------------------------------------------------------
+
+export function createJsonAdmin(file) {
+  let queue = Promise.resolve();
+
+  function exclusive(task) {
+    const run = queue.then(task);
+    queue = run.catch(() => {});
+    // The next task waits for this one whether it succeeded or not.
+    return run;
+  }
+
+
+  function editCatalog(edit, actor) {
+    return exclusive(async () => {
+      const plan = planEdit(edit);
+      const catalog = await readJsonCatalog(file);
+      const program = catalog.programs.find(p => p.id === edit.programId);
+      if (!program) return null;
+
+      const name = programName(program);
+      const { institution } = program;
+      const now  = new Date().toISOString();
+
+      for (const mapping of plan.mappings) {
+        if (mapping.action === 'add_mapping') {
+          if (!program.courses.includes(mapping.course_code)) program.courses.push(mapping.course_code);
+        } else {
+          program.courses = program.courses.filter(code => code !== mapping.course_code);
+          program.groups = program.groups.map(group => ({
+            ...group,
+            courses: group.courses.filter(course => course.course_code !== mapping.course_code)
+          }));
+        }
+        upsertJsonOverride(catalog, institution, mapping.action, name, mapping.course_code, actor, now);
+      }
+
+      if (plan.program === 'retire') {
+        program.active = false;
+        program.retired_at = now;
+        upsertJsonOverride(catalog, institution, 'retire_program', name, null, actor, now);
+      } else if (plan.program === 'reactivate') {
+        program.active = true;
+        program.retired_at = null;
+        catalog.overrides = catalog.overrides
+          .filter(o => !(o.institution === institution && o.program_name === name && o.action === 'retire_program'));
+      }
+
+      appendJsonAudit(catalog, institution, actor, plan.audit.action, name, plan.audit.course_code, plan.audit.details, now);
+      await writeJsonCatalog(file, catalog);
+
+      return {
+        program: { id: program.id, institution, name, active: program.active },
+        courses: [...program.courses].sort()
+      };
+    });
+  }
+
+
+  async function listOverrides() {
+    const { overrides } = await readJsonCatalog(file);
+    return [...overrides].sort((a, b) =>
+      a.institution.localeCompare(b.institution) ||
+      a.program_name.localeCompare(b.program_name) ||
+      (a.course_code ?? '').localeCompare(b.course_code ?? '')
+    );
+  }
+
+
+  function deleteOverride(id, actor) {
+    return exclusive(async () => {
+      const catalog = await readJsonCatalog(file);
+      const override = catalog.overrides.find(o => o.id === id);
+      if (!override) return null;
+
+      catalog.overrides = catalog.overrides.filter(o => o.id !== id);
+      appendJsonAudit(catalog, override.institution, actor, 'override_deleted', override.program_name, override.course_code,
+        { action: override.action }, new Date().toISOString());
+      await writeJsonCatalog(file, catalog);
+      return override;
+    });
+  }
+
+
+  async function listAudit({ limit, offset }) {
+    const { audit } = await readJsonCatalog(file);
+    const newestFirst = [...audit].reverse();
+    return { entries: newestFirst.slice(offset, offset + limit), total: audit.length };
+  }
+
+
+  return { editCatalog, listOverrides, deleteOverride, listAudit };
+}
+
+
+// -----------------------------------------------------------------------------
+// HELPERS (JSON store)
+// -----------------------------------------------------------------------------
+
+// The JSON counterpart of upsertOverride(): one override per college,
+// program and course.
+function upsertJsonOverride(catalog, institution, action, program_name, course_code, actor, now) {
+  const existing = catalog.overrides.find(o =>
+    o.institution === institution && o.program_name === program_name && o.course_code === course_code);
+
+  if (existing) {
+    Object.assign(existing, { action, created_at: now, created_by: actor });
+  } else {
+    catalog.overrides.push({
+      id: Math.max(0, ...catalog.overrides.map(o => o.id)) + 1,
+      institution, action, program_name, course_code, created_at: now, created_by: actor
+    });
+  }
+}
+
+function appendJsonAudit(catalog, institution, actor, action, program_name, course_code, details, now) {
+  catalog.audit.push({
+    id: (catalog.audit.at(-1)?.id ?? 0) + 1,
+    // The log is only ever appended to, so the last entry has the highest id.
+    changed_at: now, actor, action, institution, program_name, course_code, details
+  });
+}
@@ -0,0 +1,234 @@
+// =============================================================================
+// catalog-diff.js
+// Compares two snapshots of the course_qualifications table.
+//
+// PURPOSE:
+//   Each time ingest.js runs it produces a complete new set of rows. Before
+//   those rows replace the current table contents, this module works out
+//   what actually changed so the difference can be saved to catalog_changes
+//   instead of being silently overwritten.
+//
+// CHANGE TYPES PRODUCED:
+//   program_added    — a program appears that was not in the previous snapshot
+//   program_retired  — a program is gone and no new program replaces it
+//   program_renamed  — a program is gone, but a new program of the same award
+//                      kind lists mostly the same courses (see RENAME_SIMILARITY)
+//   course_added     — a program that exists in both snapshots gained a course
+//   course_removed   — a program that exists in both snapshots lost a course
+// =============================================================================
+
+
+// -----------------------------------------------------------------------------
+// CONSTANTS
+// -----------------------------------------------------------------------------
+
+export const RENAME_SIMILARITY = 0.6;
+// Minimum Jaccard similarity (shared courses ÷ all courses of both programs)
+// for a disappeared program and a new program to be treated as one program
+// that was renamed. 0.6 tolerates a course or two being swapped during the
+// rename without pairing two unrelated programs that happen to share a class.
+
+
+// -----------------------------------------------------------------------------
+// FUNCTION: programName(row)
+// PURPOSE:  A row belongs to exactly one program — either a degree or a
+//           certificate. This returns whichever name is set.
+// -----------------------------------------------------------------------------
+
+export function programName(row) {
+  return row.degree_name ?? row.certificate_name;
+}
+
+
+// -----------------------------------------------------------------------------
+// FUNCTION: toRows(programs)
+// PURPOSE:  Flattens parsed programs (see buildProgram() in catalog-parser.js)
+//           into course_qualifications rows — one row per (course_code,
+//           program) pair. Both stores diff snapshots in this row form.
+// -----------------------------------------------------------------------------
+
+export function toRows(programs) {
+  return programs.flatMap(program =>
+    program.courses.map(course_code => ({
+      course_code,
+      degree_name:      program.degree_name,
+      certificate_name: program.certificate_name
+    }))
+  );
+}
+
+
+// -----------------------------------------------------------------------------
+// FUNCTION: groupByProgram(rows)
+// PURPOSE:  Converts flat table rows into Map<programName, { kind, courses }>
+//           where courses is a Set of course codes.
+// -----------------------------------------------------------------------------
+
+export function groupByProgram(rows) {
+  const programs = new Map();
+  for (const row of rows) {
+    const name = programName(row);
+    if (!programs.has(name)) {
+      programs.set(name, {
+        kind:    row.degree_name ? 'degree' : 'certificate',
+        courses: new Set()
+      });
+    }
+    programs.get(name).courses.add(row.course_code);
+  }
+  return programs;
+}
+
+
+// -----------------------------------------------------------------------------
+// FUNCTION: similarity(a, b)
+// PURPOSE:  Jaccard similarity of two Sets of course codes, from 0 to 1.
+// -----------------------------------------------------------------------------
+
+function similarity(a, b) {
+  let shared = 0;
+  for (const code of a) {
+    if (b.has(code)) shared++;
+  }
+  const total = a.size + b.size - shared;
+  return total === 0 ? 0 : shared / total;
+}
+
+
+// -----------------------------------------------------------------------------
+// FUNCTION: courseChanges(programName, before, after)
+// PURPOSE:  Lists the courses added to and removed from one program.
+// -----------------------------------------------------------------------------
+
+function courseChanges(program_name, before, after) {
+  const changes = [];
+  for (const course_code of [...after].sort()) {
+    if (!before.has(course_code)) {
+      changes.push({ change_type: 'course_added', program_name, previous_name: null, course_code });
+    }
+  }
+  for (const course_code of [...before].sort()) {
+    if (!after.has(course_code)) {
+      changes.push({ change_type: 'course_removed', program_name, previous_name: null, course_code });
+    }
+  }
+  return changes;
+}
+
+
+// -----------------------------------------------------------------------------
+// FUNCTION: diffSnapshots(previousRows, nextRows)
+// PURPOSE:  Returns an array of change objects:
+//             { change_type, program_name, previous_name, course_code }
+//           previous_name is only set for program_renamed; course_code is
+//           only set for course_added / course_removed.
+// -----------------------------------------------------------------------------
+
+export function diffSnapshots(previousRows, nextRows) {
+  const before  = groupByProgram(previousRows);
+  const after   = groupByProgram(nextRows);
+  const changes = [];
+
+  const removed = [...before.keys()].filter(name => !after.has(name)).sort();
+  const added   = new Set([...after.keys()].filter(name => !before.has(name)));
+
+  // ---------------------------------------------------------------------------
+  // RENAMES AND RETIREMENTS
+  // Each disappeared program is paired with the most similar newly appeared
+  // program of the same kind. Once paired, the new program is taken out of
+  // the pool so two old programs can never both claim it.
+  // ---------------------------------------------------------------------------
+
+  for (const oldName of removed) {
+    const old = before.get(oldName);
+    let bestName  = null;
+    let bestScore = 0;
+
+    for (const newName of added) {
+      const candidate = after.get(newName);
+      if (candidate.kind !== old.kind) continue;
+      const score = similarity(old.courses, candidate.courses);
+      if (score > bestScore) {
+        bestName  = newName;
+        bestScore = score;
+      }
+    }
+
+    if (bestName && bestScore >= RENAME_SIMILARITY) {
+      added.delete(bestName);
+      changes.push({ change_type: 'program_renamed', program_name: bestName, previous_name: oldName, course_code: null });
+      changes.push(...courseChanges(bestName, old.courses, after.get(bestName).courses));
+    } else {
+      changes.push({ change_type: 'program_retired', program_name: oldName, previous_name: null, course_code: null });
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // NEW PROGRAMS
+  // Whatever is left in "added" had no predecessor.
+  // ---------------------------------------------------------------------------
+
+  for (const newName of [...added].sort()) {
+    changes.push({ change_type: 'program_added', program_name: newName, previous_name: null, course_code: null });
+  }
+
+  // ---------------------------------------------------------------------------
+  // COURSE CHANGES IN PROGRAMS PRESENT IN BOTH SNAPSHOTS
+  // ---------------------------------------------------------------------------
+
+  for (const name of [...before.keys()].sort()) {
+    if (after.has(name)) {
+      changes.push(...courseChanges(name, before.get(name).courses, after.get(name).courses));
+    }
+  }
+
+  return changes;
+}
+
+
+// -----------------------------------------------------------------------------
+// FUNCTION: applyOverrides(programs, overrides)
+// PURPOSE:  Applies manual corrections made through the admin API (see
+//           catalog-admin.js) to freshly parsed programs, before they are
+//           diffed and loaded. This is what makes a correction survive the
+//           next ingest: the scraper's mistake is corrected again every time
+//           it is scraped, and the change log does not report the
+//           correction as a catalog change on every run.
+//
+//   Each override is { action, program_name, course_code }:
+//     add_mapping    — the program lists course_code
+//     remove_mapping — the program does not list course_code (also taken out
+//                      of its requirement groups, so /progress ignores it)
+//     retire_program — the program is left out, so it stays inactive
+//
+//   Overrides for a program the scrape did not find are ignored; the parsed
+//   programs passed in are not modified.
+// -----------------------------------------------------------------------------
+
+export function applyOverrides(programs, overrides) {
+  const byProgram = new Map();
+  for (const override of overrides) {
+    if (!byProgram.has(override.program_name)) byProgram.set(override.program_name, []);
+    byProgram.get(override.program_name).push(override);
+  }
+
+  return programs
+    .filter(program => !(byProgram.get(programName(program)) ?? [])
+      .some(override => override.action === 'retire_program'))
+    .map(program => {
+      const own = byProgram.get(programName(program));
+      if (!own) return program;
+
+      const added   = own.filter(o => o.action === 'add_mapping').map(o => o.course_code);
+      const removed = new Set(own.filter(o => o.action === 'remove_mapping').map(o => o.course_code));
+
+      return {
+        ...program,
+        courses: [...new Set([...program.courses, ...added])].filter(code => !removed.has(code)),
+        groups: program.groups.map(group => ({
+          ...group,
+          courses: group.courses.filter(course => !removed.has(course.course_code))
+        }))
+      };
+    });
+}
@@ -0,0 +1,276 @@
+// =============================================================================
+// catalog-parser.js
+// The parts of reading a catalog program page that are the same for every
+// college, shared by the parser plugins in parsers/.
+//
+// PURPOSE:
+//   Each college lays out its program pages differently (which element holds
+//   the title, where the requirements start), so each has its own parser in
+//   parsers/<college>.js. What those pages contain is the same everywhere:
+//   California course codes, the same award types, requirement groups with
+//   headings such as "Choose two of the following". The code that reads
+//   those lives here, so a new parser only has to find them on the page:
+//
+//     parsers/ccsf.js:  $('.program-requirements')  →  extractRequirementGroups()
+//                       $('h1'), $('.award-type')    →  buildProgram()
+//
+//   Every function takes a cheerio document ($) and an element or selector
+//   to look in, so it works on any page layout.
+// =============================================================================
+
+
+// -----------------------------------------------------------------------------
+// CONSTANTS
+// -----------------------------------------------------------------------------
+
+export const COURSE_CODE_REGEX = /^([A-Z]{2,4})\s+(C\d{4}|\d{1,4}[A-Z]?)\b/;
+// Same two number formats that useRegex() in script.js accepts:
+//   CCN format         — PSYC C1000, STAT C1000
+//   Traditional format — CNIT 120, CS 110A, BIOL 11A
+//
+// Differences from the script.js pattern, and why:
+//   - Uppercase only. Catalog pages always print department codes in
+//     capitals, so this avoids matching ordinary words like "Fall 2025".
+//   - \s+ instead of \s. HTML often has a non-breaking space or a line
+//     break between department and number.
+//   - "^" without "$". The code is matched at the START of a table cell or
+//     list item; the course title that follows it is ignored.
+
+export const AWARD_TYPES = [
+  // The award names California community colleges use (Title 5), so they
+  // are the same on every college's pages.
+  // Checked top to bottom; the first pattern that matches the page's award
+  // label wins. The "for Transfer" entries must come before the plain
+  // Associate entries because "Associate in Arts for Transfer Degree" also
+  // contains the words "Associate in Arts".
+  { pattern: /associate in arts for transfer/i,   kind: 'degree',      prefix: 'A.A.-T' },
+  { pattern: /associate in science for transfer/i, kind: 'degree',     prefix: 'A.S.-T' },
+  { pattern: /associate in arts/i,                kind: 'degree',      prefix: 'A.A.' },
+  { pattern: /associate in science/i,             kind: 'degree',      prefix: 'A.S.' },
+  { pattern: /certificate of achievement/i,       kind: 'certificate', suffix: 'Certificate of Achievement' },
+  { pattern: /certificate of accomplishment/i,    kind: 'certificate', suffix: 'Certificate of Accomplishment' },
+  { pattern: /certificate/i,                      kind: 'certificate', suffix: 'Certificate' }
+];
+
+
+// -----------------------------------------------------------------------------
+// FUNCTION: normalizeCourseCode(code)
+// PURPOSE:  Produces the canonical "DEPT NUM" form stored in the database.
+//           server.js uppercases and trims the user's input before querying,
+//           so stored codes must use the same form or they will never match.
+// -----------------------------------------------------------------------------
+
+export function normalizeCourseCode(code) {
+  return code.replace(/\s+/g, ' ').trim().toUpperCase();
+  // "cnit  120" → "CNIT 120"
+}
+
+
+// -----------------------------------------------------------------------------
+// FUNCTION: extractCourses($, scope)
+// PURPOSE:  Returns every distinct course listed in the requirement tables
+//           and lists inside "scope", as
+//             [{ course_code, title, units, equivalents }].
+//           units is null when the page does not state it; equivalents is
+//           described in courseEquivalents() below.
+// -----------------------------------------------------------------------------
+
+export function extractCourses($, scope) {
+  const courses = new Map();
+  // Keyed by course code, so a course listed twice in the same group
+  // yields one entry.
+
+  $(scope).find('td, li').each((_, el) => {
+    const text  = $(el).text().replace(/\s+/g, ' ').trim();
+    const match = COURSE_CODE_REGEX.exec(text);
+    if (!match) return;
+
+    const course_code = normalizeCourseCode(`${match[1]} ${match[2]}`);
+    if (!courses.has(course_code)) {
+      const entryText = el.tagName === 'td'
+        ? $(el).closest('tr').text().replace(/\s+/g, ' ')
+        : text;
+      // In a table the "(formerly ...)" note sits in the title cell, not the
+      // course-code cell, so the whole row is read.
+
+      courses.set(course_code, {
+        course_code,
+        title:       courseTitle($, el, text, match[0]),
+        units:       courseUnits($, el, text),
+        equivalents: courseEquivalents(entryText)
+      });
+    }
+  });
+  // Only <td> and <li> elements are scanned. Descriptive paragraphs such as
+  // "... per AB 1111" are skipped so they are not mistaken for courses.
+
+  return [...courses.values()];
+}
+
+
+// -----------------------------------------------------------------------------
+// FUNCTION: courseUnits($, el, text)
+// PURPOSE:  Finds the unit value for the course in element "el".
+//             Table layout — the last cell of the row:  <td>3</td>
+//             List layout  — in parentheses:            "(3 units)"
+// -----------------------------------------------------------------------------
+
+function courseUnits($, el, text) {
+  if (el.tagName === 'td') {
+    const lastCell = $(el).closest('tr').find('td').last().text().trim();
+    return /^\d+(\.\d+)?$/.test(lastCell) ? Number(lastCell) : null;
+  }
+  const match = /\((\d+(?:\.\d+)?)\s*units?\)/i.exec(text);
+  return match ? Number(match[1]) : null;
+}
+
+
+// -----------------------------------------------------------------------------
+// FUNCTION: courseTitle($, el, text, codeText)
+// PURPOSE:  Finds the course title for the course in element "el".
+//             Table layout — the cell after the course code:  <td>Network Security</td>
+//             List layout  — the text after the code:          "CNIT 120 Network Security (3 units)"
+//           Parenthetical notes such as "(3 units)" or "(formerly PSYC 1)"
+//           are removed. Returns null if no title is printed.
+// -----------------------------------------------------------------------------
+
+function courseTitle($, el, text, codeText) {
+  const raw = el.tagName === 'td'
+    ? $(el).next('td').text()
+    : text.slice(codeText.length);
+  const title = raw.replace(/\([^)]*\)/g, '').replace(/\s+/g, ' ').trim();
+  return title || null;
+}
+
+
+// -----------------------------------------------------------------------------
+// FUNCTION: courseEquivalents(text)
+// PURPOSE:  Reads the notes catalogs print next to a course that has another
+//           number:
+//             "PSYC C1000 Introduction to Psychology (formerly PSYC 1)"
+//               → [{ code: 'PSYC 1', relation: 'ccn' }]
+//             "CNIT 129S Securing Web Applications (same as CS 129S)"
+//               → [{ code: 'CS 129S', relation: 'cross_listed' }]
+//
+//   'ccn'          — the old number this course had before AB 1111 Common
+//                    Course Numbering replaced it.
+//   'cross_listed' — the same course offered under another department.
+// -----------------------------------------------------------------------------
+
+const EQUIVALENT_NOTES = [
+  { pattern: /\bformerly\s+([A-Z]{2,4})\s+(\d{1,4}[A-Z]?)\b/g,                                  relation: 'ccn' },
+  { pattern: /\b(?:same as|cross-listed with)\s+([A-Z]{2,4})\s+(C\d{4}|\d{1,4}[A-Z]?)\b/gi, relation: 'cross_listed' }
+];
+
+export function courseEquivalents(text) {
+  const equivalents = [];
+  for (const { pattern, relation } of EQUIVALENT_NOTES) {
+    for (const match of text.matchAll(pattern)) {
+      equivalents.push({ code: normalizeCourseCode(`${match[1]} ${match[2]}`), relation });
+    }
+  }
+  return equivalents;
+}
+
+
+// -----------------------------------------------------------------------------
+// FUNCTION: parseRequirementRule(heading)
+// PURPOSE:  Reads a requirement group's heading and returns how the group is
+//           satisfied (rule) and what kind of slot it is (category):
+//             "Required Courses"                   → rule 'all',    category 'core'
+//             "Choose two of the following:"       → rule 'choose', category 'choose', min_courses 2
+//             "Complete at least 6 units from ..." → rule 'units',  category 'elective', min_units 6
+//
+//   rule drives the progress arithmetic in progress.js. category is what a
+//   student sees in /search: whether a course is a core requirement, one of
+//   a restricted set of choices, or an open elective. A "choose" group whose
+//   heading calls itself an elective ("Electives: choose two ...") is
+//   categorized as an elective.
+// -----------------------------------------------------------------------------
+
+const NUMBER_WORDS = { one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10 };
+
+export function parseRequirementRule(heading) {
+  const units = /(\d+(?:\.\d+)?)\s*units?/i.exec(heading);
+  if (units) {
+    return { rule: 'units', category: 'elective', min_courses: null, min_units: Number(units[1]) };
+  }
+
+  const choose = /(?:choose|select|complete)\s+(\d+|one|two|three|four|five|six|seven|eight|nine|ten)\b/i.exec(heading);
+  if (choose) {
+    const n = NUMBER_WORDS[choose[1].toLowerCase()] ?? Number(choose[1]);
+    const category = /elective/i.test(heading) ? 'elective' : 'choose';
+    return { rule: 'choose', category, min_courses: n, min_units: null };
+  }
+
+  return { rule: 'all', category: 'core', min_courses: null, min_units: null };
+  // Anything else ("Required Courses", "Core", or no heading at all) means
+  // every listed course is required.
+}
+
+
+// -----------------------------------------------------------------------------
+// FUNCTION: extractRequirementGroups($, scope)
+// PURPOSE:  Splits the requirements section into its groups:
+//             [{ label, rule, category, min_courses, min_units, courses: [...] }]
+//           "groupSelector" matches the element wrapping each group and
+//           "headingSelector" its heading inside it; the defaults are CCSF's
+//           markup. Pages without group wrappers are treated as a single
+//           group in which every course is required.
+// -----------------------------------------------------------------------------
+
+export function extractRequirementGroups($, scope, { groupSelector = '.requirement-group', headingSelector = 'h3, h4' } = {}) {
+  const wrappers = $(scope).find(groupSelector);
+
+  if (wrappers.length === 0) {
+    return [{ label: 'Required Courses', ...parseRequirementRule(''), courses: extractCourses($, scope) }];
+  }
+
+  return wrappers.toArray().map(el => {
+    const label = $(el).find(headingSelector).first().text().replace(/\s+/g, ' ').trim();
+    return { label, ...parseRequirementRule(label), courses: extractCourses($, el) };
+  });
+}
+
+
+
+// -----------------------------------------------------------------------------
+// FUNCTION: buildProgram({ title, awardLabel, department, program_url,
+//                          catalog_year, groups })
+// PURPOSE:  Assembles the program object every parser returns from the
+//           pieces it found on the page:
+//             { degree_name, certificate_name, award_type, department,
+//               program_url, catalog_year, groups: [...], courses: [...],
+//               equivalencies: [...] }
+//           groups holds the requirement groups; courses is every distinct
+//           course code across all groups; equivalencies lists the old and
+//           cross-listed numbers noted next to those courses.
+//           Exactly one of degree_name / certificate_name is set, matching
+//           the shape of the rows script.js already renders. Throws if the
+//           award label is not one of AWARD_TYPES.
+// -----------------------------------------------------------------------------
+
+export function buildProgram({ title, awardLabel, department = null, program_url = null, catalog_year = null, groups }) {
+  const award = AWARD_TYPES.find(a => a.pattern.test(awardLabel));
+  if (!award) {
+    throw new Error(`Unrecognized award type for "${title}": "${awardLabel}"`);
+  }
+
+  return {
+    degree_name:      award.kind === 'degree'      ? `${award.prefix} ${title}` : null,
+    certificate_name: award.kind === 'certificate' ? `${title} ${award.suffix}` : null,
+    award_type:       awardLabel,
+    department,
+    program_url,
+    catalog_year,
+    groups,
+    courses:          [...new Set(groups.flatMap(g => g.courses.map(c => c.course_code)))],
+    equivalencies:    groups.flatMap(g => g.courses.flatMap(c =>
+      c.equivalents.map(e => e.relation === 'ccn'
+        ? { course_code: e.code, equivalent_code: c.course_code, relation: e.relation }
+        : { course_code: c.course_code, equivalent_code: e.code, relation: e.relation })
+    ))
+    // Stored the way course_equivalencies reads: for 'ccn', course_code is
+    // the legacy number and equivalent_code its CCN replacement.
+  };
+}
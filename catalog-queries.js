@@ -0,0 +1,502 @@
+// =============================================================================
+// catalog-queries.js
+// Every database query the backend runs, in one place.
+//
+// PURPOSE:
+//   server.js answers the same questions through two sets of routes: the
+//   original ones used by script.js (POST /search, GET /programs, ...) and
+//   the versioned read API under /api/v1 (see api-v1.js). Both call the
+//   functions below, so the SQL is written once and the two sets of routes
+//   differ only in how they read requests and shape responses.
+//
+// USAGE:
+//   const queries = createCatalogQueries(pool);
+//   const { results, equivalencies } = await queries.searchCourse('CNIT 120');
+//
+//   Every function expects course codes that have already been validated and
+//   normalized (trimmed, upper-case). Database errors are not caught here;
+//   the route that called the function decides what to send back.
+//
+//   Each college's catalog is separate — the same code (CS 110) is a
+//   different course at two colleges — so every course and program query
+//   takes an "institution" (a college id such as 'ccsf') and only looks at
+//   that college's rows. Without one it uses DEFAULT_INSTITUTION.
+//
+//   json-store.js provides the same methods over a JSON file, for running
+//   without a database; catalog-store.js picks one of the two.
+// =============================================================================
+
+import { programsFromRows, rankPrograms } from './progress.js';
+// Requirement-group logic behind checkProgress() (see progress.js).
+
+import { closestCodes } from './suggest.js';
+// Typo-tolerant "did you mean" matching behind suggestCourses() (see suggest.js).
+
+import { DEFAULT_INSTITUTION } from './validation.js';
+
+
+// -----------------------------------------------------------------------------
+// FUNCTION: createCatalogQueries(pool)
+// PURPOSE:  Returns an object with one method per query, all using the given
+//           node-postgres Pool. A factory rather than module-level functions
+//           so the pool is created once, in catalog-store.js, and passed in.
+// -----------------------------------------------------------------------------
+
+export function createCatalogQueries(pool) {
+
+  // ---------------------------------------------------------------------------
+  // ping()
+  // Resolves if the database answers; rejects with the connection error if
+  // not. Used by server.js to check DATABASE_URL at startup.
+  // ---------------------------------------------------------------------------
+
+  async function ping() {
+    await pool.query('SELECT 1');
+  }
+
+
+  // ---------------------------------------------------------------------------
+  // catalogVersion()
+  // The most recent snapshot loaded by ingest.js, as { snapshot_id, taken_at },
+  // or null before the first ingest. search-cache.js compares it between
+  // calls to notice that the catalog has changed.
+  // ---------------------------------------------------------------------------
+
+  async function catalogVersion() {
+    const result = await pool.query(
+      `SELECT id AS snapshot_id, taken_at
+       FROM catalog_snapshots
+       ORDER BY id DESC
+       LIMIT 1`
+    );
+    return result.rows[0] ?? null;
+  }
+
+
+  // ---------------------------------------------------------------------------
+  // listInstitutions()
+  // Every college with a catalog, as [{ id, name }] sorted by name. Rows are
+  // added by ingest.js from each college's parser plugin.
+  // ---------------------------------------------------------------------------
+
+  async function listInstitutions() {
+    const result = await pool.query('SELECT id, name FROM institutions ORDER BY name');
+    return result.rows;
+  }
+
+
+  // ---------------------------------------------------------------------------
+  // findEquivalents(courseCode, institution)
+  // Looks a course code up in one college's course_equivalencies and returns
+  // every mapping that involves it, in either direction:
+  //   'PSYC 1'     → [{ course_code: 'PSYC 1', equivalent_code: 'PSYC C1000', relation: 'ccn' }]
+  //   'PSYC C1000' → the same row
+  // Searching either the legacy number or its CCN replacement (or either
+  // side of a cross-listing) therefore finds the other.
+  // ---------------------------------------------------------------------------
+
+  async function findEquivalents(courseCode, institution = DEFAULT_INSTITUTION) {
+    const result = await pool.query(
+      `SELECT course_code, equivalent_code, relation
+       FROM course_equivalencies
+       WHERE institution = $2 AND (course_code = $1 OR equivalent_code = $1)
+       ORDER BY relation, course_code, equivalent_code`,
+      [courseCode, institution]
+    );
+    return result.rows;
+  }
+
+
+  // ---------------------------------------------------------------------------
+  // searchCourse(courseCode, { includeInactive, institution })
+  // Every program at the college that the course — or any of its equivalent
+  // numbers — counts toward. Returns { results, equivalencies }; results is
+  // empty when nothing matched.
+  // ---------------------------------------------------------------------------
+
+  async function searchCourse(courseCode, { includeInactive = false, institution = DEFAULT_INSTITUTION } = {}) {
+    const equivalencies = await findEquivalents(courseCode, institution);
+    const codes = [...new Set([
+      courseCode,
+      ...equivalencies.flatMap(eq => [eq.course_code, eq.equivalent_code])
+    ])];
+    // The searched code plus every equivalent number, e.g.
+    //   'PSYC 1' → ['PSYC 1', 'PSYC C1000']
+    // Programs listing ANY of these codes are returned (the union).
+
+    const result = await pool.query(
+      `SELECT cq.institution, cq.degree_name, cq.certificate_name, cq.course_code AS matched_code,
+              p.award_type, p.department, p.program_url,
+              COALESCE(p.active, true) AS active, p.catalog_year,
+              (SELECT json_agg(json_build_object(
+                        'label',       g.label,
+                        'category',    g.category,
+                        'rule',        g.rule,
+                        'min_courses', g.min_courses,
+                        'min_units',   g.min_units,
+                        'units',       rc.units,
+                        'options',     (SELECT count(*) FROM requirement_courses o
+                                        WHERE o.group_id = g.id)
+                      ) ORDER BY g.position)
+               FROM requirement_groups g
+               JOIN requirement_courses rc ON rc.group_id = g.id
+               WHERE g.institution = p.institution
+                 AND g.program_name = p.name
+                 AND rc.course_code = cq.course_code) AS requirements
+       FROM course_qualifications cq
+       LEFT JOIN programs p
+         ON p.institution = cq.institution
+        AND p.name = COALESCE(cq.degree_name, cq.certificate_name)
+       WHERE cq.institution = $4
+         AND cq.course_code = ANY($1)
+         AND ($2 OR p.active IS NOT FALSE)
+       ORDER BY COALESCE(p.active, true) DESC, cq.degree_name,
+                cq.certificate_name, cq.course_code <> $3`,
+      // The program's official catalog URL, award type, department and
+      // active status live once per program in the programs table, not on
+      // every course row. LEFT JOIN keeps a course row even if its program
+      // has no details saved yet; those columns are then null, and the
+      // program is treated as active.
+      //
+      // "$2 OR p.active IS NOT FALSE" — when includeInactive is true every
+      // row passes; otherwise only rows of programs not marked inactive.
+      // ORDER BY active DESC lists retired programs after the current ones.
+      //
+      // "requirements" — which slot the searched course fills in this
+      // program: the requirement group(s) that list it, as a JSON array such
+      // as [{ "label": "Choose one of the following:", "category": "choose",
+      // "rule": "choose", "min_courses": 1, "units": 3, "options": 2 }].
+      // "options" is how many courses the group lets the student pick from.
+      // It is an array because a course can appear in more than one group of
+      // the same program; it is null if no groups were stored for it.
+      //
+      // matched_code — which of the equivalent codes this program lists.
+      // "cq.course_code <> $3" sorts the exact code first within a program,
+      // so when a program lists both numbers the exact match is kept below.
+      //
+      // $1 is a parameterized placeholder. The value is sent separately from
+      // the SQL string, so PostgreSQL treats it as pure data — never as SQL.
+      // This prevents SQL injection regardless of what the user typed.
+      //
+      // Programs are joined on the college as well as the name: two
+      // colleges can both offer an "A.S. Computer Science".
+
+      [codes, includeInactive, courseCode, institution]
+    );
+
+    const seen = new Set();
+    const results = result.rows.filter(row => {
+      const program = row.degree_name ?? row.certificate_name;
+      if (seen.has(program)) return false;
+      seen.add(program);
+      return true;
+    });
+    // A program that lists both the old and the new number appears once per
+    // number in result.rows. Only its first row — the exact match, thanks to
+    // the ORDER BY — is kept.
+
+    return { results, equivalencies };
+  }
+
+
+  // ---------------------------------------------------------------------------
+  // checkProgress(courseCodes, { includeInactive, institution })
+  // Every program at the college that the completed courses count toward,
+  // ranked by percent complete. Returns { results, unmatched }.
+  // ---------------------------------------------------------------------------
+
+  async function checkProgress(courseCodes, { includeInactive = false, institution = DEFAULT_INSTITUTION } = {}) {
+    const result = await pool.query(
+      `SELECT p.institution, p.name, p.award_type, p.department, p.program_url,
+              p.catalog_year, p.active,
+              g.id AS group_id, g.label, g.rule, g.min_courses, g.min_units,
+              rc.course_code, rc.units
+       FROM programs p
+       JOIN requirement_groups g   ON g.institution = p.institution AND g.program_name = p.name
+       JOIN requirement_courses rc ON rc.group_id = g.id
+       WHERE p.institution = $3
+         AND p.name IN (
+               SELECT g2.program_name
+               FROM requirement_groups g2
+               JOIN requirement_courses rc2 ON rc2.group_id = g2.id
+               WHERE g2.institution = $3
+                 AND rc2.course_code = ANY($1)
+             )
+         AND ($2 OR p.active)
+       ORDER BY p.name, g.position, rc.course_code`,
+      // The subquery finds every program that ANY completed course counts
+      // toward. The outer query then loads ALL of those programs' groups and
+      // courses — including the ones not yet taken — because the remaining
+      // courses are exactly what the student needs to see.
+      //
+      // ANY($1) — node-postgres sends the JavaScript array as a PostgreSQL
+      // array parameter, still fully parameterized.
+      [courseCodes, includeInactive, institution]
+    );
+
+    const results = rankPrograms(programsFromRows(result.rows), courseCodes);
+
+    const counted = new Set(results.flatMap(r => r.groups.flatMap(g => g.completed)));
+    const unmatched = courseCodes.filter(code => !counted.has(code));
+    // Courses that did not count toward any returned program — typically
+    // general education courses, or typos that still passed the regex.
+
+    return { results, unmatched };
+  }
+
+
+  // ---------------------------------------------------------------------------
+  // suggestCourses(query, limit, { institution })
+  // Typeahead matches for a partly typed course code or title. Returns
+  // { suggestions, didYouMean }: code-prefix and title matches first; only
+  // when there are none, the closest codes to a likely typo (didYouMean
+  // then lists those codes).
+  // ---------------------------------------------------------------------------
+
+  async function suggestCourses(query, limit, { institution = DEFAULT_INSTITUTION } = {}) {
+    const escaped = query.replace(/[\\%_]/g, char => `\\${char}`);
+    // % and _ are wildcards in LIKE patterns. Escaping them makes a typed "%"
+    // match a literal percent sign instead of every course in the catalog.
+
+    const result = await pool.query(
+      `SELECT course_code, title,
+              CASE WHEN course_code ILIKE $1 || '%' THEN 'code' ELSE 'title' END AS match
+       FROM courses
+       WHERE institution = $3
+         AND (course_code ILIKE $1 || '%' OR title ILIKE '%' || $1 || '%')
+       ORDER BY match, course_code
+       LIMIT $2`,
+      // ILIKE is PostgreSQL's case-insensitive LIKE, so "cnit 1" finds
+      // "CNIT 120". ORDER BY match puts code matches ('code' < 'title')
+      // before title matches.
+      [escaped, limit, institution]
+    );
+
+    if (result.rows.length > 0) {
+      return { suggestions: result.rows, didYouMean: [] };
+    }
+
+    const all = await pool.query('SELECT course_code, title FROM courses WHERE institution = $1', [institution]);
+    const titles = new Map(all.rows.map(row => [row.course_code, row.title]));
+    const suggestions = closestCodes(query, [...titles.keys()], limit)
+      .map(course_code => ({ course_code, title: titles.get(course_code), match: 'fuzzy' }));
+    // Typo matching needs every code to compare against. The catalog is a
+    // few thousand short strings, and this path only runs when the cheap
+    // SQL matches above found nothing.
+
+    return { suggestions, didYouMean: suggestions.map(s => s.course_code) };
+  }
+
+
+  // ---------------------------------------------------------------------------
+  // listPrograms({ department, awardType, includeInactive, institution }, page)
+  // Every program of the college matching the filters, each with the codes of all the
+  // courses that count toward it. "page" is optional: { limit, offset }.
+  // Without it every program is returned. Returns { programs, total }, where
+  // total is the number of matching programs before paging.
+  // ---------------------------------------------------------------------------
+
+  async function listPrograms({ department, awardType, includeInactive = false, institution = DEFAULT_INSTITUTION } = {}, page) {
+    const filters = `
+       WHERE p.institution = $4
+         AND ($1::text IS NULL OR lower(p.department) = lower($1))
+         AND ($2::text IS NULL OR lower(p.award_type) = lower($2))
+         AND ($3 OR p.active)`;
+    // "$1::text IS NULL OR ..." — a filter that was not supplied is sent as
+    // null and matches everything. lower() on both sides makes the filters
+    // case-insensitive.
+    const params = [department ?? null, awardType ?? null, includeInactive, institution];
+
+    const result = await pool.query(
+      `SELECT p.id, p.institution, p.name, p.award_type, p.department, p.program_url,
+              p.catalog_year, p.active,
+              COALESCE(
+                (SELECT array_agg(cq.course_code ORDER BY cq.course_code)
+                 FROM course_qualifications cq
+                 WHERE cq.institution = p.institution
+                   AND COALESCE(cq.degree_name, cq.certificate_name) = p.name),
+                '{}'
+              ) AS courses
+       FROM programs p
+       ${filters}
+       ORDER BY p.department, p.name
+       LIMIT $5 OFFSET $6`,
+      // COALESCE(..., '{}') — a program with no course rows gets an empty
+      // array rather than null.
+      // LIMIT NULL means no limit, so the unpaged call returns every row.
+      [...params, page?.limit ?? null, page?.offset ?? 0]
+    );
+
+    if (!page) {
+      return { programs: result.rows, total: result.rows.length };
+    }
+
+    const count = await pool.query(`SELECT count(*) AS total FROM programs p ${filters}`, params);
+    return { programs: result.rows, total: Number(count.rows[0].total) };
+    // Number() — count(*) is a BIGINT, which node-postgres returns as a string.
+  }
+
+
+  // ---------------------------------------------------------------------------
+  // getProgram(id)
+  // One program in full: its requirement groups, and every course with its
+  // title and units. Returns null if there is no program with that id.
+  // Program ids are unique across colleges, so no institution is needed.
+  // ---------------------------------------------------------------------------
+
+  async function getProgram(id) {
+    const programResult = await pool.query(
+      `SELECT id, institution, name, award_type, department, program_url, catalog_year, active
+       FROM programs
+       WHERE id = $1`,
+      [id]
+    );
+
+    if (programResult.rows.length === 0) {
+      return null;
+    }
+    const program = programResult.rows[0];
+
+    const coursesResult = await pool.query(
+      `SELECT cq.course_code, c.title, c.units::float8 AS units
+       FROM course_qualifications cq
+       LEFT JOIN courses c ON c.institution = cq.institution AND c.course_code = cq.course_code
+       WHERE cq.institution = $2
+         AND COALESCE(cq.degree_name, cq.certificate_name) = $1
+       ORDER BY cq.course_code`,
+      [program.name, program.institution]
+    );
+    // ::float8 — node-postgres returns NUMERIC columns as strings ("3") to
+    // avoid losing precision. Unit values are small decimals, so they are
+    // cast here and sent as JSON numbers, as the JSON store sends them.
+
+    const groupsResult = await pool.query(
+      `SELECT g.id AS group_id, g.label, g.rule, g.category,
+              g.min_courses, g.min_units::float8 AS min_units, rc.course_code
+       FROM requirement_groups g
+       JOIN requirement_courses rc ON rc.group_id = g.id
+       WHERE g.institution = $2 AND g.program_name = $1
+       ORDER BY g.position, rc.course_code`,
+      [program.name, program.institution]
+    );
+
+    const groups = new Map();
+    for (const row of groupsResult.rows) {
+      if (!groups.has(row.group_id)) {
+        const { group_id, course_code, ...group } = row;
+        groups.set(group_id, { ...group, courses: [] });
+      }
+      groups.get(row.group_id).courses.push(row.course_code);
+    }
+    // Folds one row per (group, course) into one object per group, in
+    // catalog order: { label, rule, category, ..., courses: ['CNIT 120', ...] }
+
+    return {
+      ...program,
+      courses: coursesResult.rows,
+      groups:  [...groups.values()]
+    };
+  }
+
+
+  // ---------------------------------------------------------------------------
+  // listCourses({ department, institution }, page)
+  // One college's course catalog, optionally limited to one department (the
+  // letters before the number, e.g. 'CNIT'). Returns { courses, total }.
+  // ---------------------------------------------------------------------------
+
+  async function listCourses({ department, institution = DEFAULT_INSTITUTION } = {}, { limit, offset }) {
+    const params = [department ?? null, institution];
+    const filter = `WHERE institution = $2 AND ($1::text IS NULL OR course_code LIKE upper($1) || ' %')`;
+    // 'CNIT' || ' %' matches 'CNIT 120' but not 'CNITX 1'. Department codes
+    // are letters only (see COURSE_REGEX), so they contain no LIKE wildcards.
+
+    const result = await pool.query(
+      `SELECT course_code, title, units::float8 AS units
+       FROM courses
+       ${filter}
+       ORDER BY course_code
+       LIMIT $3 OFFSET $4`,
+      [...params, limit, offset]
+    );
+    // ::float8 — units as a number; see getProgram().
+    const count = await pool.query(`SELECT count(*) AS total FROM courses ${filter}`, params);
+
+    return { courses: result.rows, total: Number(count.rows[0].total) };
+  }
+
+
+  // ---------------------------------------------------------------------------
+  // getCourse(courseCode, { institution })
+  // One course's catalog entry with its equivalent numbers. Returns null if
+  // the course is not in the college's catalog.
+  // ---------------------------------------------------------------------------
+
+  async function getCourse(courseCode, { institution = DEFAULT_INSTITUTION } = {}) {
+    const result = await pool.query(
+      `SELECT course_code, title, units::float8 AS units
+       FROM courses
+       WHERE institution = $2 AND course_code = $1`,
+      [courseCode, institution]
+    );
+    // ::float8 — units as a number; see getProgram().
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    return { ...result.rows[0], equivalencies: await findEquivalents(courseCode, institution) };
+  }
+
+
+  // ---------------------------------------------------------------------------
+  // listChanges(since, page)
+  // The catalog change log written by ingest.js for every snapshot taken on
+  // or after the given date, for every college; each change says which
+  // college's snapshot it came from. "page" is optional, as for
+  // listPrograms(). Returns { changes, total }.
+  // ---------------------------------------------------------------------------
+
+  async function listChanges(since, page) {
+    const result = await pool.query(
+      `SELECT s.id AS snapshot_id, s.taken_at, s.institution,
+              c.change_type, c.program_name, c.previous_name, c.course_code
+       FROM catalog_changes c
+       JOIN catalog_snapshots s ON s.id = c.snapshot_id
+       WHERE s.taken_at >= $1::date
+       ORDER BY s.taken_at, c.id
+       LIMIT $2 OFFSET $3`,
+      [since, page?.limit ?? null, page?.offset ?? 0]
+    );
+
+    if (!page) {
+      return { changes: result.rows, total: result.rows.length };
+    }
+
+    const count = await pool.query(
+      `SELECT count(*) AS total
+       FROM catalog_changes c
+       JOIN catalog_snapshots s ON s.id = c.snapshot_id
+       WHERE s.taken_at >= $1::date`,
+      [since]
+    );
+    return { changes: result.rows, total: Number(count.rows[0].total) };
+  }
+
+
+  return {
+    backend: 'postgres',
+    ping,
+    catalogVersion,
+    listInstitutions,
+    findEquivalents,
+    searchCourse,
+    checkProgress,
+    suggestCourses,
+    listPrograms,
+    getProgram,
+    listCourses,
+    getCourse,
+    listChanges
+  };
+}
@@ -0,0 +1,113 @@
+// =============================================================================
+// catalog-store.js
+// Chooses where the backend reads the catalog from.
+//
+// PURPOSE:
+//   Two stores answer the same queries (see catalog-queries.js):
+//
+//     postgres — the course_qualifications tables in TimescaleDB / PostgreSQL
+//                (catalog-queries.js). Used in production.
+//     json     — one JSON file (json-store.js). Needs no database or
+//                credentials, for local development, demos and tests.
+//
+//   DATA_BACKEND picks one explicitly. Without it, the Postgres store is used
+//   when DATABASE_URL is set and the JSON store otherwise, so a fresh clone
+//   with no .env runs against the seed catalog in data/catalog.json.
+//
+//   The same choice decides where searches are recorded for analytics
+//   (search-log.js): the search_events table, or a JSON Lines file; and
+//   where manual corrections from the admin API are kept (catalog-admin.js).
+// =============================================================================
+
+import pg from 'pg';
+// node-postgres, only connected when the Postgres store is chosen.
+
+import { createCatalogQueries } from './catalog-queries.js';
+import { openJsonStore, DEFAULT_DATA_FILE } from './json-store.js';
+import {
+  createPostgresSearchLog, createJsonSearchLog, DEFAULT_SEARCH_LOG_FILE
+} from './search-log.js';
+import { createPostgresAdmin, createJsonAdmin } from './catalog-admin.js';
+
+
+// -----------------------------------------------------------------------------
+// CONSTANTS
+// -----------------------------------------------------------------------------
+
+const DEFAULT_CONNECT_TIMEOUT_MS = 5000;
+const DEFAULT_QUERY_TIMEOUT_MS = 5000;
+// Every catalog query normally finishes in milliseconds. Five seconds allows
+// for a database waking up on a free tier without letting requests pile up
+// behind an outage. Overridden by DB_CONNECT_TIMEOUT_MS / DB_QUERY_TIMEOUT_MS.
+
+
+// -----------------------------------------------------------------------------
+// FUNCTION: createStore(env)
+// PURPOSE:  Returns the queries object for the configured store. "env" is
+//           process.env (passed in rather than read here so the choice is
+//           visible where the store is created). Besides the catalog
+//           queries it has recordSearch() and searchReport() from
+//           search-log.js, and the admin methods of catalog-admin.js.
+//
+//   DATA_BACKEND=postgres  DATABASE_URL=postgres://...   → Postgres
+//   DATA_BACKEND=json      DATA_FILE=data/catalog.json   → JSON file
+//                          SEARCH_LOG_FILE=data/searches.jsonl
+// -----------------------------------------------------------------------------
+
+export async function createStore(env) {
+  const backend = env.DATA_BACKEND || (env.DATABASE_URL ? 'postgres' : 'json');
+
+  if (backend === 'postgres') {
+    const queryTimeout = Number(env.DB_QUERY_TIMEOUT_MS) || DEFAULT_QUERY_TIMEOUT_MS;
+
+    const pool = new pg.Pool({
+      connectionString: env.DATABASE_URL,
+
+      connectionTimeoutMillis: Number(env.DB_CONNECT_TIMEOUT_MS) || DEFAULT_CONNECT_TIMEOUT_MS,
+      // Give up on opening a connection after this long. Without it, a
+      // request waits indefinitely while the database is unreachable.
+
+      statement_timeout: queryTimeout,
+      // PostgreSQL itself cancels any query running longer than this, so a
+      // slow query stops using the database once its caller has given up.
+
+      query_timeout: queryTimeout
+      // node-postgres stops waiting after this long even if the database
+      // never answers (a dropped network connection). The query rejects,
+      // and the route answers 500 instead of hanging.
+    });
+    // Pool manages a collection of reusable database connections.
+    // Reusing connections avoids the overhead of a full TCP + TLS +
+    // authentication handshake on every incoming request.
+    return createPostgresStore(pool);
+  }
+
+  if (backend === 'json') {
+    const file = env.DATA_FILE || DEFAULT_DATA_FILE;
+    return {
+      ...await openJsonStore(file),
+      // Re-read automatically when ingest.js or an admin edit writes to it.
+      ...createJsonSearchLog(env.SEARCH_LOG_FILE || DEFAULT_SEARCH_LOG_FILE),
+      ...createJsonAdmin(file)
+    };
+  }
+
+  throw new Error(`Unknown DATA_BACKEND "${backend}". Use "postgres" or "json".`);
+}
+
+
+// -----------------------------------------------------------------------------
+// FUNCTION: createPostgresStore(pool)
+// PURPOSE:  The Postgres store around an existing pool: the catalog queries,
+//           the search_events log and the admin methods, all sharing it.
+//           createStore() calls it with the pool it opens; the tests in
+//           test/ call it with an in-memory PostgreSQL database instead.
+// -----------------------------------------------------------------------------
+
+export function createPostgresStore(pool) {
+  return {
+    ...createCatalogQueries(pool),
+    ...createPostgresSearchLog(pool),
+    ...createPostgresAdmin(pool)
+  };
+}
@@ -0,0 +1,488 @@
+// =============================================================================
+// ingest.js
+// Catalog ingester for the Course Reverse Search application.
+//
+// PURPOSE:
+//   server.js only READS the course_qualifications table. This file is what
+//   fills it. It parses saved copies of each college's Degrees and
+//   Certificates program pages, pulls out every course code listed under
+//   the program requirements, and loads one row per (course, program) pair.
+//
+//   Every college has its own parser plugin and its own folder of pages,
+//   both named after the college's id:
+//
+//     parsers/ccsf.js   — reads CCSF's page layout (see parsers/ccsf.js for
+//                         what a plugin exports)
+//     fixtures/ccsf/    — saved CCSF program pages
+//
+//   Adding a college means adding those two; nothing else changes. Every
+//   row loaded is tagged with the college (the "institution" column), and
+//   colleges are ingested separately: loading one never touches another's
+//   programs.
+//
+//   Each run is a complete snapshot of one college. Before it replaces that
+//   college's rows, catalog-diff.js compares it with the previous snapshot
+//   and the changes (courses added/removed, programs added/renamed/retired)
+//   are saved to catalog_changes. server.js serves that history at
+//   GET /changes.
+//
+//   [fixtures/ccsf/*.html]  →  parsers/ccsf.js  →  course_qualifications
+//   saved program pages        cheerio + regex      (TimescaleDB)
+//
+// USAGE:
+//   node ingest.js                         — ingest every college (each
+//                                            fixtures/<id> folder with a
+//                                            parsers/<id>.js) into the DB
+//   node ingest.js --institution ccsf      — ingest one college
+//   node ingest.js path/to/ccsf            — ingest a different folder; the
+//                                            college is the folder's name
+//                                            unless --institution says
+//   node ingest.js path/to/pages --dry-run — parse only, print rows, no DB
+//   node ingest.js path/to/pages --every 24 — re-ingest every 24 hours
+//   node ingest.js path/to/pages --json data/catalog.json
+//                                          — write to a JSON file, no DB
+//
+//   --dry-run never opens a database connection, so the parser can be
+//   checked offline against the HTML fixtures without any credentials.
+//   --json loads the snapshot into a JSON catalog file instead of the
+//   database (see json-store.js); server.js can serve that file with
+//   DATA_BACKEND=json. It combines with --every.
+// =============================================================================
+
+
+// -----------------------------------------------------------------------------
+// SECTION 1: IMPORTS
+// -----------------------------------------------------------------------------
+
+import 'dotenv/config';
+// Loads DATABASE_URL from .env, exactly as server.js does.
+
+import { readdir, readFile } from 'node:fs/promises';
+import path from 'node:path';
+import { pathToFileURL } from 'node:url';
+// Built-in Node.js modules — no install required.
+
+import pg from 'pg';
+// Same PostgreSQL client used by server.js.
+
+import { diffSnapshots, programName, toRows, applyOverrides } from './catalog-diff.js';
+// Compares the previous table contents with the new snapshot.
+
+import { saveJsonSnapshot } from './json-store.js';
+// The same snapshot load, into a JSON file instead of the database.
+
+import { INSTITUTION_REGEX } from './validation.js';
+// The form a college id takes; it is also a file and folder name.
+
+
+// -----------------------------------------------------------------------------
+// SECTION 2: CONSTANTS
+// -----------------------------------------------------------------------------
+
+const FIXTURES_DIR = 'fixtures';
+// Each college's saved program pages are in fixtures/<id>, one file per
+// program (one degree or one certificate).
+
+const PARSERS_DIR = new URL('./parsers/', import.meta.url);
+// Found next to this file, whatever directory ingest.js is run from.
+
+
+// -----------------------------------------------------------------------------
+// FUNCTION: listParsers()
+// PURPOSE:  The ids of every college with a parser plugin: the names of the
+//           .js files in parsers/, sorted. ['ccsf', ...]
+// -----------------------------------------------------------------------------
+
+export async function listParsers() {
+  return (await readdir(PARSERS_DIR))
+    .filter(file => file.endsWith('.js'))
+    .map(file => file.slice(0, -'.js'.length))
+    .filter(id => INSTITUTION_REGEX.test(id))
+    .sort();
+}
+
+
+// -----------------------------------------------------------------------------
+// FUNCTION: loadParser(id)
+// PURPOSE:  Imports parsers/<id>.js and returns the college it describes:
+//             { id: 'ccsf', name: 'City College of San Francisco', parseProgramPage }
+//           Throws if there is no such plugin or it is missing an export.
+// -----------------------------------------------------------------------------
+
+export async function loadParser(id) {
+  if (!(await listParsers()).includes(id)) {
+    throw new Error(`No parser for college "${id}". Add parsers/${id}.js (see parsers/ccsf.js).`);
+    // Also rejects anything that is not a plain college id, so the import()
+    // below can never load a file outside parsers/.
+  }
+
+  const plugin = await import(new URL(`${id}.js`, PARSERS_DIR).href);
+
+  if (typeof plugin.name !== 'string' || typeof plugin.parseProgramPage !== 'function') {
+    throw new Error(`parsers/${id}.js must export "name" and "parseProgramPage(html)".`);
+  }
+  return { id, name: plugin.name, parseProgramPage: plugin.parseProgramPage };
+}
+
+
+// -----------------------------------------------------------------------------
+// FUNCTION: parseDirectory(dir, parser)
+// PURPOSE:  Parses every .html file in a folder with one college's parser
+//           (from loadParser()). Returns the programs in filename order so
+//           repeated runs produce identical output.
+// -----------------------------------------------------------------------------
+
+export async function parseDirectory(dir, parser) {
+  const files = (await readdir(dir))
+    .filter(name => name.endsWith('.html'))
+    .sort();
+
+  const programs = [];
+  for (const file of files) {
+    const html = await readFile(path.join(dir, file), 'utf8');
+    try {
+      programs.push({ source_file: file, ...parser.parseProgramPage(html) });
+    } catch (err) {
+      throw new Error(`${file}: ${err.message}`);
+      // Re-thrown with the filename so a bad page is easy to locate.
+    }
+  }
+  return programs;
+}
+
+
+// -----------------------------------------------------------------------------
+// FUNCTION: loadSnapshot(pool, programs, source, institution)
+// PURPOSE:  Replaces one college's rows in course_qualifications with a
+//           freshly parsed snapshot and records what changed since the
+//           previous one. "institution" is { id, name } from loadParser();
+//           every statement below is limited to that college's rows, so
+//           other colleges' programs are never compared, replaced or retired.
+//
+//   The college is first saved to the institutions table (or its name
+//   updated), and manual corrections stored in catalog_overrides are
+//   applied to the parsed programs (see applyOverrides() in catalog-diff.js).
+//
+//   1. Read the rows of every ACTIVE program (the previous snapshot).
+//   2. diffSnapshots() compares them with the new rows.
+//   3. A catalog_snapshots row is inserted; its id is the version number.
+//   4. Every change is saved to catalog_changes under that version.
+//   5. Each scraped program's rows are replaced with the new rows, its
+//      URL, award type, department and catalog year are saved to programs,
+//      its requirement groups are rebuilt, its courses' titles are saved to
+//      the courses catalog, and any old-number or cross-listing notes are
+//      added to course_equivalencies.
+//   6. Retired programs are marked inactive. Their course rows are KEPT so
+//      /search can still show them, clearly labeled, when asked to.
+//
+// All six steps run inside one transaction. Either the new snapshot and its
+// change log are both saved, or nothing is — a failure halfway through never
+// leaves the table partially updated or the history out of step with it.
+// -----------------------------------------------------------------------------
+
+export async function loadSnapshot(pool, scrapedPrograms, source, institution) {
+  const college = institution.id;
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    await client.query('LOCK TABLE course_qualifications IN EXCLUSIVE MODE');
+    // Blocks a second ingester run (e.g., a manual run overlapping the
+    // scheduled one) until this one commits. Readers — /search — are not
+    // blocked; EXCLUSIVE mode still permits plain SELECT statements.
+
+    await client.query(
+      `INSERT INTO institutions (id, name) VALUES ($1, $2)
+       ON CONFLICT (id) DO UPDATE SET name = EXCLUDED.name`,
+      [college, institution.name]
+    );
+    // The name comes from the college's parser plugin, so renaming a
+    // college only takes editing its plugin.
+
+    const overrides = await client.query(
+      'SELECT action, program_name, course_code FROM catalog_overrides WHERE institution = $1',
+      [college]
+    );
+    const programs = applyOverrides(scrapedPrograms, overrides.rows);
+    const rows     = toRows(programs);
+    // Manual corrections made through the admin API (see catalog-admin.js)
+    // are re-applied to every new scrape before anything is compared or
+    // written, so the next ingest does not undo them. Read after the lock,
+    // so an admin edit cannot slip in between reading and loading.
+
+    const previous = await client.query(
+      `SELECT cq.course_code, cq.degree_name, cq.certificate_name
+       FROM course_qualifications cq
+       LEFT JOIN programs p
+         ON p.institution = cq.institution
+        AND p.name = COALESCE(cq.degree_name, cq.certificate_name)
+       WHERE cq.institution = $1
+         AND p.active IS NOT FALSE`,
+      // Inactive programs are left out of the comparison. They were already
+      // reported as retired by an earlier snapshot and must not be reported
+      // again every run. "IS NOT FALSE" also keeps rows whose program has no
+      // programs entry at all (p.active is then null).
+      [college]
+    );
+    const changes = diffSnapshots(previous.rows, rows);
+
+    const snapshot = await client.query(
+      `INSERT INTO catalog_snapshots (institution, source, row_count, change_count)
+       VALUES ($1, $2, $3, $4)
+       RETURNING id, taken_at`,
+      [college, source, rows.length, changes.length]
+    );
+    const snapshotId = snapshot.rows[0].id;
+
+    for (const change of changes) {
+      await client.query(
+        `INSERT INTO catalog_changes (snapshot_id, change_type, program_name, previous_name, course_code)
+         VALUES ($1, $2, $3, $4, $5)`,
+        [snapshotId, change.change_type, change.program_name, change.previous_name, change.course_code]
+      );
+    }
+
+    const renamed = changes
+      .filter(change => change.change_type === 'program_renamed')
+      .map(change => change.previous_name);
+    const retired = changes
+      .filter(change => change.change_type === 'program_retired')
+      .map(change => change.program_name);
+
+    await client.query(
+      `DELETE FROM course_qualifications
+       WHERE institution = $1 AND COALESCE(degree_name, certificate_name) = ANY($2)`,
+      [college, [...programs.map(programName), ...renamed]]
+      // Clears only the programs being rewritten: every program in the new
+      // snapshot, plus the OLD names of renamed programs (they live on under
+      // their new name). Rows of retired programs are not touched.
+    );
+    await client.query('DELETE FROM programs WHERE institution = $1 AND name = ANY($2)', [college, renamed]);
+
+    for (const row of rows) {
+      await client.query(
+        `INSERT INTO course_qualifications (institution, course_code, degree_name, certificate_name)
+         VALUES ($1, $2, $3, $4)
+         ON CONFLICT (institution, course_code, COALESCE(degree_name, ''), COALESCE(certificate_name, ''))
+         DO NOTHING`,
+        // ON CONFLICT targets the unique index defined in schema.sql, so a
+        // pair listed twice in the same snapshot is only stored once.
+        [college, row.course_code, row.degree_name, row.certificate_name]
+      );
+    }
+
+    for (const program of programs) {
+      await client.query(
+        `INSERT INTO programs (institution, name, award_type, department, program_url, catalog_year, active, retired_at)
+         VALUES ($1, $2, $3, $4, $5, $6, true, NULL)
+         ON CONFLICT (institution, name) DO UPDATE
+           SET award_type   = EXCLUDED.award_type,
+               department   = EXCLUDED.department,
+               program_url  = EXCLUDED.program_url,
+               catalog_year = EXCLUDED.catalog_year,
+               active       = true,
+               retired_at   = NULL`,
+        // EXCLUDED refers to the row that was rejected by the conflict, so a
+        // program that already exists gets the newly scraped details.
+        // A previously retired program that reappears becomes active again.
+        [college, programName(program), program.award_type, program.department, program.program_url, program.catalog_year]
+      );
+    }
+
+    for (const program of programs) {
+      await client.query(
+        'DELETE FROM requirement_groups WHERE institution = $1 AND program_name = $2',
+        [college, programName(program)]
+      );
+      // Deleting the groups also deletes their requirement_courses rows
+      // (ON DELETE CASCADE in schema.sql), so the program's requirements are
+      // rebuilt from scratch and a dropped group cannot linger.
+
+      for (const [position, group] of program.groups.entries()) {
+        const inserted = await client.query(
+          `INSERT INTO requirement_groups (institution, program_name, position, label, rule, category, min_courses, min_units)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+           RETURNING id`,
+          [college, programName(program), position, group.label, group.rule, group.category, group.min_courses, group.min_units]
+        );
+        for (const course of group.courses) {
+          await client.query(
+            `INSERT INTO requirement_courses (group_id, course_code, units)
+             VALUES ($1, $2, $3)`,
+            [inserted.rows[0].id, course.course_code, course.units]
+          );
+        }
+      }
+    }
+
+    for (const program of programs) {
+      for (const course of program.groups.flatMap(g => g.courses)) {
+        await client.query(
+          `INSERT INTO courses (institution, course_code, title, units)
+           VALUES ($1, $2, $3, $4)
+           ON CONFLICT (institution, course_code) DO UPDATE
+             SET title = COALESCE(EXCLUDED.title, courses.title),
+                 units = COALESCE(EXCLUDED.units, courses.units)`,
+          // COALESCE keeps a title or unit value already on file when this
+          // page happens not to print one.
+          [college, course.course_code, course.title, course.units]
+        );
+      }
+
+      for (const eq of program.equivalencies) {
+        await client.query(
+          `INSERT INTO course_equivalencies (institution, course_code, equivalent_code, relation)
+           VALUES ($1, $2, $3, $4)
+           ON CONFLICT (institution, course_code, equivalent_code) DO NOTHING`,
+          // Equivalencies are facts about courses, not about one program or
+          // one snapshot, so they are only ever added — never cleared.
+          // They are kept per college: a "formerly" number is local to the
+          // college that printed it.
+          [college, eq.course_code, eq.equivalent_code, eq.relation]
+        );
+      }
+    }
+
+    for (const name of retired) {
+      await client.query(
+        `INSERT INTO programs (institution, name, active, retired_at)
+         VALUES ($1, $2, false, now())
+         ON CONFLICT (institution, name) DO UPDATE
+           SET active = false, retired_at = now()`,
+        // An upsert rather than a plain UPDATE: rows loaded before the
+        // programs table existed have no programs entry to update yet.
+        [college, name]
+      );
+    }
+
+    await client.query('COMMIT');
+    return { snapshotId, takenAt: snapshot.rows[0].taken_at, rowCount: rows.length, changes };
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+    // Always return the connection, whether the transaction succeeded or not.
+  }
+}
+
+
+// -----------------------------------------------------------------------------
+// FUNCTION: runIngest(target, dir, institution)
+// PURPOSE:  One complete ingest of one college: load its parser, parse the
+//           folder, load the snapshot, log a one-line summary. Used by both a
+//           single run and the scheduler. "target" is either a pg Pool or
+//           { jsonFile } for a JSON catalog; "institution" a college id.
+// -----------------------------------------------------------------------------
+
+export async function runIngest(target, dir, institution) {
+  const parser   = await loadParser(institution);
+  const programs = await parseDirectory(dir, parser);
+  const { snapshotId, rowCount, changes } = target.jsonFile
+    ? await saveJsonSnapshot(target.jsonFile, programs, dir, parser)
+    : await loadSnapshot(target, programs, dir, parser);
+  console.log(
+    `Snapshot ${snapshotId} (${institution}): ${rowCount} course row(s) loaded from ${dir}, ` +
+    `${changes.length} change(s) recorded.`
+  );
+}
+
+
+// -----------------------------------------------------------------------------
+// SECTION 3: COMMAND-LINE ENTRY POINT
+// Runs only when this file is executed directly ("node ingest.js"), not when
+// its functions are imported by another module.
+// -----------------------------------------------------------------------------
+
+const FLAG_EXAMPLES = { '--json': 'data/catalog.json', '--institution': 'ccsf', '--every': '24' };
+
+// The value after a flag such as --json, or null if the flag is absent.
+function flagValue(argv, flag) {
+  if (!argv.includes(flag)) return null;
+  const value = argv[argv.indexOf(flag) + 1];
+  if (!value || value.startsWith('--')) {
+    throw new Error(`${flag} needs a value, e.g. ${flag} ${FLAG_EXAMPLES[flag]}`);
+  }
+  return value;
+}
+
+async function main(argv) {
+  const dryRun = argv.includes('--dry-run');
+  const interval = flagValue(argv, '--every') ?? (process.env.INGEST_INTERVAL_HOURS || null);
+  const every    = interval === null ? 0 : Number(interval);
+  // --every 24 (or INGEST_INTERVAL_HOURS=24) keeps the process running and
+  // re-ingests once every 24 hours. Without either, ingest runs once and exits.
+
+  if (interval !== null && !(every > 0)) {
+    const source = argv.includes('--every') ? '--every' : 'INGEST_INTERVAL_HOURS';
+    throw new Error(`${source} must be a positive number of hours, not "${interval}".`);
+  }
+  // Checked before anything runs: a mistyped schedule ("--every abc",
+  // "--every 0") must not quietly become a single run with no scheduler.
+
+  const jsonFile    = flagValue(argv, '--json');
+  const institution = flagValue(argv, '--institution');
+
+  const dir = argv.find((arg, i) =>
+    !arg.startsWith('--') && !['--every', '--json', '--institution'].includes(argv[i - 1])
+  );
+
+  const sources = dir
+    ? [{ institution: institution ?? path.basename(path.resolve(dir)), dir }]
+    : (institution ? [institution] : await listParsers())
+        .map(id => ({ institution: id, dir: path.join(FIXTURES_DIR, id) }));
+  // A folder on its own is named after its college (fixtures/ccsf → ccsf).
+  // With no folder, each college's pages are read from fixtures/<id>.
+
+  if (dryRun) {
+    for (const source of sources) {
+      const rows = toRows(await parseDirectory(source.dir, await loadParser(source.institution)));
+      console.log(`Parsed ${rows.length} course row(s) for ${source.institution} from ${source.dir}.`);
+      console.table(rows);
+    }
+    return;
+  }
+
+  const target = jsonFile
+    ? { jsonFile }
+    : new pg.Pool({ connectionString: process.env.DATABASE_URL });
+  // A JSON catalog needs no connection at all.
+
+  if (!every) {
+    try {
+      for (const source of sources) {
+        await runIngest(target, source.dir, source.institution);
+      }
+      // One college at a time, each its own snapshot. A failure stops the
+      // run; colleges already loaded keep their new snapshot.
+    } finally {
+      await target.end?.();
+      // Closes every pooled connection so the process can exit.
+    }
+    return;
+  }
+
+  const tick = async () => {
+    for (const source of sources) {
+      await runIngest(target, source.dir, source.institution).catch(err => {
+        console.error(`Scheduled ingest of ${source.institution} failed:`, err.message);
+        // A failed run is logged and skipped; the other colleges are still
+        // ingested and the next scheduled run still happens. The previous
+        // snapshot stays in place until one succeeds.
+      });
+    }
+  };
+
+  await tick();
+  setInterval(tick, every * 60 * 60 * 1000);
+  console.log(`Re-ingesting ${sources.map(source => source.dir).join(', ')} every ${every} hour(s).`);
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  main(process.argv.slice(2)).catch(err => {
+    console.error('Ingest failed:', err.message);
+    process.exitCode = 1;
+    // A non-zero exit code lets a scheduler or CI job detect the failure.
+  });
+}
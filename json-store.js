@@ -0,0 +1,525 @@
+// =============================================================================
+// json-store.js
+// The catalog kept in one JSON file instead of PostgreSQL.
+//
+// PURPOSE:
+//   The Postgres store (catalog-queries.js) needs a TimescaleDB Cloud
+//   database and its credentials. This store needs nothing but a file, so
+//   the whole stack — ingest.js, server.js and the page — runs offline:
+//
+//     node ingest.js fixtures/ccsf --json data/catalog.json
+//     DATA_BACKEND=json node server.js
+//
+//   createJsonQueries() answers every query that createCatalogQueries()
+//   does, with the same result shapes, so server.js and api-v1.js cannot
+//   tell the two apart. Lookups are plain array and Map operations: a
+//   college's whole catalog is a few hundred programs, small enough to hold
+//   in memory.
+//
+// FILE FORMAT (written by saveJsonSnapshot()):
+//   {
+//     "institutions": [{ "id", "name" }],
+//     "snapshots": [{ "id", "institution", "taken_at", "source", "row_count",
+//                     "change_count" }],
+//     "programs":  [{ "id", "institution", "active", "retired_at",
+//                     ...parseProgramPage() fields }],
+//     "changes":   [{ "snapshot_id", "change_type", "program_name",
+//                     "previous_name", "course_code" }],
+//     "overrides": [{ "id", "institution", "action", "program_name",
+//                     "course_code", "created_at", "created_by" }],
+//     "audit":     [{ "id", "institution", "changed_at", "actor", "action",
+//                     "program_name", "course_code", "details" }]
+//   }
+//   The same information as the tables in schema.sql, nested per program the
+//   way ingest.js parses it instead of split across tables. Files written
+//   before colleges were added have no "institutions"; readJsonCatalog()
+//   gives their rows DEFAULT_INSTITUTION, as schema.sql does for tables.
+// =============================================================================
+
+import { readFile, writeFile, rename, stat } from 'node:fs/promises';
+
+import { diffSnapshots, programName, toRows, applyOverrides } from './catalog-diff.js';
+// The same snapshot comparison loadSnapshot() in ingest.js uses.
+
+import { rankPrograms } from './progress.js';
+import { closestCodes } from './suggest.js';
+import { DEFAULT_INSTITUTION } from './validation.js';
+
+
+// -----------------------------------------------------------------------------
+// CONSTANTS
+// -----------------------------------------------------------------------------
+
+export const DEFAULT_DATA_FILE = 'data/catalog.json';
+// Seed catalog committed to the repository, built from fixtures/ccsf.
+
+const EMPTY_CATALOG = { institutions: [], snapshots: [], programs: [], changes: [], overrides: [], audit: [] };
+
+const DEFAULT_INSTITUTION_NAME = 'City College of San Francisco';
+// The name schema.sql gives DEFAULT_INSTITUTION; ingest.js replaces it with
+// the one parsers/ccsf.js exports at the next ingest.
+
+
+// -----------------------------------------------------------------------------
+// FUNCTION: readJsonCatalog(file)
+// PURPOSE:  Reads a catalog file. A file that does not exist yet is an empty
+//           catalog, so the first --json ingest can create it.
+// -----------------------------------------------------------------------------
+
+export async function readJsonCatalog(file) {
+  try {
+    const stored = JSON.parse(await readFile(file, 'utf8'));
+    return stored.institutions
+      ? { ...EMPTY_CATALOG, ...stored }
+      : fromSingleCollege({ ...EMPTY_CATALOG, ...stored });
+  } catch (err) {
+    if (err.code === 'ENOENT') return structuredClone(EMPTY_CATALOG);
+    throw err;
+    // Any other problem (unreadable file, invalid JSON) is a real error; an
+    // ingest must not silently start over from an empty catalog.
+  }
+}
+
+
+// -----------------------------------------------------------------------------
+// FUNCTION: fromSingleCollege(catalog)
+// PURPOSE:  Upgrades a catalog written before colleges were added: every
+//           snapshot, program, override and audit entry belongs to
+//           DEFAULT_INSTITUTION, the only college there was.
+// -----------------------------------------------------------------------------
+
+function fromSingleCollege(catalog) {
+  const tag = rows => rows.map(row => ({ institution: DEFAULT_INSTITUTION, ...row }));
+
+  return {
+    ...catalog,
+    institutions: catalog.snapshots.length > 0
+      ? [{ id: DEFAULT_INSTITUTION, name: DEFAULT_INSTITUTION_NAME }]
+      : [],
+    snapshots: tag(catalog.snapshots),
+    programs:  tag(catalog.programs),
+    overrides: tag(catalog.overrides),
+    audit:     tag(catalog.audit)
+  };
+}
+
+
+// -----------------------------------------------------------------------------
+// FUNCTION: writeJsonCatalog(file, catalog)
+// PURPOSE:  Replaces the catalog file. Written to a temporary file and then
+//           renamed over the real one: rename() replaces the file in one
+//           step, so a server reading the catalog never sees a half-written
+//           file — the JSON equivalent of a database transaction.
+// -----------------------------------------------------------------------------
+
+export async function writeJsonCatalog(file, catalog) {
+  await writeFile(`${file}.tmp`, JSON.stringify(catalog, null, 2) + '\n');
+  await rename(`${file}.tmp`, file);
+}
+
+
+// -----------------------------------------------------------------------------
+// FUNCTION: saveJsonSnapshot(file, programs, source, institution)
+// PURPOSE:  The JSON counterpart of loadSnapshot() in ingest.js. Records a
+//           freshly parsed snapshot of one college ("institution" is
+//           { id, name } from loadParser()) in the file and returns the same
+//           { snapshotId, takenAt, rowCount, changes }.
+//
+//   Programs in the new snapshot replace their previous entries (keeping
+//   their id). A program that was renamed is replaced by its new name. A
+//   program that disappeared is kept, marked inactive, so /search can still
+//   show it when asked to — exactly as in the database. Other colleges'
+//   programs are left as they are.
+// -----------------------------------------------------------------------------
+
+export async function saveJsonSnapshot(file, scrapedPrograms, source, institution) {
+  const college = institution.id;
+  const catalog = await readJsonCatalog(file);
+  const programs = applyOverrides(
+    scrapedPrograms,
+    catalog.overrides.filter(o => o.institution === college)
+  ).map(program => ({ institution: college, ...program }));
+  // Manual corrections from the admin API are re-applied to every new
+  // scrape (see applyOverrides() in catalog-diff.js).
+
+  const ours   = catalog.programs.filter(p => p.institution === college);
+  const others = catalog.programs.filter(p => p.institution !== college);
+
+  const previous = ours.filter(p => p.active !== false);
+  // Retired programs were already reported by an earlier snapshot; see the
+  // matching comment in loadSnapshot().
+  const changes = diffSnapshots(toRows(previous), toRows(programs));
+
+  const snapshotId = Math.max(0, ...catalog.snapshots.map(s => s.id)) + 1;
+  const takenAt    = new Date().toISOString();
+
+  const renamed = new Set(changes
+    .filter(change => change.change_type === 'program_renamed')
+    .map(change => change.previous_name));
+  const retired = new Set(changes
+    .filter(change => change.change_type === 'program_retired')
+    .map(change => change.program_name));
+  const scraped = new Set(programs.map(programName));
+
+  const ids = new Map(ours.map(p => [programName(p), p.id]));
+  let nextId = Math.max(0, ...catalog.programs.map(p => p.id)) + 1;
+  // Ids are numbered across every college, as by the SERIAL column.
+
+  const next = {
+    institutions: [
+      ...catalog.institutions.filter(i => i.id !== college),
+      { id: college, name: institution.name }
+    ].sort((a, b) => a.name.localeCompare(b.name)),
+    snapshots: [
+      ...catalog.snapshots,
+      { id: snapshotId, institution: college, taken_at: takenAt, source, row_count: toRows(programs).length, change_count: changes.length }
+    ],
+    programs: [
+      ...others,
+      ...programs.map(program => ({
+        id:         ids.get(programName(program)) ?? nextId++,
+        active:     true,
+        retired_at: null,
+        ...program
+      })),
+      ...ours
+        .filter(p => !scraped.has(programName(p)) && !renamed.has(programName(p)))
+        .map(p => retired.has(programName(p)) ? { ...p, active: false, retired_at: takenAt } : p)
+    ],
+    changes: [
+      ...catalog.changes,
+      ...changes.map(change => ({ snapshot_id: snapshotId, ...change }))
+    ],
+    overrides: catalog.overrides,
+    audit:     catalog.audit
+  };
+
+  await writeJsonCatalog(file, next);
+
+  return { snapshotId, takenAt, rowCount: toRows(programs).length, changes };
+}
+
+
+// -----------------------------------------------------------------------------
+// FUNCTION: compareNullsLast(a, b)
+// PURPOSE:  Sort comparison matching PostgreSQL's ORDER BY on text columns:
+//           alphabetical, with nulls after every value.
+// -----------------------------------------------------------------------------
+
+function compareNullsLast(a, b) {
+  if (a == null || b == null) return (a == null) - (b == null);
+  return String(a).localeCompare(String(b));
+}
+
+
+// -----------------------------------------------------------------------------
+// FUNCTION: createJsonQueries(catalog)
+// PURPOSE:  Returns an object with the same methods as createCatalogQueries()
+//           in catalog-queries.js, answering from a catalog read by
+//           readJsonCatalog(). See that file for what each method returns.
+// -----------------------------------------------------------------------------
+
+export function createJsonQueries(catalog) {
+  const programs = catalog.programs.map(program => ({
+    ...program,
+    name:   programName(program),
+    active: program.active !== false
+  }));
+
+  const colleges = new Map();
+  // institution id → { programs, courses, equivalencies }: each college's
+  // catalog on its own, the way every SQL query filters on institution.
+
+  for (const program of programs) {
+    if (!colleges.has(program.institution)) {
+      colleges.set(program.institution, { programs: [], courses: new Map(), equivalencies: new Map() });
+    }
+    const college = colleges.get(program.institution);
+    college.programs.push(program);
+
+    for (const course of program.groups.flatMap(g => g.courses)) {
+      const known = college.courses.get(course.course_code);
+      college.courses.set(course.course_code, {
+        course_code: course.course_code,
+        title:       course.title ?? known?.title ?? null,
+        units:       course.units ?? known?.units ?? null
+      });
+    }
+    // The courses table: one entry per code. As in loadSnapshot(), a title or
+    // unit value already known is kept when a later page does not print one.
+
+    for (const eq of program.equivalencies) {
+      college.equivalencies.set(`${eq.course_code}|${eq.equivalent_code}`, eq);
+    }
+    // course_equivalencies: every note from every page, each pair once.
+  }
+
+  const noCatalog = { programs: [], courses: new Map(), equivalencies: new Map() };
+
+  function collegeOf(institution) {
+    return colleges.get(institution) ?? noCatalog;
+  }
+
+  const snapshots = new Map(catalog.snapshots.map(s => [s.id, s]));
+
+
+  function visible(program, includeInactive) {
+    return includeInactive || program.active;
+  }
+
+  function summary(program) {
+    const { id, institution, name, award_type, department, program_url, catalog_year, active } = program;
+    return { id, institution, name, award_type, department, program_url, catalog_year, active };
+  }
+
+  function page(items, { limit, offset } = {}) {
+    return limit === undefined ? items : items.slice(offset, offset + limit);
+  }
+
+
+  async function ping() {
+    // Nothing to connect to; the file was already read.
+  }
+
+  async function catalogVersion() {
+    const latest = catalog.snapshots.at(-1);
+    return latest ? { snapshot_id: latest.id, taken_at: latest.taken_at } : null;
+  }
+
+  async function listInstitutions() {
+    return [...catalog.institutions].sort((a, b) => compareNullsLast(a.name, b.name));
+  }
+
+  async function findEquivalents(courseCode, institution = DEFAULT_INSTITUTION) {
+    return [...collegeOf(institution).equivalencies.values()]
+      .filter(eq => eq.course_code === courseCode || eq.equivalent_code === courseCode)
+      .sort((a, b) =>
+        compareNullsLast(a.relation, b.relation) ||
+        compareNullsLast(a.course_code, b.course_code) ||
+        compareNullsLast(a.equivalent_code, b.equivalent_code));
+  }
+
+  async function searchCourse(courseCode, { includeInactive = false, institution = DEFAULT_INSTITUTION } = {}) {
+    const matched = await findEquivalents(courseCode, institution);
+    const codes = new Set([
+      courseCode,
+      ...matched.flatMap(eq => [eq.course_code, eq.equivalent_code])
+    ]);
+
+    const results = collegeOf(institution).programs
+      .filter(p => visible(p, includeInactive) && p.courses.some(code => codes.has(code)))
+      .sort((a, b) =>
+        b.active - a.active ||
+        compareNullsLast(a.degree_name, b.degree_name) ||
+        compareNullsLast(a.certificate_name, b.certificate_name))
+      .map(p => {
+        const matched_code = p.courses.includes(courseCode)
+          ? courseCode
+          : p.courses.find(code => codes.has(code));
+        // The exact code when the program lists it, as in the SQL version.
+
+        const requirements = p.groups
+          .filter(g => g.courses.some(c => c.course_code === matched_code))
+          .map(g => ({
+            label:       g.label,
+            category:    g.category,
+            rule:        g.rule,
+            min_courses: g.min_courses,
+            min_units:   g.min_units,
+            units:       g.courses.find(c => c.course_code === matched_code).units,
+            options:     g.courses.length
+          }));
+
+        return {
+          institution:      p.institution,
+          degree_name:      p.degree_name,
+          certificate_name: p.certificate_name,
+          matched_code,
+          award_type:       p.award_type,
+          department:       p.department,
+          program_url:      p.program_url,
+          active:           p.active,
+          catalog_year:     p.catalog_year,
+          requirements:     requirements.length > 0 ? requirements : null
+        };
+      });
+
+    return { results, equivalencies: matched };
+  }
+
+  async function checkProgress(courseCodes, { includeInactive = false, institution = DEFAULT_INSTITUTION } = {}) {
+    const completed = new Set(courseCodes);
+
+    const candidates = collegeOf(institution).programs
+      .filter(p => visible(p, includeInactive) && p.courses.some(code => completed.has(code)))
+      .map(p => ({
+        institution:  p.institution,
+        name:         p.name,
+        award_type:   p.award_type,
+        department:   p.department,
+        program_url:  p.program_url,
+        catalog_year: p.catalog_year,
+        active:       p.active,
+        groups: p.groups.map(g => ({
+          label:       g.label,
+          rule:        g.rule,
+          min_courses: g.min_courses,
+          min_units:   g.min_units,
+          courses:     g.courses
+            .map(c => ({ course_code: c.course_code, units: c.units }))
+            .sort((a, b) => compareNullsLast(a.course_code, b.course_code))
+        }))
+      }));
+    // The shape programsFromRows() in progress.js builds from SQL rows.
+
+    const results = rankPrograms(candidates, courseCodes);
+
+    const counted = new Set(results.flatMap(r => r.groups.flatMap(g => g.completed)));
+    return { results, unmatched: courseCodes.filter(code => !counted.has(code)) };
+  }
+
+  async function suggestCourses(query, limit, { institution = DEFAULT_INSTITUTION } = {}) {
+    const needle = query.toLowerCase();
+    const { courses } = collegeOf(institution);
+
+    const suggestions = [...courses.values()]
+      .map(course => ({
+        course_code: course.course_code,
+        title:       course.title,
+        match:       course.course_code.toLowerCase().startsWith(needle) ? 'code'
+                   : course.title?.toLowerCase().includes(needle) ? 'title'
+                   : null
+      }))
+      .filter(s => s.match)
+      .sort((a, b) => compareNullsLast(a.match, b.match) || compareNullsLast(a.course_code, b.course_code))
+      .slice(0, limit);
+
+    if (suggestions.length > 0) {
+      return { suggestions, didYouMean: [] };
+    }
+
+    const fuzzy = closestCodes(query, [...courses.keys()], limit)
+      .map(course_code => ({ course_code, title: courses.get(course_code).title, match: 'fuzzy' }));
+    return { suggestions: fuzzy, didYouMean: fuzzy.map(s => s.course_code) };
+  }
+
+  async function listPrograms({ department, awardType, includeInactive = false, institution = DEFAULT_INSTITUTION } = {}, pageOptions) {
+    const matches = collegeOf(institution).programs
+      .filter(p =>
+        visible(p, includeInactive) &&
+        (department === undefined || p.department?.toLowerCase() === department.toLowerCase()) &&
+        (awardType === undefined || p.award_type?.toLowerCase() === awardType.toLowerCase()))
+      .sort((a, b) => compareNullsLast(a.department, b.department) || compareNullsLast(a.name, b.name))
+      .map(p => ({ ...summary(p), courses: [...p.courses].sort() }));
+
+    return { programs: page(matches, pageOptions), total: matches.length };
+  }
+
+  async function getProgram(id) {
+    const program = programs.find(p => p.id === id);
+    if (!program) {
+      return null;
+    }
+    const { courses } = collegeOf(program.institution);
+
+    return {
+      ...summary(program),
+      courses: [...program.courses].sort().map(code => courses.get(code)),
+      groups:  program.groups.map(g => ({
+        label:       g.label,
+        rule:        g.rule,
+        category:    g.category,
+        min_courses: g.min_courses,
+        min_units:   g.min_units,
+        courses:     g.courses.map(c => c.course_code).sort()
+      }))
+    };
+  }
+
+  async function listCourses({ department, institution = DEFAULT_INSTITUTION } = {}, pageOptions) {
+    const matches = [...collegeOf(institution).courses.values()]
+      .filter(c => department === undefined || c.course_code.startsWith(`${department.toUpperCase()} `))
+      .sort((a, b) => compareNullsLast(a.course_code, b.course_code));
+
+    return { courses: page(matches, pageOptions), total: matches.length };
+  }
+
+  async function getCourse(courseCode, { institution = DEFAULT_INSTITUTION } = {}) {
+    const course = collegeOf(institution).courses.get(courseCode);
+    return course ? { ...course, equivalencies: await findEquivalents(courseCode, institution) } : null;
+  }
+
+  async function listChanges(since, pageOptions) {
+    const matches = catalog.changes
+      .map(change => ({
+        snapshot_id:   change.snapshot_id,
+        taken_at:      snapshots.get(change.snapshot_id)?.taken_at,
+        institution:   snapshots.get(change.snapshot_id)?.institution,
+        change_type:   change.change_type,
+        program_name:  change.program_name,
+        previous_name: change.previous_name,
+        course_code:   change.course_code
+      }))
+      .filter(change => change.taken_at >= since);
+    // ISO timestamps compare correctly as strings:
+    // '2026-01-15T08:00:00.000Z' >= '2026-01-15' is true.
+    // catalog.changes is already in snapshot order.
+
+    return { changes: page(matches, pageOptions), total: matches.length };
+  }
+
+
+  return {
+    backend: 'json',
+    ping,
+    catalogVersion,
+    listInstitutions,
+    findEquivalents,
+    searchCourse,
+    checkProgress,
+    suggestCourses,
+    listPrograms,
+    getProgram,
+    listCourses,
+    getCourse,
+    listChanges
+  };
+}
+
+
+// -----------------------------------------------------------------------------
+// FUNCTION: openJsonStore(file)
+// PURPOSE:  createJsonQueries() for a file that may be re-ingested while the
+//           server is running. Before each query the file's modification
+//           time is checked (one stat() call, far cheaper than the query);
+//           when it has changed, the file is read again, so a new
+//           "node ingest.js --json" snapshot is served — and search-cache.js
+//           sees its new catalogVersion() — without a restart.
+// -----------------------------------------------------------------------------
+
+export async function openJsonStore(file) {
+  const modifiedAt = async () => (await stat(file).catch(() => null))?.mtimeMs ?? 0;
+  // 0 for a file that does not exist yet.
+
+  let loadedAt = await modifiedAt();
+  let queries  = createJsonQueries(await readJsonCatalog(file));
+
+  async function current() {
+    const mtime = await modifiedAt();
+    if (mtime !== loadedAt) {
+      queries  = createJsonQueries(await readJsonCatalog(file));
+      loadedAt = mtime;
+    }
+    return queries;
+  }
+
+  const store = { backend: queries.backend };
+  for (const [name, method] of Object.entries(queries)) {
+    if (typeof method === 'function') {
+      store[name] = async (...args) => (await current())[name](...args);
+    }
+  }
+  // Every method forwards to the current catalog's queries.
+
+  return store;
+}
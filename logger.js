@@ -0,0 +1,112 @@
+// =============================================================================
+// logger.js
+// Structured (JSON) logging for server.js, with a request ID on every line.
+//
+// PURPOSE:
+//   Plain console.log('Query error:', ...) lines cannot be searched or
+//   filtered by a log service, and when several requests run at once there
+//   is no telling which line belongs to which request. Here every log entry
+//   is one line of JSON:
+//
+//     {"time":"2026-10-18T15:42:58.120Z","level":"info","msg":"request",
+//      "requestId":"9f1c...","method":"POST","path":"/search","status":200,
+//      "durationMs":4.2}
+//
+//   Render, Railway and most log services parse these lines, so entries can
+//   be filtered by level, status or requestId. The same requestId is sent
+//   back to the caller in the X-Request-Id header; a student reporting a
+//   problem can quote it to find the exact request.
+// =============================================================================
+
+import { randomUUID } from 'node:crypto';
+
+
+// -----------------------------------------------------------------------------
+// CONSTANTS
+// -----------------------------------------------------------------------------
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+// Entries below the logger's level are dropped. LOG_LEVEL=debug shows
+// everything; the default, info, hides debug entries.
+
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._-]{1,64}$/;
+// A proxy or load balancer may already have given the request an ID in its
+// own X-Request-Id header. It is reused if it looks like an ID, so the
+// proxy's logs and these match; anything else is replaced, so a caller
+// cannot write arbitrary text into the logs.
+
+
+// -----------------------------------------------------------------------------
+// FUNCTION: createLogger(fields, { level, write })
+// PURPOSE:  Returns { debug, info, warn, error, child }.
+//
+//   Each level method takes a message and optional extra fields:
+//     log.error('Query error', { error: err.message })
+//   "fields" are included in every entry; child(moreFields) returns a logger
+//   with both, which is how each request gets its own requestId.
+//
+//   "write" receives each finished line; by default warnings and errors go
+//   to stderr and everything else to stdout. It can be replaced in tests.
+// -----------------------------------------------------------------------------
+
+export function createLogger(fields = {}, { level = 'info', write = defaultWrite } = {}) {
+  const minimum = LEVELS[level] ?? LEVELS.info;
+
+  function log(entryLevel, msg, extra) {
+    if (LEVELS[entryLevel] < minimum) return;
+    write(entryLevel, JSON.stringify({ time: new Date().toISOString(), level: entryLevel, msg, ...fields, ...extra }));
+  }
+
+  return {
+    debug: (msg, extra) => log('debug', msg, extra),
+    info:  (msg, extra) => log('info', msg, extra),
+    warn:  (msg, extra) => log('warn', msg, extra),
+    error: (msg, extra) => log('error', msg, extra),
+    child: more => createLogger({ ...fields, ...more }, { level, write })
+  };
+}
+
+function defaultWrite(level, line) {
+  (LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout).write(line + '\n');
+}
+
+
+// -----------------------------------------------------------------------------
+// FUNCTION: requestLogger(log)
+// PURPOSE:  Express middleware, installed first in server.js. For every
+//           request it:
+//             - picks a request ID and sends it back as X-Request-Id,
+//             - sets req.log, a child logger that adds the ID to every entry
+//               (route handlers log with req.log rather than console),
+//             - logs one "request" entry when the response has been sent,
+//               with the status code and how long it took.
+// -----------------------------------------------------------------------------
+
+export function requestLogger(log) {
+  return (req, res, next) => {
+    const started = process.hrtime.bigint();
+    const incoming = req.get('X-Request-Id');
+
+    req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : randomUUID();
+    req.log = log.child({ requestId: req.id });
+    res.set('X-Request-Id', req.id);
+
+    res.on('finish', () => {
+      const durationMs = Number(process.hrtime.bigint() - started) / 1e6;
+      const entry = {
+        method: req.method,
+        path: req.originalUrl.split('?')[0],
+        // Without the query string, which may hold what the student typed;
+        // the logs only need to know which route was used. originalUrl,
+        // because req.path is relative to the router (/api/v1) answering.
+        status: res.statusCode,
+        durationMs: Math.round(durationMs * 10) / 10
+      };
+
+      if (res.statusCode >= 500) req.log.error('request', entry);
+      else req.log.info('request', entry);
+    });
+
+    next();
+  };
+}
@@ -0,0 +1,146 @@
+// =============================================================================
+// metrics.js
+// Request counts and latencies for GET /metrics, in the Prometheus text
+// format.
+//
+// PURPOSE:
+//   A monitoring system (Prometheus, Grafana Agent, Datadog, ...) scrapes
+//   GET /metrics every few seconds and graphs the numbers over time:
+//
+//     # HELP http_requests_total HTTP requests answered, by route and status.
+//     # TYPE http_requests_total counter
+//     http_requests_total{method="POST",route="/search",status="200"} 1027
+//     http_requests_total{method="POST",route="/search",status="404"} 88
+//
+//     # HELP http_request_duration_seconds Time taken to answer HTTP requests.
+//     # TYPE http_request_duration_seconds histogram
+//     http_request_duration_seconds_bucket{method="POST",route="/search",le="0.005"} 903
+//     ...
+//
+//   Requests are labelled by route pattern ("/api/v1/programs/:id"), not the
+//   actual URL, so one label set covers every program id instead of adding
+//   a new one per id.
+//
+//   Values are kept in memory and start again from zero when the server
+//   restarts; Prometheus handles that on its own.
+// =============================================================================
+
+
+// -----------------------------------------------------------------------------
+// CONSTANTS
+// -----------------------------------------------------------------------------
+
+export const DURATION_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5];
+// Upper bounds in seconds. A cached search takes well under 5 ms and a
+// PostgreSQL query a few tens; the top buckets catch the database timeout
+// (five seconds by default, see catalog-store.js).
+
+
+// -----------------------------------------------------------------------------
+// FUNCTION: createMetrics()
+// PURPOSE:  Returns { middleware(), render(gauges) }.
+//
+//   middleware() — Express middleware recording every request once its
+//                  response has been sent.
+//   render(gauges) — the text served by GET /metrics. "gauges" adds values
+//                  read at scrape time, such as the catalog's age:
+//                    [{ name, help, type: 'gauge' | 'counter', value }]
+// -----------------------------------------------------------------------------
+
+export function createMetrics() {
+  const requests = new Map();
+  // '{method="POST",route="/search",status="200"}' → count
+
+  const durations = new Map();
+  // '{method="POST",route="/search"}' → { buckets: [count per bound], sum, count }
+
+
+  function observe(method, route, status, seconds) {
+    const requestKey = labels({ method, route, status });
+    requests.set(requestKey, (requests.get(requestKey) ?? 0) + 1);
+
+    const durationKey = labels({ method, route });
+    let histogram = durations.get(durationKey);
+    if (!histogram) {
+      histogram = { buckets: DURATION_BUCKETS.map(() => 0), sum: 0, count: 0 };
+      durations.set(durationKey, histogram);
+    }
+    DURATION_BUCKETS.forEach((bound, i) => {
+      if (seconds <= bound) histogram.buckets[i]++;
+    });
+    // Prometheus buckets are cumulative: a 3 ms request counts toward every
+    // bucket from 0.005 up.
+    histogram.sum += seconds;
+    histogram.count++;
+  }
+
+
+  function middleware() {
+    return (req, res, next) => {
+      const started = process.hrtime.bigint();
+
+      res.on('finish', () => {
+        const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+        const route = req.route ? req.baseUrl + req.route.path : 'unmatched';
+        // req.route is the pattern of the handler that answered. Requests
+        // answered by middleware instead (a 429 from the rate limiter, a
+        // 404 for an unknown path) have none and share one label.
+        observe(req.method, route, String(res.statusCode), seconds);
+      });
+
+      next();
+    };
+  }
+
+
+  function render(gauges = []) {
+    const lines = [
+      '# HELP http_requests_total HTTP requests answered, by route and status.',
+      '# TYPE http_requests_total counter'
+    ];
+    for (const [key, count] of requests) {
+      lines.push(`http_requests_total${key} ${count}`);
+    }
+
+    lines.push(
+      '# HELP http_request_duration_seconds Time taken to answer HTTP requests.',
+      '# TYPE http_request_duration_seconds histogram'
+    );
+    for (const [key, { buckets, sum, count }] of durations) {
+      const withLe = le => `${key.slice(0, -1)},le="${le}"}`;
+      DURATION_BUCKETS.forEach((bound, i) => {
+        lines.push(`http_request_duration_seconds_bucket${withLe(bound)} ${buckets[i]}`);
+      });
+      lines.push(`http_request_duration_seconds_bucket${withLe('+Inf')} ${count}`);
+      lines.push(`http_request_duration_seconds_sum${key} ${sum}`);
+      lines.push(`http_request_duration_seconds_count${key} ${count}`);
+    }
+
+    for (const { name, help, type = 'gauge', value } of gauges) {
+      if (value === null || value === undefined) continue;
+      // e.g. no catalog snapshot yet: leaving the metric out is how
+      // Prometheus represents "unknown".
+      lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`, `${name} ${value}`);
+    }
+
+    return lines.join('\n') + '\n';
+  }
+
+
+  return { middleware, render };
+}
+
+
+// -----------------------------------------------------------------------------
+// FUNCTION: labels(values)
+// PURPOSE:  Formats a Prometheus label set: { method: 'GET' } → '{method="GET"}'.
+//           Backslashes, quotes and newlines in values are escaped as the
+//           text format requires.
+// -----------------------------------------------------------------------------
+
+function labels(values) {
+  const pairs = Object.entries(values).map(([name, value]) =>
+    `${name}="${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`
+  );
+  return `{${pairs.join(',')}}`;
+}
@@ -0,0 +1,73 @@
+// =============================================================================
+// parsers/ccsf.js
+// Catalog parser plugin for City College of San Francisco.
+//
+// PURPOSE:
+//   Reads one saved CCSF Degrees and Certificates program page
+//   (fixtures/ccsf/*.html) into a program object. ingest.js loads this file
+//   for the college id "ccsf", the file's name.
+//
+// PLUGIN INTERFACE (every file in parsers/ exports the same two things):
+//   name                   — the college's full name, shown in the college
+//                            selector and returned by GET /institutions
+//   parseProgramPage(html) — one program page → the object buildProgram()
+//                            in catalog-parser.js returns; throws if the
+//                            page cannot be read
+// =============================================================================
+
+import * as cheerio from 'cheerio';
+// cheerio parses an HTML string into a jQuery-like tree so elements can be
+// selected with CSS selectors ('h1', 'td', 'li') instead of fragile
+// string slicing. It does not run a browser or execute page scripts.
+// Install via: npm install cheerio
+
+import { buildProgram, extractRequirementGroups } from '../catalog-parser.js';
+
+
+export const name = 'City College of San Francisco';
+
+
+// -----------------------------------------------------------------------------
+// FUNCTION: parseProgramPage(html)
+// PURPOSE:  Finds the title, award, requirements and details on a CCSF page
+//           and passes them to buildProgram().
+// -----------------------------------------------------------------------------
+
+export function parseProgramPage(html) {
+  const $ = cheerio.load(html);
+
+  const title = $('h1').first().text().replace(/\s+/g, ' ').trim();
+  if (!title) {
+    throw new Error('No <h1> program title found.');
+  }
+
+  const awardLabel = $('.award-type').first().text().trim() || title;
+  // CCSF pages print the award ("Associate in Science Degree") just under
+  // the title. If that element is missing, the title itself is checked.
+
+  const scope = $('.program-requirements').length
+    ? $('.program-requirements')
+    : $('main').length ? $('main') : $('body');
+  // Narrowest container available. Falling back to <main> and then <body>
+  // keeps older page layouts parseable.
+
+  const groups = extractRequirementGroups($, scope, { groupSelector: '.requirement-group', headingSelector: 'h3, h4' });
+
+  const department = $('.department').first().text().replace(/\s+/g, ' ').trim() || null;
+  // The department appears in the breadcrumb trail above the title.
+
+  const yearMatch = /(\d{4})\s*[-–]\s*(\d{4})/.exec($('.catalog-year').first().text());
+  const catalog_year = yearMatch ? `${yearMatch[1]}-${yearMatch[2]}` : null;
+  // The catalog year the requirements are effective from, e.g. "2025-2026".
+  // Pages print it with either a hyphen or an en dash; both are stored with
+  // a plain hyphen so values compare equal.
+
+  const program_url = $('link[rel="canonical"]').attr('href')
+    ?? $('meta[property="og:url"]').attr('content')
+    ?? null;
+  // A saved page no longer knows the address it was saved from, except
+  // through these tags. rel="canonical" is the catalog's own official URL
+  // for the page; og:url is the social-media preview URL, used as a backup.
+
+  return buildProgram({ title, awardLabel, department, program_url, catalog_year, groups });
+}
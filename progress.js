@@ -0,0 +1,188 @@
+// =============================================================================
+// progress.js
+// Works out how far a student's completed courses go toward each program.
+//
+// PURPOSE:
+//   POST /search answers "which programs does ONE course count toward?".
+//   POST /progress answers "given EVERYTHING I have completed, how close am I
+//   to each program, and what is left?". That needs the requirement groups
+//   stored by ingest.js, because a program is not simply a list of courses:
+//
+//     all    — every course in the group is required
+//     choose — at least min_courses of the group's courses are required
+//     units  — courses from the group totalling at least min_units are required
+//
+// HOW PERCENT COMPLETE IS MEASURED:
+//   In units, since that is how CCSF states program totals. Each group
+//   contributes the units it requires and the units the student has
+//   completed toward it (never more than it requires):
+//
+//     all    — required: units of every course in the group
+//     choose — required: units of the min_courses SMALLEST courses, i.e. the
+//              least a student could take to satisfy the group
+//     units  — required: min_units
+//
+//   percent_complete = completed units ÷ required units, across all groups.
+// =============================================================================
+
+
+// -----------------------------------------------------------------------------
+// CONSTANTS
+// -----------------------------------------------------------------------------
+
+export const DEFAULT_UNITS = 3;
+// Used when a catalog page lists a course without its unit value. Most CCSF
+// lecture courses are 3 units, so this keeps percentages sensible instead of
+// treating an unknown course as worth nothing.
+
+
+// -----------------------------------------------------------------------------
+// FUNCTION: unitsOf(course)
+// -----------------------------------------------------------------------------
+
+function unitsOf(course) {
+  return course.units == null ? DEFAULT_UNITS : Number(course.units);
+  // Number() — node-postgres returns NUMERIC columns as strings ("3") to
+  // avoid losing precision, so they are converted here.
+}
+
+
+// -----------------------------------------------------------------------------
+// FUNCTION: groupProgress(group, completed)
+// PURPOSE:  Evaluates one requirement group against a Set of completed
+//           course codes. Returns:
+//             { label, rule, min_courses, min_units,
+//               completed:       course codes counted toward this group,
+//               remaining:       course codes that could still be taken,
+//               required_units, completed_units, satisfied }
+// -----------------------------------------------------------------------------
+
+export function groupProgress(group, completed) {
+  const done    = group.courses.filter(c => completed.has(c.course_code));
+  const notDone = group.courses.filter(c => !completed.has(c.course_code));
+  const doneUnits = done.reduce((sum, c) => sum + unitsOf(c), 0);
+
+  let requiredUnits;
+  let satisfied;
+
+  if (group.rule === 'choose') {
+    const cheapest = group.courses.map(unitsOf).sort((a, b) => a - b);
+    requiredUnits = cheapest.slice(0, group.min_courses).reduce((sum, u) => sum + u, 0);
+    satisfied     = done.length >= group.min_courses;
+  } else if (group.rule === 'units') {
+    requiredUnits = Number(group.min_units);
+    satisfied     = doneUnits >= requiredUnits;
+  } else {
+    requiredUnits = group.courses.reduce((sum, c) => sum + unitsOf(c), 0);
+    satisfied     = notDone.length === 0;
+  }
+
+  return {
+    label:           group.label,
+    rule:            group.rule,
+    min_courses:     group.min_courses,
+    min_units:       group.min_units == null ? null : Number(group.min_units),
+    completed:       done.map(c => c.course_code),
+    remaining:       satisfied ? [] : notDone.map(c => c.course_code),
+    // Once a "choose" or "units" group is satisfied, its other courses are
+    // optional, so they are no longer listed as remaining.
+    required_units:  requiredUnits,
+    completed_units: Math.min(doneUnits, requiredUnits),
+    // Capped: extra electives beyond what the group needs do not push a
+    // program past 100%.
+    satisfied
+  };
+}
+
+
+// -----------------------------------------------------------------------------
+// FUNCTION: programProgress(program, completed)
+// PURPOSE:  Evaluates every group of one program. "program" is
+//           { name, ..., groups: [{ label, rule, min_courses, min_units,
+//           courses: [{ course_code, units }] }] }.
+// -----------------------------------------------------------------------------
+
+export function programProgress(program, completed) {
+  const groups = program.groups.map(group => groupProgress(group, completed));
+
+  const required = groups.reduce((sum, g) => sum + g.required_units, 0);
+  const done     = groups.reduce((sum, g) => sum + g.completed_units, 0);
+
+  const { groups: _, ...details } = program;
+  // Copies every program field (name, program_url, active, ...) except the
+  // raw groups, which are replaced by the evaluated ones below.
+
+  return {
+    ...details,
+    percent_complete: required === 0 ? 0 : Math.round((done / required) * 100),
+    completed_units:  done,
+    required_units:   required,
+    groups
+  };
+}
+
+
+// -----------------------------------------------------------------------------
+// FUNCTION: rankPrograms(programs, courseCodes)
+// PURPOSE:  Evaluates every program against the student's courses, keeps
+//           those at least one course counts toward, and sorts them from
+//           most to least complete. Ties are broken alphabetically so the
+//           order is stable between requests.
+// -----------------------------------------------------------------------------
+
+export function rankPrograms(programs, courseCodes) {
+  const completed = new Set(courseCodes);
+
+  return programs
+    .map(program => programProgress(program, completed))
+    .filter(result => result.groups.some(g => g.completed.length > 0))
+    .sort((a, b) =>
+      b.percent_complete - a.percent_complete || a.name.localeCompare(b.name)
+    );
+}
+
+
+// -----------------------------------------------------------------------------
+// FUNCTION: programsFromRows(rows)
+// PURPOSE:  The /progress query returns one row per (program, group, course).
+//           This folds those flat rows back into nested program objects in
+//           the shape rankPrograms() expects. Rows must be ordered by
+//           program name, then group position.
+// -----------------------------------------------------------------------------
+
+export function programsFromRows(rows) {
+  const programs = new Map();
+
+  for (const row of rows) {
+    if (!programs.has(row.name)) {
+      programs.set(row.name, {
+        institution:  row.institution,
+        name:         row.name,
+        award_type:   row.award_type,
+        department:   row.department,
+        program_url:  row.program_url,
+        catalog_year: row.catalog_year,
+        active:       row.active,
+        groups:       new Map()
+      });
+    }
+    const groups = programs.get(row.name).groups;
+
+    if (!groups.has(row.group_id)) {
+      groups.set(row.group_id, {
+        label:       row.label,
+        rule:        row.rule,
+        min_courses: row.min_courses,
+        min_units:   row.min_units,
+        courses:     []
+      });
+    }
+    groups.get(row.group_id).courses.push({ course_code: row.course_code, units: row.units });
+  }
+
+  return [...programs.values()].map(program => ({
+    ...program,
+    groups: [...program.groups.values()]
+    // Maps preserve insertion order, so groups stay in catalog order.
+  }));
+}
@@ -0,0 +1,251 @@
+// =============================================================================
+// protection.js
+// Abuse protection for server.js: per-IP rate limiting, security headers and
+// the token checks on /admin routes and GET /metrics.
+//
+// PURPOSE:
+//   CORS (SECTION 3 of server.js) only stops other websites' pages from
+//   reading responses in a browser. curl, a script or a bot ignores it, and
+//   every search it sends runs real queries against the catalog store. The
+//   rate limiter caps how many requests one IP address may make per time
+//   window; past the cap it answers 429 Too Many Requests without touching
+//   the store:
+//
+//     HTTP/1.1 429 Too Many Requests
+//     Retry-After: 37                      ← seconds until the window resets
+//     RateLimit-Limit: 60
+//     RateLimit-Remaining: 0
+//     RateLimit-Reset: 37
+//
+//   Counts are kept in this process's memory. That suits a single server on
+//   Render or Railway; several instances behind a load balancer would each
+//   count separately.
+// =============================================================================
+
+import { createHash, timingSafeEqual } from 'node:crypto';
+
+
+// -----------------------------------------------------------------------------
+// CONSTANTS
+// -----------------------------------------------------------------------------
+
+export const DEFAULT_WINDOW_MS = 60 * 1000;
+export const DEFAULT_MAX_REQUESTS = 60;
+// 60 requests a minute per IP. A student typing searches and scrolling
+// suggestions stays well below this; a script hammering /search does not.
+
+const SECURITY_HEADERS = {
+  'X-Content-Type-Options': 'nosniff',
+  // Browsers must treat a JSON response as JSON, never guess it is HTML or
+  // script ("MIME sniffing").
+
+  'X-Frame-Options': 'DENY',
+  // No page may show these responses inside a frame (clickjacking).
+
+  'Content-Security-Policy': "default-src 'none'; frame-ancestors 'none'",
+  // Every response is JSON, so a browser opening one directly needs to load
+  // nothing: no scripts, styles or images.
+
+  'Referrer-Policy': 'no-referrer',
+
+  'Strict-Transport-Security': 'max-age=15552000; includeSubDomains'
+  // Once a browser has reached the server over HTTPS, it uses HTTPS for the
+  // next 180 days. Browsers ignore this header on plain-HTTP responses, so it
+  // is harmless during local development.
+};
+
+
+// -----------------------------------------------------------------------------
+// FUNCTION: createRateLimiter({ windowMs, max, now })
+// PURPOSE:  Counts requests per key (an IP address) in fixed time windows.
+//           Returns { hit(key), size }.
+//
+//   hit(key) records one request and returns
+//     { limited, limit, remaining, resetSeconds }
+//   where limited is true once the key has made more than "max" requests in
+//   its current window.
+//
+//   Each key's window starts at its first request and lasts windowMs.
+//   Expired windows are swept out at most once per window, during a hit(),
+//   so addresses that stop sending requests do not accumulate in memory.
+//
+//   "now" returns the current time in ms; it can be replaced in tests.
+// -----------------------------------------------------------------------------
+
+export function createRateLimiter({ windowMs = DEFAULT_WINDOW_MS, max = DEFAULT_MAX_REQUESTS, now = Date.now } = {}) {
+  const windows = new Map();
+  // key → { count, resetAt }
+
+  let nextSweep = now() + windowMs;
+
+  function sweep(time) {
+    for (const [key, window] of windows) {
+      if (window.resetAt <= time) windows.delete(key);
+    }
+    nextSweep = time + windowMs;
+  }
+
+  return {
+    hit(key) {
+      const time = now();
+      if (time >= nextSweep) sweep(time);
+
+      let window = windows.get(key);
+      if (!window || window.resetAt <= time) {
+        window = { count: 0, resetAt: time + windowMs };
+        windows.set(key, window);
+      }
+      window.count++;
+
+      return {
+        limited:      window.count > max,
+        limit:        max,
+        remaining:    Math.max(0, max - window.count),
+        resetSeconds: Math.ceil((window.resetAt - time) / 1000)
+      };
+    },
+
+    get size() {
+      return windows.size;
+    }
+  };
+}
+
+
+// -----------------------------------------------------------------------------
+// FUNCTION: rateLimit(limiter, onLimited)
+// PURPOSE:  Express middleware that counts each request against req.ip and
+//           adds the RateLimit-* headers. Over the limit, it sets Retry-After
+//           and the 429 status and calls onLimited(req, res) to send the body,
+//           so each set of routes can answer in its own error format.
+//
+//   req.ip is the caller's address only if Express knows how many proxies
+//   sit in front of it; see TRUST_PROXY in .env.example.
+// -----------------------------------------------------------------------------
+
+export function rateLimit(limiter, onLimited) {
+  return (req, res, next) => {
+    const { limited, limit, remaining, resetSeconds } = limiter.hit(req.ip);
+
+    res.set({
+      'RateLimit-Limit':     String(limit),
+      'RateLimit-Remaining': String(remaining),
+      'RateLimit-Reset':     String(resetSeconds)
+    });
+
+    if (limited) {
+      res.set('Retry-After', String(resetSeconds));
+      res.status(429);
+      return onLimited(req, res);
+    }
+
+    next();
+  };
+}
+
+
+// -----------------------------------------------------------------------------
+// FUNCTION: securityHeaders()
+// PURPOSE:  Express middleware that adds SECURITY_HEADERS to every response.
+// -----------------------------------------------------------------------------
+
+export function securityHeaders() {
+  return (req, res, next) => {
+    res.set(SECURITY_HEADERS);
+    next();
+  };
+}
+
+
+// -----------------------------------------------------------------------------
+// FUNCTION: requireAdminToken(setting)
+// PURPOSE:  Express middleware for /admin routes. The request must carry
+//             Authorization: Bearer <token>
+//           matching a token in ADMIN_TOKEN, which is either one token or a
+//           comma-separated list of name:token pairs, one per person:
+//             ADMIN_TOKEN=3f9c...                      → user "admin"
+//             ADMIN_TOKEN=maria:3f9c...,devon:81ab...  → users "maria", "devon"
+//           The matching name is set as req.adminUser, which the audit log
+//           records as who made each change. Without ADMIN_TOKEN set, admin
+//           routes are switched off entirely (503) rather than left open.
+//           Throws if an entry has an empty token ("maria:") or an empty
+//           name (":3f9c..."), so the server refuses to start rather than
+//           let anyone in as that person, or anyone in unnamed.
+// -----------------------------------------------------------------------------
+
+export function requireAdminToken(setting) {
+  const users = (setting ?? '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+      const colon = entry.indexOf(':');
+      const name  = colon === -1 ? 'admin' : entry.slice(0, colon);
+      const token = colon === -1 ? entry : entry.slice(colon + 1);
+
+      if (!token.trim()) {
+        throw new Error(`ADMIN_TOKEN: the entry for "${name}" has no token. Use name:token, e.g. ${name}:3f9c...`);
+      }
+      // A request without an Authorization header presents the empty token,
+      // which would match an empty entry and be let in as that person.
+
+      if (!name.trim()) {
+        throw new Error('ADMIN_TOKEN: an entry has no name before its token. Use name:token, e.g. maria:3f9c...');
+      }
+      // The name is what the audit log records as the actor; a blank one
+      // would leave that person's changes unattributed. The token is not
+      // repeated in the message, which ends up in the startup log.
+
+      return { name, digest: digest(token) };
+    });
+
+  return (req, res, next) => {
+    if (users.length === 0) {
+      return res.status(503).json({ error: 'Admin endpoints are disabled. Set ADMIN_TOKEN to enable them.' });
+    }
+
+    const token = readBearerToken(req);
+    if (!token.trim()) {
+      return res.status(401).json({ error: 'A valid admin token is required.' });
+    }
+    // No header, or "Bearer " with nothing after it, is turned away before
+    // any comparison.
+
+    const given = digest(token);
+    const user = users.find(candidate => timingSafeEqual(given, candidate.digest));
+    if (!user) {
+      return res.status(401).json({ error: 'A valid admin token is required.' });
+    }
+    // Compared in constant time; see tokensMatch() below.
+
+    req.adminUser = user.name;
+    next();
+  };
+}
+
+
+// -----------------------------------------------------------------------------
+// FUNCTION: readBearerToken(req) / tokensMatch(given, expected)
+// PURPOSE:  The token in a request's "Authorization: Bearer <token>" header
+//           ('' without one), and whether a given token equals the expected
+//           one. Used by requireAdminToken() above and GET /metrics in
+//           server.js, so every token check in the app is the same one.
+//
+//   timingSafeEqual takes as long whichever byte differs, so response times
+//   reveal nothing about how much of a guess was right; a plain === stops
+//   at the first wrong character. Comparing SHA-256 digests gives it the
+//   equal-length inputs it requires.
+// -----------------------------------------------------------------------------
+
+export function readBearerToken(req) {
+  const header = req.get('Authorization') ?? '';
+  return header.startsWith('Bearer ') ? header.slice('Bearer '.length) : '';
+}
+
+export function tokensMatch(given, expected) {
+  return timingSafeEqual(digest(given), digest(expected));
+}
+
+function digest(value) {
+  return createHash('sha256').update(value).digest();
+}
@@ -0,0 +1,316 @@
+-- =============================================================================
+-- schema.sql
+-- Database schema for the Course Reverse Search application.
+--
+-- Run once against the TimescaleDB instance before the first ingest:
+--   psql "$DATABASE_URL" -f schema.sql
+--
+-- Every statement uses IF NOT EXISTS, so running this file again is harmless.
+--
+-- Every catalog table has an "institution" column: the id of the college the
+-- row belongs to (see the institutions table). Rows that existed before
+-- colleges were added get 'ccsf', the only college then loaded.
+-- =============================================================================
+
+
+-- -----------------------------------------------------------------------------
+-- TABLE: institutions
+-- One row per college with a catalog. The id is also the name of the
+-- college's parser plugin (parsers/<id>.js) and fixtures folder; the name is
+-- the one the plugin exports. Written by ingest.js, read by GET /institutions.
+-- -----------------------------------------------------------------------------
+
+CREATE TABLE IF NOT EXISTS institutions (
+  id   TEXT PRIMARY KEY,          -- e.g. 'ccsf'
+  name TEXT NOT NULL              -- e.g. 'City College of San Francisco'
+);
+
+INSERT INTO institutions (id, name)
+VALUES ('ccsf', 'City College of San Francisco')
+ON CONFLICT (id) DO NOTHING;
+-- The college every existing row is given below.
+
+
+-- -----------------------------------------------------------------------------
+-- TABLE: course_qualifications
+-- One row per (course, program) pair. Read by server.js (/search), written by
+-- ingest.js. Exactly one of degree_name / certificate_name is set per row.
+-- -----------------------------------------------------------------------------
+
+CREATE TABLE IF NOT EXISTS course_qualifications (
+  course_code      TEXT NOT NULL,  -- normalized "DEPT NUM", e.g. 'CNIT 120'
+  degree_name      TEXT,           -- e.g. 'A.S. Network Security'
+  certificate_name TEXT            -- e.g. 'Cybersecurity Certificate of Achievement'
+);
+
+ALTER TABLE course_qualifications ADD COLUMN IF NOT EXISTS institution TEXT NOT NULL DEFAULT 'ccsf';
+
+-- Prevents the ingester from inserting the same pair twice. COALESCE is
+-- required because PostgreSQL treats NULLs as distinct in a plain unique
+-- index, which would let duplicate rows with a NULL column slip through.
+-- The same pair may exist at two colleges, so the college is part of the key.
+DROP INDEX IF EXISTS course_qualifications_unique;
+CREATE UNIQUE INDEX IF NOT EXISTS course_qualifications_institution_unique
+  ON course_qualifications (institution, course_code, COALESCE(degree_name, ''), COALESCE(certificate_name, ''));
+
+
+-- -----------------------------------------------------------------------------
+-- TABLE: catalog_snapshots
+-- One row per ingest run. The id is the snapshot's version number; the
+-- changes it introduced are stored in catalog_changes under that id.
+-- -----------------------------------------------------------------------------
+
+CREATE TABLE IF NOT EXISTS catalog_snapshots (
+  id           SERIAL PRIMARY KEY,
+  taken_at     TIMESTAMPTZ NOT NULL DEFAULT now(),
+  source       TEXT NOT NULL,     -- folder the pages were read from
+  row_count    INTEGER NOT NULL,  -- course_qualifications rows after loading
+  change_count INTEGER NOT NULL   -- rows written to catalog_changes
+);
+
+-- Each ingest reads one college; its snapshot's changes concern that
+-- college only.
+ALTER TABLE catalog_snapshots ADD COLUMN IF NOT EXISTS institution TEXT NOT NULL DEFAULT 'ccsf';
+
+
+-- -----------------------------------------------------------------------------
+-- TABLE: catalog_changes
+-- Append-only change log written by ingest.js and read by GET /changes.
+-- change_type is one of: course_added, course_removed, program_added,
+-- program_renamed, program_retired (see catalog-diff.js).
+-- -----------------------------------------------------------------------------
+
+CREATE TABLE IF NOT EXISTS catalog_changes (
+  id            SERIAL PRIMARY KEY,
+  snapshot_id   INTEGER NOT NULL REFERENCES catalog_snapshots (id),
+  change_type   TEXT NOT NULL,
+  program_name  TEXT NOT NULL,    -- the program's name in the new snapshot
+  previous_name TEXT,             -- program_renamed only: the old name
+  course_code   TEXT              -- course_added / course_removed only
+);
+
+CREATE INDEX IF NOT EXISTS catalog_changes_snapshot
+  ON catalog_changes (snapshot_id);
+
+
+-- -----------------------------------------------------------------------------
+-- TABLE: programs
+-- One row per degree or certificate, holding the details that are the same
+-- for every course in it. Joined to course_qualifications on the college and
+-- the program name (degree_name or certificate_name). Written by ingest.js.
+-- -----------------------------------------------------------------------------
+
+CREATE TABLE IF NOT EXISTS programs (
+  name        TEXT NOT NULL,     -- e.g. 'A.S. Network Security'
+  award_type  TEXT,              -- e.g. 'Associate in Science Degree'
+  department  TEXT,              -- e.g. 'Computer Networking and Information Technology'
+  program_url TEXT               -- official catalog page for the program
+);
+
+-- Active vs. retired tracking. A program missing from a new snapshot is
+-- marked inactive instead of deleted, so its history and course rows remain.
+-- Added with ALTER so an existing programs table is upgraded in place.
+ALTER TABLE programs ADD COLUMN IF NOT EXISTS catalog_year TEXT;                          -- e.g. '2025-2026'
+ALTER TABLE programs ADD COLUMN IF NOT EXISTS active       BOOLEAN NOT NULL DEFAULT true;
+ALTER TABLE programs ADD COLUMN IF NOT EXISTS retired_at   TIMESTAMPTZ;                   -- set when active becomes false
+ALTER TABLE programs ALTER COLUMN award_type DROP NOT NULL;
+-- A program retired before its details were ever scraped has no award type.
+
+-- Short numeric id used in URLs (GET /programs/:id), so links do not have to
+-- carry a full program name. SERIAL numbers existing rows automatically.
+-- Ids are unique across colleges, so an id alone identifies a program.
+ALTER TABLE programs ADD COLUMN IF NOT EXISTS id SERIAL UNIQUE;
+
+-- Program names are unique within a college only: two colleges can both
+-- offer an 'A.S. Computer Science'. The old primary key on the name alone is
+-- dropped in the requirement_groups section below, once nothing refers to it.
+ALTER TABLE programs ADD COLUMN IF NOT EXISTS institution TEXT NOT NULL DEFAULT 'ccsf';
+CREATE UNIQUE INDEX IF NOT EXISTS programs_institution_name
+  ON programs (institution, name);
+
+
+-- -----------------------------------------------------------------------------
+-- TABLES: requirement_groups, requirement_courses
+-- How each program's requirements are structured, not just which courses
+-- appear in it. Used by POST /progress to work out how close a student's
+-- completed courses come to finishing each program. Written by ingest.js.
+--
+-- rule is one of:
+--   all    — every course in the group is required
+--   choose — at least min_courses of the group's courses are required
+--   units  — courses from the group totalling at least min_units are required
+-- -----------------------------------------------------------------------------
+
+CREATE TABLE IF NOT EXISTS requirement_groups (
+  id           SERIAL PRIMARY KEY,
+  program_name TEXT NOT NULL,
+  position     INTEGER NOT NULL,  -- order the group appears on the catalog page
+  label        TEXT NOT NULL,     -- heading as printed, e.g. 'Choose two of the following:'
+  rule         TEXT NOT NULL CHECK (rule IN ('all', 'choose', 'units')),
+  min_courses  INTEGER,           -- 'choose' only
+  min_units    NUMERIC            -- 'units' only
+);
+
+-- Requirement category shown to students by /search, next to each program:
+--   core     — a required course
+--   choose   — one of a restricted set of choices ("Choose two of ...")
+--   elective — counts toward an elective unit minimum or elective list
+-- Set by ingest.js from the group heading (see parseRequirementRule).
+ALTER TABLE requirement_groups ADD COLUMN IF NOT EXISTS category TEXT NOT NULL DEFAULT 'core'
+  CHECK (category IN ('core', 'choose', 'elective'));
+
+-- A group belongs to the program with its college and name, and is deleted
+-- with it. Older databases referenced the program by name alone; that
+-- foreign key and the programs primary key it needed are replaced here.
+ALTER TABLE requirement_groups ADD COLUMN IF NOT EXISTS institution TEXT NOT NULL DEFAULT 'ccsf';
+ALTER TABLE requirement_groups DROP CONSTRAINT IF EXISTS requirement_groups_program_name_fkey;
+ALTER TABLE programs DROP CONSTRAINT IF EXISTS programs_pkey;
+
+DO $$
+BEGIN
+  ALTER TABLE requirement_groups
+    ADD CONSTRAINT requirement_groups_program_fkey
+    FOREIGN KEY (institution, program_name)
+    REFERENCES programs (institution, name) ON DELETE CASCADE;
+EXCEPTION WHEN duplicate_object THEN
+  NULL;
+END $$;
+-- ADD CONSTRAINT has no IF NOT EXISTS; the exception handler makes a second
+-- run skip it instead of failing.
+
+CREATE TABLE IF NOT EXISTS requirement_courses (
+  group_id    INTEGER NOT NULL REFERENCES requirement_groups (id) ON DELETE CASCADE,
+  course_code TEXT NOT NULL,
+  units       NUMERIC,            -- null when the catalog page does not say
+  PRIMARY KEY (group_id, course_code)
+);
+
+CREATE INDEX IF NOT EXISTS requirement_courses_course
+  ON requirement_courses (course_code);
+
+
+-- -----------------------------------------------------------------------------
+-- TABLE: course_equivalencies
+-- Courses that are the same course under another number. /search looks a
+-- code up in BOTH columns, so either number finds the other's programs.
+--
+-- relation is one of:
+--   ccn          — course_code is the legacy number, equivalent_code is its
+--                  AB 1111 Common Course Numbering replacement
+--                  (e.g. 'PSYC 1' → 'PSYC C1000')
+--   cross_listed — the same course offered by two departments
+-- Added by ingest.js from "(formerly ...)" / "(same as ...)" catalog notes.
+-- -----------------------------------------------------------------------------
+
+CREATE TABLE IF NOT EXISTS course_equivalencies (
+  course_code     TEXT NOT NULL,
+  equivalent_code TEXT NOT NULL,
+  relation        TEXT NOT NULL CHECK (relation IN ('ccn', 'cross_listed'))
+);
+
+-- Equivalencies are a college's own numbering, so each college has its own.
+ALTER TABLE course_equivalencies ADD COLUMN IF NOT EXISTS institution TEXT NOT NULL DEFAULT 'ccsf';
+ALTER TABLE course_equivalencies DROP CONSTRAINT IF EXISTS course_equivalencies_pkey;
+CREATE UNIQUE INDEX IF NOT EXISTS course_equivalencies_institution_unique
+  ON course_equivalencies (institution, course_code, equivalent_code);
+
+CREATE INDEX IF NOT EXISTS course_equivalencies_equivalent
+  ON course_equivalencies (equivalent_code);
+
+
+-- -----------------------------------------------------------------------------
+-- TABLE: courses
+-- The course catalog: one row per course code with its title. Backs the
+-- GET /suggest typeahead (prefix, title and "did you mean" matching).
+-- Written by ingest.js from the course lists on program pages.
+-- -----------------------------------------------------------------------------
+
+CREATE TABLE IF NOT EXISTS courses (
+  course_code TEXT NOT NULL,      -- normalized, e.g. 'CNIT 120'
+  title       TEXT,               -- e.g. 'Network Security'
+  units       NUMERIC
+);
+
+-- The same code is a different course at another college.
+ALTER TABLE courses ADD COLUMN IF NOT EXISTS institution TEXT NOT NULL DEFAULT 'ccsf';
+ALTER TABLE courses DROP CONSTRAINT IF EXISTS courses_pkey;
+CREATE UNIQUE INDEX IF NOT EXISTS courses_institution_code
+  ON courses (institution, course_code);
+
+
+-- -----------------------------------------------------------------------------
+-- TABLE: search_events
+-- Append-only search analytics: one row per search made through POST /search
+-- or GET /api/v1/search, written by server.js and summarized by
+-- GET /admin/searches (see search-log.js). Only the normalized code and the
+-- number of programs found are kept — nothing that identifies the student.
+-- result_count = 0 marks searches that found nothing: scraper gaps or typos.
+-- -----------------------------------------------------------------------------
+
+CREATE TABLE IF NOT EXISTS search_events (
+  searched_at  TIMESTAMPTZ NOT NULL DEFAULT now(),
+  course_code  TEXT NOT NULL,     -- normalized, e.g. 'CNIT 120'
+  result_count INTEGER NOT NULL   -- programs found (0 = no results)
+);
+
+CREATE INDEX IF NOT EXISTS search_events_searched_at
+  ON search_events (searched_at);
+
+-- The college the search was made against.
+ALTER TABLE search_events ADD COLUMN IF NOT EXISTS institution TEXT NOT NULL DEFAULT 'ccsf';
+
+
+-- -----------------------------------------------------------------------------
+-- TABLE: catalog_overrides
+-- Manual corrections made through the /admin API (see catalog-admin.js).
+-- They are applied to the live tables at once, and ingest.js re-applies them
+-- to every new scrape, so the next re-ingest does not undo them.
+--
+-- action is one of:
+--   add_mapping    — program_name lists course_code, whatever the scrape says
+--   remove_mapping — program_name does not list course_code
+--   retire_program — program_name stays inactive (course_code is null)
+--
+-- At most one override per (college, program, course): a later correction of
+-- the same mapping replaces the earlier one.
+-- -----------------------------------------------------------------------------
+
+CREATE TABLE IF NOT EXISTS catalog_overrides (
+  id           SERIAL PRIMARY KEY,
+  action       TEXT NOT NULL CHECK (action IN ('add_mapping', 'remove_mapping', 'retire_program')),
+  program_name TEXT NOT NULL,
+  course_code  TEXT,
+  created_at   TIMESTAMPTZ NOT NULL DEFAULT now(),
+  created_by   TEXT NOT NULL     -- admin user name (see ADMIN_TOKEN)
+);
+
+ALTER TABLE catalog_overrides ADD COLUMN IF NOT EXISTS institution TEXT NOT NULL DEFAULT 'ccsf';
+
+DROP INDEX IF EXISTS catalog_overrides_unique;
+CREATE UNIQUE INDEX IF NOT EXISTS catalog_overrides_institution_unique
+  ON catalog_overrides (institution, program_name, COALESCE(course_code, ''));
+
+
+-- -----------------------------------------------------------------------------
+-- TABLE: admin_audit_log
+-- Append-only record of every edit made through the /admin API: who made it,
+-- when, and what it changed. Read by GET /admin/audit.
+--
+-- action is one of: mapping_added, mapping_removed, mapping_changed,
+-- program_retired, program_reactivated, override_deleted.
+-- details holds anything else the action needs, e.g. for mapping_changed
+-- { "new_course_code": "CNIT 120" }.
+-- -----------------------------------------------------------------------------
+
+CREATE TABLE IF NOT EXISTS admin_audit_log (
+  id           SERIAL PRIMARY KEY,
+  changed_at   TIMESTAMPTZ NOT NULL DEFAULT now(),
+  actor        TEXT NOT NULL,
+  action       TEXT NOT NULL,
+  program_name TEXT,
+  course_code  TEXT,
+  details      JSONB
+);
+
+-- The college of the program that was edited.
+ALTER TABLE admin_audit_log ADD COLUMN IF NOT EXISTS institution TEXT NOT NULL DEFAULT 'ccsf';
@@ -20,6 +20,22 @@
 // =============================================================================
 
 
+// -----------------------------------------------------------------------------
+// IMPORTS
+// index.html loads this file as an ES module (<script type="module">), so it
+// can import code from the files beside it. Browsers load modules only over
+// HTTP(S), not from a page opened as a file:// URL.
+// -----------------------------------------------------------------------------
+
+import { isCourseCode, DEFAULT_INSTITUTION, MAX_TRANSCRIPT_COURSES } from './validation.js';
+// The input rules server.js checks every request against (see
+// validation.js). Importing them, rather than keeping a copy here, means
+// the page never accepts a course code the server turns away.
+
+import { TRANSLATIONS } from './translations.js';
+// The page's own text in every language (see LANGUAGES below).
+
+
 // -----------------------------------------------------------------------------
 // API BASE URL — GITHUB PAGES DEPLOYMENT CHANGE
 // This is the only value that must be updated when the backend is deployed.
@@ -41,57 +57,428 @@ const API_BASE = 'https://your-backend-url.onrender.com';
 // needs to be updated in one place if the backend host ever changes.
 
 
+// -----------------------------------------------------------------------------
+// OFFLINE SEARCH INDEX
+// The Pages deployment also ships search-index.json, built from the catalog
+// by build-index.js: every course search answered in advance. script.js can
+// search it in the browser when the backend is asleep or down.
+//
+// SEARCH_MODE:
+//   'auto'   — ask server.js first; if it cannot be reached (or takes longer
+//              than API_TIMEOUT_MS), answer from the index instead.
+//   'api'    — server.js only. Searches fail when it is down.
+//   'static' — the index only. server.js is never contacted, so the site
+//              works with no backend deployed at all.
+// -----------------------------------------------------------------------------
+
+const SEARCH_MODE = 'auto';
+
+const SEARCH_INDEX_URL = 'search-index.json';
+// Relative URL: resolved against the page, so it works under any Pages path
+// (https://yourusername.github.io/repo-name/search-index.json).
+
+const API_TIMEOUT_MS = 8000;
+// How long 'auto' mode waits for server.js before using the index. Free
+// hosting tiers stop idle servers, and waking one can take 30 seconds or
+// more; the index answers immediately instead.
+
+
+// -----------------------------------------------------------------------------
+// COLLEGES
+// Each college's catalog is searched separately. #institution_select in
+// index.html picks the college; its value (a college id such as 'ccsf') is
+// sent with every search, progress check, suggestion and Browse request.
+// -----------------------------------------------------------------------------
+
+// DEFAULT_INSTITUTION (from validation.js) is the college server.js
+// searches when a request names none. It is the select's first option in
+// index.html, so the page works before (or without) the list of colleges
+// loading.
+
+
+// -----------------------------------------------------------------------------
+// FUNCTION: selectedInstitution() / institutionName(id)
+// PURPOSE:  The id of the college chosen in #institution_select, and the
+//           full name shown for a college id (the id itself if the college
+//           is not in the list).
+// -----------------------------------------------------------------------------
+
+function selectedInstitution() {
+  return document.getElementById('institution_select').value || DEFAULT_INSTITUTION;
+}
+
+function institutionName(id) {
+  const option = [...document.getElementById('institution_select').options]
+    .find(o => o.value === id);
+  return option ? option.textContent : id;
+}
+
+
+// -----------------------------------------------------------------------------
+// LANGUAGES
+// The page's own text comes from TRANSLATIONS, imported from
+// translations.js above. #language_select picks the language,
+// and the choice is remembered in localStorage for the next visit.
+// -----------------------------------------------------------------------------
+
+const DEFAULT_LANGUAGE = 'en';
+
+let currentLanguage = DEFAULT_LANGUAGE;
+// Set by applyLanguage(); also passed to toLocaleDateString() so dates are
+// written the way the chosen language writes them.
+
+
+// -----------------------------------------------------------------------------
+// FUNCTION: t(key, ...values)
+// PURPOSE:  The text for "key" in the current language, with "values"
+//           filled in:
+//             t('searchButton')       → 'Buscar'        (es)
+//             t('matchesFound', 3)    → '3 matches found.'  (en)
+//           A key the language has not translated yet falls back to English.
+// -----------------------------------------------------------------------------
+
+function t(key, ...values) {
+  const message = TRANSLATIONS[currentLanguage]?.[key] ?? TRANSLATIONS[DEFAULT_LANGUAGE][key];
+  return typeof message === 'function' ? message(...values) : message;
+}
+
+
+// -----------------------------------------------------------------------------
+// FUNCTION: preferredLanguage()
+// PURPOSE:  The language to start in: the one picked on an earlier visit,
+//           else the first of the browser's languages the page has (so
+//           "es-MX" gives 'es' and "zh-CN" gives 'zh'), else English.
+// -----------------------------------------------------------------------------
+
+function preferredLanguage() {
+  let saved = null;
+  try {
+    saved = localStorage.getItem('language');
+  } catch {
+    // Some privacy settings block localStorage; the browser's languages
+    // are used instead.
+  }
+
+  for (const tag of [saved, ...(navigator.languages ?? [navigator.language])]) {
+    const code = tag?.toLowerCase().split('-')[0];
+    if (code && Object.hasOwn(TRANSLATIONS, code)) return code;
+  }
+  return DEFAULT_LANGUAGE;
+}
+
+
+// -----------------------------------------------------------------------------
+// FUNCTION: applyLanguage(language)
+// PURPOSE:  Switches the page to "language": the text of every element
+//           index.html marks with a data-i18n attribute, the <html lang>
+//           attribute (which tells screen readers which voice to read with)
+//           and any results already on screen. Exported for the tests
+//           in test/.
+//
+//   data-i18n="key"              → the element's text
+//   data-i18n-placeholder="key"  → its placeholder
+//   data-i18n-label="key"        → its aria-label
+//   data-i18n-value="key"        → its value (the text of a submit button)
+// -----------------------------------------------------------------------------
+
+export function applyLanguage(language) {
+  currentLanguage = language;
+  document.documentElement.lang = language;
+  document.title = `💻 ${t('appTitle')}`;
+
+  for (const el of document.querySelectorAll('[data-i18n]')) {
+    el.textContent = t(el.dataset.i18n);
+  }
+  for (const el of document.querySelectorAll('[data-i18n-placeholder]')) {
+    el.placeholder = t(el.dataset.i18nPlaceholder);
+  }
+  for (const el of document.querySelectorAll('[data-i18n-label]')) {
+    el.setAttribute('aria-label', t(el.dataset.i18nLabel));
+  }
+  for (const el of document.querySelectorAll('[data-i18n-value]')) {
+    el.value = t(el.dataset.i18nValue);
+  }
+  // dataset turns data-i18n-placeholder into dataset.i18nPlaceholder.
+
+  if (resultView) {
+    renderResultView();
+  }
+}
+
+
+// -----------------------------------------------------------------------------
+// FUNCTION: setupLanguages()
+// PURPOSE:  Starts the page in preferredLanguage() and switches language
+//           when the student picks another one.
+// -----------------------------------------------------------------------------
+
+function setupLanguages() {
+  const selectEl = document.getElementById('language_select');
+
+  selectEl.value = preferredLanguage();
+  applyLanguage(selectEl.value);
+
+  selectEl.addEventListener('change', () => {
+    try {
+      localStorage.setItem('language', selectEl.value);
+    } catch {
+      // Not remembered, but the page still switches.
+    }
+    applyLanguage(selectEl.value);
+    loadPrograms();
+    // Redraws the Browse list, whose counts and labels are text too.
+  });
+}
+
+
 // -----------------------------------------------------------------------------
 // FUNCTION: useRegex(input)
 // PURPOSE:  Validates the course number format before any network request.
 //           Client-side validation only — for user experience, not security.
-//           server.js performs its own validation as the authoritative check.
+//           server.js performs its own validation as the authoritative check,
+//           with the same rule: both use isCourseCode() from validation.js,
+//           where the pattern is explained. Exported for the tests in test/.
 // -----------------------------------------------------------------------------
 
-function useRegex(input) {
+export function useRegex(input) {
+  return isCourseCode(input);
+  // Accepts traditional codes (CNIT 120, BIOL 11A) and Common Course
+  // Numbering codes (PSYC C1000). Surrounding whitespace is ignored, so
+  // "  PSYC C1000  " still passes.
+}
 
-  const regex = /^[A-Za-z]{2,4}\s(C\d{4}|\d{1,4}[A-Za-z]?)$/;
-  // Pattern breakdown:
-  //   ^             — Start anchor. Match must begin at character 1.
-  //   [A-Za-z]{2,4} — 2 to 4 letters. Department codes: CS, CNIT, MATH, PSYC.
-  //   \s            — Exactly one whitespace character (required separator).
-  //   (...)         — Alternation group: matches EITHER the CCN format OR the
-  //                   traditional format. The two branches are:
-  //
-  //   Branch 1 — Common Course Numbering (CCN) format, per AB 1111 (Fall 2025+):
-  //   C\d{4}        — A literal "C" (for "Common") followed by exactly 4 digits.
-  //                   CCN course numbers run from 1000 through 4000.
-  //                   The "C" is case-insensitive here due to the [A-Za-z] flag
-  //                   on the prefix, but in practice CCSF uses uppercase "C".
-  //                   Examples: C1000, C1001, C4000
-  //                   Full input examples: PSYC C1000, ENGL C1001, STAT C1000
-  //
-  //   Branch 2 — Traditional (pre-CCN) course number format:
-  //   \d{1,4}       — 1 to 4 digits. Course numbers: 1, 80, 101, 9999.
-  //   [A-Za-z]?     — 0 or 1 optional trailing letter suffix, e.g. "A".
-  //                   Full input examples: CS 101, CNIT 120, MATH 80, BIOL 11A
-  //
-  //   $             — End anchor. Nothing may follow the last character.
-  //
-  // WHY an alternation group and not a simpler pattern?
-  //   The CCN format introduces an alphabetic character ("C") in the position
-  //   where the old format expects a digit. The two formats are mutually
-  //   exclusive at that position, so a single linear pattern cannot cover both
-  //   without becoming overly permissive (e.g., accepting "MATH A101" which is
-  //   not a valid CCSF course code in either system).
 
-  return regex.test(input.trim());
-  // .trim() strips leading/trailing whitespace so "  PSYC C1000  " still passes.
-  // .test() returns true if the pattern matches either branch, false otherwise.
+// -----------------------------------------------------------------------------
+// FUNCTION: makeElement(tag, attributes, ...children)
+// PURPOSE:  Builds one DOM element:
+//             makeElement('li', { className: 'retired' },
+//               makeElement('strong', { text: 'A.S. Network Security' }),
+//               ' — 75% complete')
+//           "text" sets the element's textContent, "className" its class,
+//           and every other entry becomes an HTML attribute. Children are
+//           elements or strings; null, false and '' are skipped, so optional
+//           parts can be written as "condition && makeElement(...)".
+//
+//   Strings are added as text, never parsed as HTML. Program names, titles
+//   and URLs come from scraped catalog pages, so a stray "<" in one can
+//   never become markup — the reason results are built this way rather
+//   than as an innerHTML string.
+// -----------------------------------------------------------------------------
+
+function makeElement(tag, attributes = {}, ...children) {
+  const element = document.createElement(tag);
+
+  for (const [name, value] of Object.entries(attributes)) {
+    if (value == null || value === false) continue;
+    if (name === 'text') {
+      element.textContent = value;
+    } else if (name === 'className') {
+      element.className = value;
+    } else {
+      element.setAttribute(name, value);
+    }
+  }
+
+  element.append(...children.filter(child => child != null && child !== false && child !== ''));
+  // append() adds strings as text nodes.
+  return element;
+}
+
+
+// -----------------------------------------------------------------------------
+// FUNCTION: programLink(name, url)
+// PURPOSE:  A program name as a link to its official catalog page, or as
+//           plain text when no URL was saved for the program.
+// -----------------------------------------------------------------------------
+
+function programLink(name, url) {
+  if (!url || !/^https?:\/\//.test(url)) {
+    return name;
+    // Only http(s) links are rendered. Anything else (missing, relative, or a
+    // "javascript:" URL) is shown as plain text instead of a clickable link.
+  }
+  return makeElement('a', { href: url, target: '_blank', rel: 'noopener noreferrer', text: name });
+  // target="_blank"            — opens the catalog in a new tab so the
+  //                              search results stay on screen.
+  // rel="noopener noreferrer"  — stops the opened page from controlling
+  //                              this tab through window.opener.
+}
+
+
+// -----------------------------------------------------------------------------
+// FUNCTION: describeRequirement(req)
+// PURPOSE:  Turns one entry of a result row's "requirements" array into a
+//           short sentence saying what slot the searched course fills:
+//             core     — "Core requirement (3 units)"
+//             choose   — "Restricted choice — pick 1 of 2 (3 units)"
+//             elective — "Elective — counts toward 3 units from 3 options (3 units)"
+//           Returns plain text, so it can also go into a CSV download.
+// -----------------------------------------------------------------------------
+
+function describeRequirement(req) {
+  const units = req.units == null ? '' : ` (${t('unitCount', req.units)})`;
+
+  let text;
+  if (req.category === 'core') {
+    text = t('coreRequirement');
+  } else if (req.rule === 'units') {
+    text = t('electiveUnits', req.min_units, req.options);
+  } else if (req.rule === 'choose') {
+    text = t(req.category === 'elective' ? 'electivePick' : 'restrictedPick', req.min_courses, req.options);
+  } else {
+    text = t('elective');
+  }
+
+  return `${text}${units}`;
+}
+
+
+// -----------------------------------------------------------------------------
+// FUNCTION: describeEquivalency(eq)
+// PURPOSE:  Explains one equivalency that server.js applied to a search:
+//             ccn          — "PSYC 1 / PSYC C1000 (PSYC C1000 is the Common
+//                             Course Number for PSYC 1)"
+//             cross_listed — "CNIT 129S / CS 129S (cross-listed)"
+// -----------------------------------------------------------------------------
+
+function describeEquivalency(eq) {
+  if (eq.relation === 'ccn') {
+    return t('equivalencyCcn', eq.course_code, eq.equivalent_code);
+  }
+  return t('crossListed', eq.course_code, eq.equivalent_code);
+}
+
+
+// -----------------------------------------------------------------------------
+// FUNCTION: loadSearchIndex()
+// PURPOSE:  Downloads search-index.json the first time it is needed and
+//           returns the parsed index. Later calls reuse the same download.
+// -----------------------------------------------------------------------------
+
+let searchIndexPromise = null;
+// Holds the pending or finished download. Storing the Promise (not the
+// result) means two searches made while it is still downloading share it.
+
+function loadSearchIndex() {
+  if (!searchIndexPromise) {
+    searchIndexPromise = fetch(SEARCH_INDEX_URL)
+      .then(response => {
+        if (!response.ok) throw new Error(`${SEARCH_INDEX_URL}: HTTP ${response.status}`);
+        return response.json();
+      })
+      .catch(err => {
+        searchIndexPromise = null;
+        // Forget the failed attempt so the next search tries again.
+        throw err;
+      });
+  }
+  return searchIndexPromise;
+}
+
+
+// -----------------------------------------------------------------------------
+// FUNCTION: searchIndex(courseCode, includeInactive, institution)
+// PURPOSE:  Answers a search from search-index.json in the same shape as
+//           POST /search, so handleSubmit() renders both the same way:
+//             { status: 200, data: { results, equivalencies } }
+//             { status: 404, data: { error } }
+//           See build-index.js for the index format.
+// -----------------------------------------------------------------------------
+
+async function searchIndex(courseCode, includeInactive, institution) {
+  const index = await loadSearchIndex();
+  const code  = courseCode.trim().toUpperCase();
+
+  const results = (index.courses[institution]?.[code] ?? [])
+    .map(([programIndex, matchedCode, requirements]) => ({
+      ...index.programs[programIndex],
+      matched_code: matchedCode || code,
+      requirements
+    }))
+    .filter(row => includeInactive || row.active !== false);
+  // The index includes retired programs; like server.js, they are only
+  // shown when "Include retired programs" is ticked.
+
+  if (results.length === 0) {
+    return { status: 404, data: { error: t('noPrograms') } };
+    // The server's 404 says the same in English; this one is written here,
+    // so it is shown in the page's language.
+  }
+  return {
+    status: 200,
+    data: {
+      results,
+      equivalencies: index.equivalencies[institution]?.[code] ?? [],
+      generated_at:  index.generated_at
+    }
+  };
+}
+
+
+// -----------------------------------------------------------------------------
+// FUNCTION: requestSearch(courseCode, includeInactive, institution)
+// PURPOSE:  Runs one search according to SEARCH_MODE and returns
+//           { status, data, fromIndex }. fromIndex is true when the answer
+//           came from search-index.json rather than server.js.
+//           Throws only if no source could answer at all.
+// -----------------------------------------------------------------------------
+
+async function requestSearch(courseCode, includeInactive, institution) {
+  if (SEARCH_MODE === 'static') {
+    return { ...await searchIndex(courseCode, includeInactive, institution), fromIndex: true };
+  }
+
+  try {
+    const response = await fetch(`${API_BASE}/search`, {
+      // "await" pauses here until the server responds. The browser event
+      // loop remains active — the tab does not freeze during the wait.
+
+      method: 'POST',
+      // POST sends data in the request body. GET is inappropriate here
+      // because GET requests cannot carry a body by convention.
+
+      headers: { 'Content-Type': 'application/json' },
+      // Tells server.js how to parse the request body.
+      // express.json() in server.js reads this header and parses accordingly.
+
+      body: JSON.stringify({ courseCode, includeInactive, institution }),
+      // Converts { courseCode: "CNIT 120", includeInactive: false, institution: "ccsf" }
+      // to the JSON string:
+      //   '{"courseCode":"CNIT 120","includeInactive":false,"institution":"ccsf"}'
+      // This string is sent as the HTTP request body to server.js.
+
+      signal: SEARCH_MODE === 'auto' ? AbortSignal.timeout(API_TIMEOUT_MS) : undefined
+      // Gives up on a server that is still waking up, so 'auto' can fall
+      // back to the index instead of leaving the student waiting.
+    });
+
+    if (response.status >= 500 && SEARCH_MODE === 'auto') {
+      throw new Error(`HTTP ${response.status}`);
+      // The server answered but its database did not; the index can still help.
+    }
+
+    return { status: response.status, data: await response.json(), fromIndex: false };
+    // response.json() reads the response body stream and parses it back
+    // into a JavaScript object. Also asynchronous, so "await" is required.
+
+  } catch (err) {
+    if (SEARCH_MODE !== 'auto') throw err;
+
+    console.warn('Backend unavailable, searching the offline index:', err);
+    return { ...await searchIndex(courseCode, includeInactive, institution), fromIndex: true };
+    // If the index cannot be loaded either, this throws and handleSubmit()
+    // reports a network error.
+  }
 }
 
 
 // -----------------------------------------------------------------------------
 // FUNCTION: handleSubmit(event)
 // PURPOSE:  Called when the user submits the form. Orchestrates all 5 steps.
+//           Exported for the tests in test/.
 // -----------------------------------------------------------------------------
 
-async function handleSubmit(event) {
+export async function handleSubmit(event) {
   // "async" enables use of "await" inside this function. Without it, await
   // would be a syntax error and fetch() would return an unresolved Promise
   // instead of pausing until the server responds.
@@ -113,10 +500,10 @@ async function handleSubmit(event) {
   // -------------------------------------------------------------------------
 
   const userInput     = document.getElementById('user_input').value;
+  const includeInactive = document.getElementById('include_inactive').checked;
+  const institution   = selectedInstitution();
   const outputEl      = document.getElementById('output');
-  const statusEl      = document.getElementById('status_message');
   const resultListEl  = document.getElementById('result_list');
-  const searchLabelEl = document.getElementById('search_label');
 
 
   // -------------------------------------------------------------------------
@@ -125,9 +512,8 @@ async function handleSubmit(event) {
   // Clears prior results so stale data is never shown alongside new output.
   // -------------------------------------------------------------------------
 
-  outputEl.style.display    = 'block';
-  resultListEl.innerHTML    = '';
-  searchLabelEl.textContent = '';
+  outputEl.style.display = 'block';
+  clearResults();
 
 
   // -------------------------------------------------------------------------
@@ -137,18 +523,26 @@ async function handleSubmit(event) {
   // -------------------------------------------------------------------------
 
   if (!useRegex(userInput)) {
-    statusEl.textContent =
-      'Invalid format. Please enter a department code followed by a course number — for example, "CNIT 120" or "CS 101".';
+    showError(t('invalidFormat'));
     return;
   }
 
+  const searched = userInput.trim().toUpperCase();
+
+  setSearchUrl(searched, includeInactive, institution);
+  // Puts the search in the address bar (?course=CNIT%20120), so reloading
+  // the page or sharing the link runs it again. See searchFromUrl().
+
 
   // -------------------------------------------------------------------------
   // STEP 3B — LOADING STATE
   // Shown to the user while the network request is in flight.
+  // aria-busy tells screen readers the list is being replaced, so they wait
+  // for the new results instead of reading a half-built list.
   // -------------------------------------------------------------------------
 
-  statusEl.textContent = `Searching for "${userInput.trim()}"...`;
+  showStatus(t('searching', userInput.trim()));
+  resultListEl.setAttribute('aria-busy', 'true');
 
 
   // -------------------------------------------------------------------------
@@ -164,49 +558,36 @@ async function handleSubmit(event) {
   // the current page's origin, the browser permits script.js to read the
   // response. If not, the browser discards it silently.
   //
+  // requestSearch() sends the request, and — depending on SEARCH_MODE —
+  // answers from the offline index when the server cannot be reached.
+  //
   // try/catch handles two distinct failure categories:
-  //   response.ok false — server responded with an error status (400/404/500)
-  //   catch block       — fetch() itself failed (server offline, no network)
+  //   status not 2xx — server (or index) answered with an error (400/404/500)
+  //   catch block    — nothing could answer (server offline, no index)
   // -------------------------------------------------------------------------
 
   try {
 
-    const response = await fetch(`${API_BASE}/search`, {
-      // "await" pauses here until the server responds. The browser event
-      // loop remains active — the tab does not freeze during the wait.
-
-      method: 'POST',
-      // POST sends data in the request body. GET is inappropriate here
-      // because GET requests cannot carry a body by convention.
-
-      headers: { 'Content-Type': 'application/json' },
-      // Tells server.js how to parse the request body.
-      // express.json() in server.js reads this header and parses accordingly.
-
-      body: JSON.stringify({ courseCode: userInput.trim() })
-      // Converts { courseCode: "CNIT 120" } to the JSON string:
-      // '{"courseCode":"CNIT 120"}'
-      // This string is sent as the HTTP request body to server.js.
-    });
-
-
-    // -----------------------------------------------------------------------
-    // STEP 4 — PARSE THE SERVER RESPONSE
-    // response.json() reads the response body stream and parses it back
-    // into a JavaScript object. Also asynchronous, so "await" is required.
-    // -----------------------------------------------------------------------
-
-    const data = await response.json();
+    const { status, data, fromIndex } = await requestSearch(userInput.trim(), includeInactive, institution);
 
 
     // -----------------------------------------------------------------------
     // STEP 4A — HANDLE SERVER-REPORTED ERRORS
-    // response.ok is true for HTTP status 200-299, false for 400/404/500.
-    // These are errors where the server responded but rejected the request.
+    // Status 200-299 is success; 400/404/500 are errors where the server
+    // responded but rejected the request.
     // -----------------------------------------------------------------------
 
-    if (!response.ok) {
-      statusEl.textContent = `Error: ${data.error}`;
+    if (status < 200 || status > 299) {
+      showError(t('errorPrefix', data.error));
+
+      if (status === 404 && !fromIndex) {
+        const codes = await didYouMean(userInput.trim());
+        if (codes.length > 0) {
+          showError(t('errorPrefix', data.error) + t('didYouMean', codes));
+        }
+        // A 404 here is often a typo ("CINT 120"). /suggest looks for
+        // catalog codes a character or two away and offers them.
+      }
       return;
     }
 
@@ -217,82 +598,1236 @@ async function handleSubmit(event) {
     //
     // Example:
     //   [
-    //     { degree_name: "A.S. Network Security", certificate_name: "Cybersecurity Certificate" },
-    //     { degree_name: null, certificate_name: "Linux Administration Certificate" }
+    //     { degree_name: "A.S. Network Security", certificate_name: null,
+    //       award_type: "Associate in Science Degree",
+    //       department: "Computer Networking and Information Technology",
+    //       program_url: "https://www.ccsf.edu/degrees-certificates/network-security",
+    //       requirements: [{ label: "Required Courses", category: "core", units: 3, ... }] },
+    //     { degree_name: null, certificate_name: "Linux Administration Certificate of Accomplishment", ... }
     //   ]
+    //
+    // renderResultView() groups them into Degrees and Certificates and
+    // fills the sort and filter controls; see RESULTS VIEW below.
     // -----------------------------------------------------------------------
 
-    searchLabelEl.textContent = `Results for: ${userInput.trim().toUpperCase()}`;
-
-    statusEl.textContent =
-      `${data.results.length} match${data.results.length === 1 ? '' : 'es'} found.`;
-    // Ternary prints "1 match" or "2 matches" — correct singular/plural grammar.
-
-    const listItems = data.results
-      .map(row => {
-        // .map() transforms each row object into one HTML <li> string.
-
-        const degree      = row.degree_name      ?? 'N/A';
-        const certificate = row.certificate_name ?? 'N/A';
-        // "??" — nullish coalescing: substitutes 'N/A' if the column is null.
-
-        return `<li>
-                  <strong>Degree:</strong> ${degree}<br>
-                  <strong>Certificate:</strong> ${certificate}
-                </li>`;
-      })
-      .join('');
-      // .join('') concatenates all <li> strings into one string, no separator.
+    resultView = {
+      kind:     'search',
+      programs: data.results,
+      heading:  () => t('resultsFor', searched, institutionName(institution)),
+      summary:  () =>
+        t('matchesFound', data.results.length) +
+        (data.equivalencies?.length
+          ? t('alsoSearched', data.equivalencies.map(describeEquivalency).join('; '))
+          : '') +
+        (fromIndex
+          ? t('offlineCopy', new Date(data.generated_at).toLocaleDateString(currentLanguage))
+          : ''),
+      // When server.js applied an equivalency (old number ↔ Common Course
+      // Number, or a cross-listing), it is spelled out so the student knows
+      // why results for a different number appear.
+      // Results from the offline index say so, with the date the index was
+      // built, since they may lag behind the live catalog.
+      renderItem: row => renderSearchResult(row, searched)
+    };
+    renderResultView();
 
-    resultListEl.innerHTML = `<ul>${listItems}</ul>`;
-    // innerHTML parses the string as HTML markup and renders DOM elements.
-    // textContent would render the tags as literal visible characters instead.
+    showResultActions({
+      filename: `course-search-${institution}-${searched.replace(/\s+/g, '-')}`,
+      // e.g. "course-search-ccsf-CNIT-120.csv"
+      data: { course: searched, institution, includeInactive, ...data },
+      table: () => [
+        [t('csvCollege'), t('csvProgram'), t('csvType'), t('csvAwardType'), t('csvDepartment'),
+         t('csvCatalogYear'), t('csvStatus'), t('csvFills'), t('csvListedAs'), t('csvCatalogPage')],
+        ...data.results.map(row => [
+          institutionName(institution),
+          programName(row),
+          t(programKind(row) === 'degree' ? 'typeDegree' : 'typeCertificate'),
+          row.award_type,
+          row.department,
+          row.catalog_year,
+          t(row.active === false ? 'statusRetired' : 'statusActive'),
+          (row.requirements ?? []).map(describeRequirement).join('; '),
+          row.matched_code,
+          row.program_url
+        ])
+      ]
+    });
 
 
   } catch (err) {
 
     // -----------------------------------------------------------------------
     // NETWORK-LEVEL FAILURE HANDLER
-    // Runs only if fetch() could not establish an HTTP connection at all.
-    // Does NOT run for 400/404/500 responses — those go through response.ok.
+    // Runs only if neither server.js nor (in 'auto' and 'static' modes) the
+    // offline index could answer. Does NOT run for 400/404/500 responses —
+    // those go through the status check above.
     // -----------------------------------------------------------------------
 
-    statusEl.textContent =
-      'Network error. Could not reach the server. Please try again.';
-    console.error('fetch() failed:', err);
+    showError(t('networkError'));
+    console.error('Search failed:', err);
     // console.error() writes to DevTools console (F12). Not visible to users.
+
+  } finally {
+    resultListEl.removeAttribute('aria-busy');
   }
 }
 
 
 // -----------------------------------------------------------------------------
-// FUNCTION: simpleClock()
-// Writes the current date and time into the clock widget in index.html.
+// FUNCTION: renderSearchResult(row, searched)
+// PURPOSE:  One course-search result as an <li>: the program (linked to its
+//           catalog page), what the searched course fills in it, and its
+//           award type, department and catalog year.
 // -----------------------------------------------------------------------------
 
-function simpleClock() {
-  const d = new Date();
-  // new Date() creates a Date object for the current moment using the
-  // user's local system clock and timezone.
+function renderSearchResult(row, searched) {
+  const details = [
+    row.award_type,
+    row.department,
+    row.catalog_year && t('catalogYear', row.catalog_year)
+  ]
+    .filter(Boolean)
+    .join(' — ');
+  // e.g. "Associate in Science Degree — Computer Networking and ... — 2025-2026 catalog"
+  // .filter(Boolean) drops null values so no stray separator appears.
+
+  return makeElement('li', { className: row.active === false ? 'retired' : null },
+    row.active === false && makeElement('div', {}, makeElement('span', { className: 'retired_label', text: t('retired') })),
+    // Only present when the user ticked "Include retired programs".
+    // The label is plain text (not just a color) so it is also read out
+    // by screen readers.
+
+    makeElement('strong', {}, programLink(programName(row), row.program_url)),
 
-  document.getElementById('simpleClock_output').textContent = d;
-  // Coerces the Date object to a string via Date.toString() automatically.
-  // Produces output like: "Sat Feb 28 2026 14:32:01 GMT-0800"
+    ...(row.requirements ?? []).map(req =>
+      makeElement('div', {}, makeElement('strong', { text: t('fillsLabel') }), ` ${describeRequirement(req)}`)
+    ),
+    // Tells the student how much this course really helps: a core
+    // requirement, one of a few restricted choices, or an open elective.
+    // Nothing when the program's requirement groups were not recorded.
+
+    row.matched_code && row.matched_code !== searched &&
+      makeElement('div', {}, makeElement('small', { text: t('listedAs', row.matched_code) })),
+    // Present only when the program matched through an equivalent number.
+
+    details && makeElement('div', {}, makeElement('small', { text: details }))
+  );
 }
 
 
 // -----------------------------------------------------------------------------
-// PAGE LOAD EVENT
-// window.onload fires after the full page (HTML, CSS, scripts) has loaded.
-// This guarantees getElementById('simpleClock_output') finds its element.
+// FUNCTION: parseTranscript(text)
+// PURPOSE:  Splits the transcript textarea into individual course codes.
+//           Accepts one course per line, commas, or semicolons, and ignores
+//           blank entries, so pasting "CNIT 106,\nCNIT 120" just works.
 // -----------------------------------------------------------------------------
 
-window.onload = function () {
-  simpleClock();
-  // Call once immediately so the clock shows the correct time at page load
-  // rather than displaying "Loading..." for the first second.
+function parseTranscript(text) {
+  return text
+    .split(/[\n,;]+/)
+    .map(code => code.trim())
+    .filter(code => code.length > 0);
+}
 
-  setInterval(simpleClock, 1000);
-  // Schedule simpleClock() to run every 1000ms (1 second) indefinitely.
-  // Each call overwrites the previous timestamp, producing a live clock.
+
+// -----------------------------------------------------------------------------
+// FUNCTION: renderGroup(group)
+// PURPOSE:  Renders one requirement group of a program: what the group
+//           needs, what the student has already done toward it, and what
+//           is still left.
+// -----------------------------------------------------------------------------
+
+function renderGroup(group) {
+  const done = group.completed.length
+    ? t('doneCourses', group.completed)
+    : t('doneNone');
+
+  let left = '';
+  if (group.satisfied) {
+    left = t('groupComplete');
+  } else if (group.rule === 'choose') {
+    left = t('stillNeedOf', group.min_courses - group.completed.length, group.remaining);
+  } else if (group.rule === 'units') {
+    left = t('stillNeedUnits', group.required_units - group.completed_units, group.remaining);
+  } else {
+    left = t('stillNeed', group.remaining);
+  }
+
+  return makeElement('div', { className: 'requirement_group' },
+    makeElement('em', { text: group.label }),
+    makeElement('div', { text: done }),
+    makeElement('div', { text: left })
+  );
+}
+
+
+// -----------------------------------------------------------------------------
+// FUNCTION: renderProgressResult(program)
+// PURPOSE:  One program of a progress check as an <li>: how complete it is,
+//           with a progress bar, and each of its requirement groups.
+// -----------------------------------------------------------------------------
+
+function renderProgressResult(program) {
+  return makeElement('li', { className: `progress_result${program.active === false ? ' retired' : ''}` },
+    program.active === false && makeElement('div', {}, makeElement('span', { className: 'retired_label', text: t('retired') })),
+    makeElement('strong', {}, programLink(program.name, program.program_url)),
+    ` — ${t('percentComplete', program.percent_complete, program.completed_units, program.required_units)}`,
+    makeElement('div', {},
+      makeElement('progress', { max: 100, value: program.percent_complete, 'aria-hidden': 'true' }, `${program.percent_complete}%`)
+    ),
+    // <progress> draws a native progress bar. It is hidden from screen
+    // readers because the text just before it already says the percentage.
+    ...program.groups.map(renderGroup)
+  );
+}
+
+
+// -----------------------------------------------------------------------------
+// FUNCTION: handleProgressSubmit(event)
+// PURPOSE:  Called when the user submits the transcript form. Follows the
+//           same steps as handleSubmit(), but sends a LIST of completed
+//           courses to POST /progress and renders each program's percent
+//           complete and remaining requirements.
+// -----------------------------------------------------------------------------
+
+async function handleProgressSubmit(event) {
+  event.preventDefault();
+
+  const courseCodes     = parseTranscript(document.getElementById('transcript_input').value);
+  const includeInactive = document.getElementById('include_inactive').checked;
+  const institution     = selectedInstitution();
+  const outputEl        = document.getElementById('output');
+  const resultListEl    = document.getElementById('result_list');
+
+  outputEl.style.display = 'block';
+  clearResults();
+
+
+  // -------------------------------------------------------------------------
+  // CLIENT-SIDE VALIDATION
+  // Every entry must pass useRegex(). The invalid ones are named so the
+  // student can fix just those lines instead of re-checking the whole list.
+  // The list may be at most MAX_TRANSCRIPT_COURSES long, as in server.js.
+  // -------------------------------------------------------------------------
+
+  if (courseCodes.length === 0) {
+    showError(t('enterCourses'));
+    return;
+  }
+
+  if (courseCodes.length > MAX_TRANSCRIPT_COURSES) {
+    showError(t('tooManyCourses', MAX_TRANSCRIPT_COURSES));
+    return;
+  }
+
+  const invalid = courseCodes.filter(code => !useRegex(code));
+  if (invalid.length > 0) {
+    showError(t('invalidCodes', invalid));
+    return;
+  }
+
+  showStatus(t('checking', courseCodes.length));
+  resultListEl.setAttribute('aria-busy', 'true');
+  setSearchUrl(null);
+  // A transcript is not kept in the URL (it can be long, and is the
+  // student's own record), so the address no longer names a course search.
+
+  try {
+
+    const response = await fetch(`${API_BASE}/progress`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ courseCodes, includeInactive, institution })
+      // e.g. '{"courseCodes":["CNIT 106","CNIT 120"],"includeInactive":false,"institution":"ccsf"}'
+    });
+
+    const data = await response.json();
+
+    if (!response.ok) {
+      showError(t('errorPrefix', data.error));
+      return;
+    }
+
+
+    // -----------------------------------------------------------------------
+    // RENDER THE RESULTS
+    // data.results is already sorted by server.js from most to least
+    // complete. Each entry carries its requirement groups, e.g.:
+    //   { name: "Cybersecurity Certificate of Achievement",
+    //     percent_complete: 75, completed_units: 9, required_units: 12,
+    //     groups: [{ label: "Required Courses", rule: "all",
+    //                completed: ["CNIT 106", "CNIT 120"],
+    //                remaining: ["CNIT 123"], satisfied: false, ... }] }
+    // -----------------------------------------------------------------------
+
+    const codes = courseCodes.map(c => c.toUpperCase());
+
+    resultView = {
+      kind:       'progress',
+      programs:   data.results,
+      heading:    () => t('progressFor', codes, institutionName(institution)),
+      summary:    () =>
+        t('countToward', data.results.length) +
+        (data.unmatched.length ? t('notCounted', data.unmatched) : ''),
+      renderItem: renderProgressResult
+    };
+    renderResultView();
+
+    showResultActions({
+      filename: `course-progress-${institution}`,
+      data: { courseCodes, institution, includeInactive, ...data },
+      table: () => [
+        [t('csvCollege'), t('csvProgram'), t('csvAwardType'), t('csvDepartment'), t('csvPercentComplete'),
+         t('csvUnitsCompleted'), t('csvUnitsRequired'), t('csvRemaining'), t('csvStatus'), t('csvCatalogPage')],
+        ...data.results.map(program => [
+          institutionName(institution),
+          program.name,
+          program.award_type,
+          program.department,
+          program.percent_complete,
+          program.completed_units,
+          program.required_units,
+          program.groups.flatMap(group => group.remaining).join('; '),
+          t(program.active === false ? 'statusRetired' : 'statusActive'),
+          program.program_url
+        ])
+      ]
+    });
+
+  } catch (err) {
+    showError(t('networkError'));
+    console.error('fetch() failed:', err);
+  } finally {
+    resultListEl.removeAttribute('aria-busy');
+  }
+}
+
+
+// -----------------------------------------------------------------------------
+// RESULTS VIEW
+// A course search and a progress check both end in a list of programs.
+// The list is kept in resultView so it can be regrouped, filtered,
+// re-sorted and redrawn in another language without asking server.js
+// again:
+//   { kind:       'search' | 'progress',
+//     programs:   [...],                         ← the response's results
+//     heading:    () => 'Results for: CNIT 120 at ...',
+//     summary:    () => '3 matches found.',
+//     renderItem: program => <li> element }
+// heading, summary and renderItem are functions so their text is worked
+// out again, in the current language, every time the view is drawn.
+//
+// The programs are shown in two groups, Degrees and Certificates, each
+// under its own heading. The #result_controls drop-downs in index.html
+// narrow them to one department or award type and choose the order.
+// -----------------------------------------------------------------------------
+
+let resultView = null;
+
+const RESULT_SORTS = {
+  percent:    { label: 'sortPercent',    compare: (a, b) => b.percent_complete - a.percent_complete },
+  name:       { label: 'sortName',       compare: (a, b) => programName(a).localeCompare(programName(b)) },
+  department: { label: 'sortDepartment', compare: (a, b) => (a.department ?? '').localeCompare(b.department ?? '') },
+  award_type: { label: 'sortAwardType',  compare: (a, b) => (a.award_type ?? '').localeCompare(b.award_type ?? '') }
+};
+// Programs that tie (same department, same percentage) are put in name
+// order; see renderResultList().
+
+
+// -----------------------------------------------------------------------------
+// FUNCTION: programName(program) / programKind(program)
+// PURPOSE:  A result's program name, and whether it is a 'degree' or a
+//           'certificate'. /search rows name the program in degree_name or
+//           certificate_name; /progress results carry one "name", and their
+//           award type says which kind it is ("Certificate of Achievement",
+//           "Associate in Science Degree").
+// -----------------------------------------------------------------------------
+
+function programName(program) {
+  return program.degree_name ?? program.certificate_name ?? program.name;
+}
+
+function programKind(program) {
+  if ('degree_name' in program) {
+    return program.degree_name ? 'degree' : 'certificate';
+  }
+  return /certificate/i.test(program.award_type ?? '') ? 'certificate' : 'degree';
+}
+
+
+// -----------------------------------------------------------------------------
+// FUNCTION: showStatus(text) / showError(text)
+// PURPOSE:  Write a message into the output section's two live regions.
+//           Progress and result counts go to #status_message
+//           (role="status": read out once the screen reader is idle);
+//           problems go to #error_message (role="alert": read out at
+//           once). Each clears the other, so one message shows at a time.
+// -----------------------------------------------------------------------------
+
+function showStatus(text) {
+  document.getElementById('error_message').textContent  = '';
+  document.getElementById('status_message').textContent = text;
+}
+
+function showError(text) {
+  document.getElementById('status_message').textContent = '';
+  document.getElementById('error_message').textContent  = text;
+}
+
+
+// -----------------------------------------------------------------------------
+// FUNCTION: clearResults()
+// PURPOSE:  Empties the output section before a new search or check, so
+//           stale results are never shown alongside new ones.
+// -----------------------------------------------------------------------------
+
+function clearResults() {
+  resultView = null;
+  document.getElementById('result_list').textContent    = '';
+  document.getElementById('search_label').textContent   = '';
+  document.getElementById('result_summary').textContent = '';
+  document.getElementById('result_controls').hidden     = true;
+  showStatus('');
+  showResultActions(null);
+  // Hides the download buttons until there are new results to download.
+}
+
+
+// -----------------------------------------------------------------------------
+// FUNCTION: renderResultView()
+// PURPOSE:  Draws resultView: the heading and summary, the options of the
+//           sort and filter drop-downs, and the list itself.
+// -----------------------------------------------------------------------------
+
+function renderResultView() {
+  const departmentEl = document.getElementById('result_department');
+  const awardEl      = document.getElementById('result_award');
+  const sortEl       = document.getElementById('result_sort');
+
+  document.getElementById('search_label').textContent = resultView.heading();
+  showStatus(resultView.summary());
+
+  const unique = values => [...new Set(values.filter(Boolean))].sort();
+  refillSelect(departmentEl, unique(resultView.programs.map(p => p.department)));
+  refillSelect(awardEl,      unique(resultView.programs.map(p => p.award_type)));
+
+  const sorts = resultView.kind === 'progress'
+    ? ['percent', 'name', 'department', 'award_type']
+    : ['name', 'department', 'award_type'];
+  const sort = resultView.kind === 'search' && sorts.includes(sortEl.value) ? sortEl.value : sorts[0];
+  // A progress check always starts most-complete first, as server.js
+  // ranked it. A course search keeps the order chosen for the last one.
+
+  sortEl.textContent = '';
+  for (const key of sorts) {
+    sortEl.appendChild(makeElement('option', { value: key, text: t(RESULT_SORTS[key].label) }));
+  }
+  sortEl.value = sort;
+
+  document.getElementById('result_controls').hidden = resultView.programs.length < 2;
+  // One program (or none) has nothing to sort or filter.
+
+  renderResultList();
+}
+
+
+// -----------------------------------------------------------------------------
+// FUNCTION: renderResultList()
+// PURPOSE:  Filters and sorts resultView.programs by the #result_controls
+//           drop-downs and renders them into #result_list, Degrees first,
+//           then Certificates. Called again whenever a drop-down changes.
+// -----------------------------------------------------------------------------
+
+function renderResultList() {
+  const listEl     = document.getElementById('result_list');
+  const department = document.getElementById('result_department').value;
+  const awardType  = document.getElementById('result_award').value;
+  const compare    = (RESULT_SORTS[document.getElementById('result_sort').value] ?? RESULT_SORTS.name).compare;
+
+  const shown = resultView.programs
+    .filter(p => (!department || p.department === department) && (!awardType || p.award_type === awardType))
+    .sort((a, b) => compare(a, b) || RESULT_SORTS.name.compare(a, b));
+  // filter() returns a new array, so sort() leaves resultView.programs in
+  // the order server.js sent it.
+
+  listEl.textContent = '';
+  document.getElementById('result_summary').textContent = shown.length === resultView.programs.length
+    ? ''
+    : t('showingCount', shown.length, resultView.programs.length);
+  // #result_summary is a live region too: changing a filter announces how
+  // many programs are left.
+
+  if (shown.length === 0 && resultView.programs.length > 0) {
+    listEl.appendChild(makeElement('p', { text: t('noFilterMatches') }));
+    return;
+  }
+
+  for (const kind of ['degree', 'certificate']) {
+    const programs = shown.filter(p => programKind(p) === kind);
+    if (programs.length === 0) continue;
+
+    const headingId = `results_${kind}`;
+    listEl.appendChild(makeElement('section', { className: 'result_group', 'aria-labelledby': headingId },
+      makeElement('h3', {
+        id:   headingId,
+        text: t(kind === 'degree' ? 'degreesHeading' : 'certificatesHeading', programs.length)
+      }),
+      makeElement('ul', {}, ...programs.map(resultView.renderItem))
+    ));
+    // aria-labelledby names each <section> after its heading, so screen
+    // reader users can jump straight to "Certificates (2)".
+  }
+}
+
+
+// -----------------------------------------------------------------------------
+// FUNCTION: refillSelect(selectEl, values)
+// PURPOSE:  Replaces a filter drop-down's options (after the first, "All
+//           ...") with "values", keeping the current choice if it is still
+//           one of them.
+// -----------------------------------------------------------------------------
+
+function refillSelect(selectEl, values) {
+  const current = selectEl.value;
+  selectEl.length = 1;
+  fillSelect(selectEl, values);
+  selectEl.value = values.includes(current) ? current : '';
+}
+
+
+// -----------------------------------------------------------------------------
+// FUNCTION: addInstitutionOption(selectEl, id, name)
+// PURPOSE:  Adds a college to #institution_select, or renames its option if
+//           it is already there.
+// -----------------------------------------------------------------------------
+
+function addInstitutionOption(selectEl, id, name) {
+  const existing = [...selectEl.options].find(o => o.value === id);
+  if (existing) {
+    existing.textContent = name;
+    return;
+  }
+  const option = document.createElement('option');
+  option.value       = id;
+  option.textContent = name;
+  selectEl.appendChild(option);
+}
+
+
+// -----------------------------------------------------------------------------
+// FUNCTION: loadInstitutions()
+// PURPOSE:  The colleges with a catalog, as [{ id, name }]: from
+//           GET /institutions, or from search-index.json when SEARCH_MODE
+//           is 'static' or the server cannot be reached in 'auto' mode.
+//           An empty array if neither answers.
+// -----------------------------------------------------------------------------
+
+async function loadInstitutions() {
+  if (SEARCH_MODE !== 'static') {
+    try {
+      const response = await fetch(`${API_BASE}/institutions`, {
+        signal: SEARCH_MODE === 'auto' ? AbortSignal.timeout(API_TIMEOUT_MS) : undefined
+      });
+      if (response.ok) return (await response.json()).institutions;
+    } catch (err) {
+      console.error('fetch() failed:', err);
+    }
+    if (SEARCH_MODE === 'api') return [];
+  }
+
+  try {
+    return (await loadSearchIndex()).institutions ?? [];
+  } catch (err) {
+    console.error('Offline index unavailable:', err);
+    return [];
+  }
+}
+
+
+// -----------------------------------------------------------------------------
+// FUNCTION: setupInstitutions()
+// PURPOSE:  Fills #institution_select and, when the student picks another
+//           college, runs the search in the address bar again for that
+//           college (or clears results that belonged to the old one).
+// -----------------------------------------------------------------------------
+
+async function setupInstitutions() {
+  const selectEl = document.getElementById('institution_select');
+
+  selectEl.addEventListener('change', () => {
+    const courseCode = new URLSearchParams(location.search).get('course');
+    if (courseCode) {
+      document.getElementById('user_input').value = courseCode;
+      handleSubmit({ preventDefault() {} });
+      // handleSubmit() reads the new college from the select and puts it
+      // in the URL, so Back returns to the previous college's results.
+    } else {
+      clearResults();
+      document.getElementById('output').style.display = 'none';
+      // Progress results are for the college they were checked against.
+    }
+  });
+
+  for (const { id, name } of await loadInstitutions()) {
+    addInstitutionOption(selectEl, id, name);
+  }
+  // Options are added, never removed: the college already selected (the
+  // default, or one named by a link) keeps its place in the list.
+}
+
+
+// -----------------------------------------------------------------------------
+// SAVING AND SHARING RESULTS
+// Students take their results to counseling appointments, so every results
+// view can leave the page:
+//   - Link:     a course search is kept in the address bar
+//               (index.html?course=CNIT%20120, plus &institution=... for a
+//               college other than the default). Reloading the page or
+//               opening a copied link runs the same search again.
+//   - CSV:      one row per program, for a spreadsheet.
+//   - JSON:     the results exactly as received, plus what was searched.
+//   - Print:    the @media print rules in style.css hide the forms and
+//               buttons, and print each program link's address after it.
+// The buttons live in #result_actions in index.html.
+// -----------------------------------------------------------------------------
+
+let currentResults = null;
+// What the download buttons save: the object last passed to
+// showResultActions(), or null while no results are shown.
+
+
+// -----------------------------------------------------------------------------
+// FUNCTION: showResultActions(results)
+// PURPOSE:  Shows the download and print buttons for the results now on
+//           screen, or hides them when "results" is null. "results" is:
+//             { filename: 'course-search-CNIT-120',   ← without extension
+//               data:     { ... },                     ← the JSON download
+//               table:    () => [[header, ...], [value, ...], ...] }  ← the CSV
+//           "table" is a function so the CSV is written in the language
+//           the page is in when the button is pressed.
+// -----------------------------------------------------------------------------
+
+function showResultActions(results) {
+  currentResults = results;
+  document.getElementById('result_actions').hidden = results === null;
+}
+
+
+// -----------------------------------------------------------------------------
+// FUNCTION: toCsv(table)
+// PURPOSE:  Turns an array of rows into CSV text (RFC 4180): fields holding
+//           a comma, quote or line break are quoted, with quotes doubled.
+//
+//   Spreadsheets run any cell starting with = + - or @ as a formula. Program
+//   names come from scraped pages, so such a cell is prefixed with an
+//   apostrophe, which makes the spreadsheet show it as plain text.
+// -----------------------------------------------------------------------------
+
+function toCsv(table) {
+  const field = value => {
+    let text = value == null ? '' : String(value);
+    if (/^[=+\-@]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  return table.map(row => row.map(field).join(',')).join('\r\n') + '\r\n';
+}
+
+
+// -----------------------------------------------------------------------------
+// FUNCTION: downloadFile(filename, type, text)
+// PURPOSE:  Saves text as a file without a server round trip: the text is
+//           wrapped in a Blob, given a temporary blob: URL, and a hidden
+//           <a download> link to it is clicked.
+// -----------------------------------------------------------------------------
+
+function downloadFile(filename, type, text) {
+  const url  = URL.createObjectURL(new Blob([text], { type }));
+  const link = document.createElement('a');
+  link.href     = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+  // Frees the Blob once the browser has started the download.
+}
+
+
+// -----------------------------------------------------------------------------
+// FUNCTION: setSearchUrl(courseCode, includeInactive, institution)
+// PURPOSE:  Records a search in the address bar and the browser history:
+//             setSearchUrl('CNIT 120', false, 'ccsf') → index.html?course=CNIT%20120
+//             setSearchUrl('CNIT 120', true, 'ccsf')  → ...&includeInactive=true
+//             setSearchUrl('CS 110', false, 'skyline') → ...&institution=skyline
+//             setSearchUrl(null)                      → index.html
+//           The default college is left out, so links shared before
+//           colleges were added look the same as new ones.
+//           history.pushState() changes the URL without reloading the page,
+//           and the Back button returns to the previous search (see the
+//           "popstate" handler in setupResultActions()).
+// -----------------------------------------------------------------------------
+
+function setSearchUrl(courseCode, includeInactive, institution = DEFAULT_INSTITUTION) {
+  const url = location.pathname + (courseCode
+    ? `?course=${encodeURIComponent(courseCode)}` +
+      (includeInactive ? '&includeInactive=true' : '') +
+      (institution !== DEFAULT_INSTITUTION ? `&institution=${encodeURIComponent(institution)}` : '')
+    : '');
+  // encodeURIComponent() writes the space as %20. (URLSearchParams would
+  // write "+", which works too but reads less clearly in a shared link.)
+
+  if (url !== location.pathname + location.search) {
+    history.pushState(null, '', url);
+  }
+  // Searching the same course twice adds one history entry, not two.
+}
+
+
+// -----------------------------------------------------------------------------
+// FUNCTION: searchFromUrl()
+// PURPOSE:  Runs the search named in the address bar, if any: fills in the
+//           course box, checkbox and college as the student would have,
+//           then calls handleSubmit(). With no ?course=, hides the output
+//           section.
+// -----------------------------------------------------------------------------
+
+function searchFromUrl() {
+  const params     = new URLSearchParams(location.search);
+  const courseCode = params.get('course');
+  const checkbox   = document.getElementById('include_inactive');
+  const collegeEl  = document.getElementById('institution_select');
+
+  const includeInactive = params.get('includeInactive') === 'true';
+  if (checkbox.checked !== includeInactive) {
+    checkbox.checked = includeInactive;
+    checkbox.dispatchEvent(new Event('change'));
+    // Setting .checked from code fires no "change" event on its own; the
+    // Browse list listens for it to show or hide retired programs.
+  }
+
+  const institution = (params.get('institution') || DEFAULT_INSTITUTION).toLowerCase();
+  if (collegeEl.value !== institution) {
+    addInstitutionOption(collegeEl, institution, institution);
+    // A link can name a college before the list of colleges has loaded;
+    // setupInstitutions() replaces the id with its name when it does.
+    collegeEl.value = institution;
+    collegeEl.dispatchEvent(new Event('change'));
+    return;
+    // The select's "change" listener (see setupInstitutions()) runs the
+    // URL's search for the newly chosen college, and the Browse list
+    // reloads for it.
+  }
+
+  if (!courseCode) {
+    document.getElementById('output').style.display = 'none';
+    return;
+  }
+
+  document.getElementById('user_input').value = courseCode;
+  handleSubmit({ preventDefault() {} });
+  // handleSubmit() only needs preventDefault() from the event. An invalid
+  // code in a hand-edited link gets the usual "Invalid format" message.
+}
+
+
+// -----------------------------------------------------------------------------
+// FUNCTION: setupResultActions()
+// PURPOSE:  Connects the CSV, JSON and Print buttons and the results' sort
+//           and filter drop-downs, and re-runs the search from the URL when
+//           the Back or Forward button changes it.
+// -----------------------------------------------------------------------------
+
+function setupResultActions() {
+  for (const id of ['result_department', 'result_award', 'result_sort']) {
+    document.getElementById(id).addEventListener('change', renderResultList);
+  }
+  // Sorting and filtering only rearrange the results already on screen;
+  // nothing is sent to server.js.
+
+  document.getElementById('download_csv').addEventListener('click', () => {
+    downloadFile(`${currentResults.filename}.csv`, 'text/csv;charset=utf-8',
+      '\uFEFF' + toCsv(currentResults.table()));
+    // \uFEFF (the byte order mark) tells Excel the file is UTF-8, so
+    // characters such as "—" in program names are not garbled.
+  });
+
+  document.getElementById('download_json').addEventListener('click', () => {
+    downloadFile(`${currentResults.filename}.json`, 'application/json',
+      JSON.stringify({ exported_at: new Date().toISOString(), ...currentResults.data }, null, 2));
+  });
+
+  document.getElementById('print_results').addEventListener('click', () => window.print());
+  // The browser's print dialog can also save the page as a PDF.
+
+  window.addEventListener('popstate', searchFromUrl);
+}
+
+
+// -----------------------------------------------------------------------------
+// TYPEAHEAD AUTOCOMPLETE
+// Suggests courses under #user_input as the user types, using GET /suggest.
+// The markup and ARIA attributes it relies on are described in index.html.
+// -----------------------------------------------------------------------------
+
+const SUGGEST_DELAY_MS = 200;
+// Waits until the user pauses typing for 200ms before asking the server.
+// Without the delay, typing "CNIT 120" would send eight requests.
+
+
+// -----------------------------------------------------------------------------
+// FUNCTION: suggestFromIndex(query)
+// PURPOSE:  The offline version of GET /suggest: the selected college's
+//           course codes starting with the query, then titles containing it,
+//           from search-index.json.
+//           There is no "did you mean" matching offline. Returns an empty
+//           array if the index cannot be loaded.
+// -----------------------------------------------------------------------------
+
+async function suggestFromIndex(query) {
+  try {
+    const index  = await loadSearchIndex();
+    const needle = query.trim().toLowerCase();
+    const institution = selectedInstitution();
+
+    return Object.keys(index.courses[institution] ?? {})
+      .map(course_code => {
+        const title = index.titles[institution]?.[course_code] ?? null;
+        const match = course_code.toLowerCase().startsWith(needle) ? 'code'
+                    : title?.toLowerCase().includes(needle)         ? 'title'
+                    : null;
+        return { course_code, title, match };
+      })
+      .filter(s => s.match)
+      .sort((a, b) => a.match.localeCompare(b.match) || a.course_code.localeCompare(b.course_code))
+      .slice(0, 10);
+      // Same order and limit as server.js: code matches first, ten at most.
+  } catch (err) {
+    console.error('Offline index unavailable:', err);
+    return [];
+  }
+}
+
+
+// -----------------------------------------------------------------------------
+// FUNCTION: fetchSuggestions(query)
+// PURPOSE:  Calls GET /suggest and returns its "suggestions" array, or an
+//           empty array if the request fails. A failed typeahead request is
+//           not worth an error message; the search itself still works.
+//           In 'static' mode, and in 'auto' mode when the server cannot be
+//           reached, suggestions come from the offline index instead.
+// -----------------------------------------------------------------------------
+
+async function fetchSuggestions(query) {
+  if (SEARCH_MODE === 'static') {
+    return suggestFromIndex(query);
+  }
+
+  try {
+    const response = await fetch(
+      `${API_BASE}/suggest?q=${encodeURIComponent(query)}&institution=${encodeURIComponent(selectedInstitution())}`
+    );
+    // encodeURIComponent() turns the space in "CNIT 120" into "%20" so the
+    // query string stays valid.
+    if (!response.ok) return [];
+    const data = await response.json();
+    return data.suggestions;
+  } catch (err) {
+    console.error('fetch() failed:', err);
+    return SEARCH_MODE === 'auto' ? suggestFromIndex(query) : [];
+  }
+}
+
+
+// -----------------------------------------------------------------------------
+// FUNCTION: didYouMean(query)
+// PURPOSE:  Returns up to three codes (["CNIT 120", "CNIT 121"]) to offer
+//           for a search that found nothing, or [] if /suggest has no typo
+//           corrections for it.
+// -----------------------------------------------------------------------------
+
+async function didYouMean(query) {
+  const suggestions = await fetchSuggestions(query);
+  return suggestions
+    .filter(s => s.match === 'fuzzy')
+    .slice(0, 3)
+    .map(s => s.course_code);
+}
+
+
+// -----------------------------------------------------------------------------
+// FUNCTION: setupAutocomplete()
+// PURPOSE:  Wires the typeahead to #user_input. Called once on page load.
+// -----------------------------------------------------------------------------
+
+function setupAutocomplete() {
+  const inputEl = document.getElementById('user_input');
+  const listEl  = document.getElementById('suggestion_list');
+
+  let timer       = null;  // pending setTimeout from the last keystroke
+  let suggestions = [];    // entries currently shown in the list
+  let activeIndex = -1;    // highlighted entry; -1 means none
+
+
+  // Hides the list and tells assistive technology it is closed.
+  function close() {
+    listEl.hidden = true;
+    listEl.textContent = '';
+    suggestions = [];
+    activeIndex = -1;
+    inputEl.setAttribute('aria-expanded', 'false');
+    inputEl.removeAttribute('aria-activedescendant');
+  }
+
+  // Moves the highlight to entry "index" and scrolls it into view.
+  function highlight(index) {
+    const options = listEl.querySelectorAll('[role="option"]');
+    options.forEach((el, i) => el.setAttribute('aria-selected', String(i === index)));
+    activeIndex = index;
+    if (index >= 0) {
+      inputEl.setAttribute('aria-activedescendant', options[index].id);
+      options[index].scrollIntoView({ block: 'nearest' });
+    } else {
+      inputEl.removeAttribute('aria-activedescendant');
+    }
+    // Focus never leaves the input. aria-activedescendant is how a screen
+    // reader learns which option is highlighted while the user keeps typing.
+  }
+
+  // Puts the chosen course into the input and runs the search.
+  function choose(index) {
+    inputEl.value = suggestions[index].course_code;
+    close();
+    inputEl.form.requestSubmit();
+    // requestSubmit() fires the form's submit event, so handleSubmit() runs
+    // exactly as if the user had clicked Search.
+  }
+
+  // Replaces the list contents with "items".
+  function render(items) {
+    suggestions = items;
+    activeIndex = -1;
+    listEl.textContent = '';
+
+    if (items.length === 0) {
+      close();
+      return;
+    }
+
+    items.forEach((item, i) => {
+      const li = document.createElement('li');
+      li.id = `suggestion_${i}`;
+      li.setAttribute('role', 'option');
+      li.setAttribute('aria-selected', 'false');
+      li.textContent = (item.match === 'fuzzy' ? t('didYouMeanPrefix') : '') +
+        item.course_code + (item.title ? ` — ${item.title}` : '');
+      // textContent, not innerHTML: course titles are inserted as plain
+      // text, so nothing in them can be interpreted as markup.
+      listEl.appendChild(li);
+    });
+
+    listEl.hidden = false;
+    inputEl.setAttribute('aria-expanded', 'true');
+  }
+
+
+  inputEl.addEventListener('input', () => {
+    clearTimeout(timer);
+    const query = inputEl.value.trim();
+    if (query.length < 2) {
+      close();
+      return;
+    }
+    timer = setTimeout(async () => {
+      const items = await fetchSuggestions(query);
+      if (inputEl.value.trim() === query) {
+        render(items);
+      }
+      // Responses can arrive out of order. Only the one that matches what
+      // is in the input right now is shown.
+    }, SUGGEST_DELAY_MS);
+  });
+
+  inputEl.addEventListener('keydown', event => {
+    if (listEl.hidden) return;
+
+    if (event.key === 'ArrowDown') {
+      event.preventDefault();
+      highlight((activeIndex + 1) % suggestions.length);
+    } else if (event.key === 'ArrowUp') {
+      event.preventDefault();
+      highlight(activeIndex <= 0 ? suggestions.length - 1 : activeIndex - 1);
+    } else if (event.key === 'Enter' && activeIndex >= 0) {
+      event.preventDefault();
+      choose(activeIndex);
+      // preventDefault() stops Enter from also submitting the half-typed
+      // text; choose() submits the picked course instead.
+    } else if (event.key === 'Escape') {
+      close();
+    }
+    // ArrowDown/ArrowUp wrap around at the ends of the list.
+  });
+
+  listEl.addEventListener('mousedown', event => {
+    event.preventDefault();
+    // mousedown fires before the input's blur. preventDefault() keeps focus
+    // in the input so the blur handler below does not close the list first.
+    const option = event.target.closest('[role="option"]');
+    if (option) {
+      choose(Number(option.id.replace('suggestion_', '')));
+    }
+  });
+
+  inputEl.addEventListener('blur', close);
+}
+
+
+// -----------------------------------------------------------------------------
+// BROWSE PROGRAMS
+// Lists programs with GET /programs and shows each program's courses with
+// GET /programs/:id. The markup it fills in is described in index.html.
+// Elements are built with createElement()/textContent so catalog text is
+// never interpreted as HTML.
+// -----------------------------------------------------------------------------
+
+
+// -----------------------------------------------------------------------------
+// FUNCTION: fillSelect(selectEl, values)
+// PURPOSE:  Adds one <option> per value after the existing "All ..." option.
+// -----------------------------------------------------------------------------
+
+function fillSelect(selectEl, values) {
+  for (const value of values) {
+    const option = document.createElement('option');
+    option.value       = value;
+    option.textContent = value;
+    selectEl.appendChild(option);
+  }
+}
+
+
+// -----------------------------------------------------------------------------
+// FUNCTION: renderProgramDetail(containerEl, program)
+// PURPOSE:  Renders one program's requirement groups (or, if none were
+//           recorded, its flat course list) into "containerEl".
+// -----------------------------------------------------------------------------
+
+function renderProgramDetail(containerEl, program) {
+  containerEl.textContent = '';
+
+  if (program.program_url && /^https?:\/\//.test(program.program_url)) {
+    const link = document.createElement('a');
+    link.href        = program.program_url;
+    link.target      = '_blank';
+    link.rel         = 'noopener noreferrer';
+    link.textContent = t('officialCatalogPage');
+    containerEl.appendChild(link);
+  }
+
+  const titles = new Map(program.courses.map(c => [c.course_code, c]));
+  // Course titles and units are looked up by code when listing each group.
+
+  const describe = code => {
+    const course = titles.get(code);
+    return code +
+      (course?.title ? ` — ${course.title}` : '') +
+      (course?.units != null ? ` (${t('unitCount', course.units)})` : '');
+  };
+
+  const groups = program.groups.length
+    ? program.groups
+    : [{ label: t('coursesGroup'), courses: program.courses.map(c => c.course_code) }];
+
+  for (const group of groups) {
+    const heading = document.createElement('p');
+    const strong  = document.createElement('strong');
+    strong.textContent = group.label;
+    heading.appendChild(strong);
+    containerEl.appendChild(heading);
+
+    const list = document.createElement('ul');
+    for (const code of group.courses) {
+      const item = document.createElement('li');
+      item.textContent = describe(code);
+      list.appendChild(item);
+    }
+    containerEl.appendChild(list);
+  }
+}
+
+
+// -----------------------------------------------------------------------------
+// FUNCTION: loadPrograms()
+// PURPOSE:  Fetches the program list for the current filters and renders
+//           one collapsible <details> element per program. Returns the
+//           programs so setupBrowse() can build the filter options.
+// -----------------------------------------------------------------------------
+
+async function loadPrograms() {
+  const statusEl   = document.getElementById('browse_status');
+  const listEl     = document.getElementById('program_list');
+  const department = document.getElementById('department_filter').value;
+  const awardType  = document.getElementById('award_filter').value;
+
+  const params = new URLSearchParams();
+  if (department) params.set('department', department);
+  if (awardType)  params.set('awardType', awardType);
+  params.set('includeInactive', String(document.getElementById('include_inactive').checked));
+  params.set('institution', selectedInstitution());
+  // URLSearchParams builds and encodes the query string, e.g.
+  //   department=Behavioral%20Sciences&includeInactive=false&institution=ccsf
+
+  statusEl.textContent = t('loadingPrograms');
+  listEl.textContent   = '';
+
+  try {
+    const response = await fetch(`${API_BASE}/programs?${params}`);
+    const data     = await response.json();
+
+    if (!response.ok) {
+      statusEl.textContent = t('errorPrefix', data.error);
+      return [];
+    }
+
+    statusEl.textContent = t('programCount', data.programs.length);
+
+    for (const program of data.programs) {
+      const details = document.createElement('details');
+      const summary = document.createElement('summary');
+      summary.textContent =
+        `${program.name} — ${t('courseCount', program.courses.length)}` +
+        (program.active === false ? ` (${t('retired')})` : '');
+      details.appendChild(summary);
+
+      const detailEl = document.createElement('div');
+      detailEl.className = 'program_detail';
+      details.appendChild(detailEl);
+
+      details.addEventListener('toggle', async () => {
+        if (!details.open || details.dataset.loaded) return;
+        details.dataset.loaded = 'true';
+        // Fetched once, the first time the program is opened.
+
+        detailEl.textContent = t('loadingCourses');
+        try {
+          const detailResponse = await fetch(`${API_BASE}/programs/${program.id}`);
+          const detailData     = await detailResponse.json();
+          if (!detailResponse.ok) {
+            detailEl.textContent = t('errorPrefix', detailData.error);
+            return;
+          }
+          renderProgramDetail(detailEl, detailData.program);
+        } catch (err) {
+          delete details.dataset.loaded;
+          // Lets the next open try again.
+          detailEl.textContent = t('networkError');
+          console.error('fetch() failed:', err);
+        }
+      });
+
+      listEl.appendChild(details);
+    }
+
+    return data.programs;
+
+  } catch (err) {
+    statusEl.textContent = t('networkError');
+    console.error('fetch() failed:', err);
+    return [];
+  }
+}
+
+
+// -----------------------------------------------------------------------------
+// FUNCTION: setupBrowse()
+// PURPOSE:  Loads the college's full program list to build the department
+//           and award type drop-downs, then reloads the list whenever a
+//           filter (or the "Include retired programs" checkbox) changes.
+//           Choosing another college starts over with its programs.
+// -----------------------------------------------------------------------------
+
+async function setupBrowse() {
+  const departmentEl = document.getElementById('department_filter');
+  const awardEl      = document.getElementById('award_filter');
+
+  async function loadCollege() {
+    departmentEl.length = 1;
+    awardEl.length      = 1;
+    // Drops every option but the first ("All departments" / "All award
+    // types"), which also selects it: another college has other departments.
+
+    const programs = await loadPrograms();
+
+    const unique = values => [...new Set(values.filter(Boolean))].sort();
+    fillSelect(departmentEl, unique(programs.map(p => p.department)));
+    fillSelect(awardEl,      unique(programs.map(p => p.award_type)));
+  }
+
+  await loadCollege();
+
+  departmentEl.addEventListener('change', loadPrograms);
+  awardEl.addEventListener('change', loadPrograms);
+  document.getElementById('include_inactive').addEventListener('change', loadPrograms);
+  document.getElementById('institution_select').addEventListener('change', loadCollege);
+}
+
+
+// -----------------------------------------------------------------------------
+// FUNCTION: simpleClock()
+// Writes the current date and time into the clock widget in index.html.
+// -----------------------------------------------------------------------------
+
+function simpleClock() {
+  const d = new Date();
+  // new Date() creates a Date object for the current moment using the
+  // user's local system clock and timezone.
+
+  document.getElementById('simpleClock_output').textContent =
+    d.toLocaleString(currentLanguage, { dateStyle: 'full', timeStyle: 'medium' });
+  // toLocaleString() writes the date the way the page's language does:
+  //   en: "Saturday, February 28, 2026 at 2:32:01 PM"
+  //   es: "sábado, 28 de febrero de 2026, 14:32:01"
+  //   zh: "2026年2月28日星期六 14:32:01"
+}
+
+
+// -----------------------------------------------------------------------------
+// PAGE LOAD EVENT
+// window.onload fires after the full page (HTML, CSS, scripts) has loaded.
+// This guarantees getElementById('simpleClock_output') finds its element.
+// -----------------------------------------------------------------------------
+
+window.onload = function () {
+  setupLanguages();
+  // Switch the page to the student's language before anything is shown.
+
+  document.getElementById('search_form').addEventListener('submit', handleSubmit);
+  document.getElementById('progress_form').addEventListener('submit', handleProgressSubmit);
+  // Connect the two forms. Functions in a module are not global, so
+  // index.html cannot call them from an onsubmit attribute.
+
+  simpleClock();
+  // Call once immediately so the clock shows the correct time at page load
+  // rather than displaying "Loading..." for the first second.
+
+  setInterval(simpleClock, 1000);
+  // Schedule simpleClock() to run every 1000ms (1 second) indefinitely.
+  // Each call overwrites the previous timestamp, producing a live clock.
+
+  setupAutocomplete();
+  // Attach the course typeahead to #user_input.
+
+  setupInstitutions();
+  // Fill the college selector. Its "change" listener must exist before
+  // searchFromUrl() below, which may switch colleges for a shared link.
+
+  setupResultActions();
+  searchFromUrl();
+  // Connect the download buttons, then run the search in the page's URL
+  // (?course=CNIT%20120), if it has one. This runs before setupBrowse() so
+  // the Browse list starts with the link's "Include retired programs" setting.
+
+  setupBrowse();
+  // Load the Browse Programs list and its filters.
 };
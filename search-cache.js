@@ -0,0 +1,203 @@
+// =============================================================================
+// search-cache.js
+// In-process cache for course searches.
+//
+// PURPOSE:
+//   The catalog changes a few times a semester, when ingest.js loads a new
+//   snapshot, but every search used to run a fresh database query. This
+//   keeps recent answers in memory, keyed by the college and the normalized
+//   course code:
+//
+//     searchCourse('CNIT 120') → first time: database, then cached
+//                              → again:      memory, no query
+//
+//   Entries are dropped when:
+//     - they are older than the TTL (a safety net),
+//     - the cache is full and they are the least recently used (LRU), or
+//     - a new catalog snapshot appears. The store's catalogVersion() is
+//       checked at most once every VERSION_CHECK_MS; when its snapshot id
+//       has changed since the entries were cached, the whole cache is
+//       cleared. This also works when ingest.js runs as a separate process
+//       or on another machine.
+//
+//   Each answer also carries what HTTP caching needs: an ETag (a hash of the
+//   answer) and the time of the snapshot it came from (Last-Modified).
+// =============================================================================
+
+import { createHash } from 'node:crypto';
+
+import { DEFAULT_INSTITUTION } from './validation.js';
+
+
+// -----------------------------------------------------------------------------
+// CONSTANTS
+// -----------------------------------------------------------------------------
+
+export const DEFAULT_MAX_ENTRIES = 500;
+// A few hundred distinct course codes cover nearly every search students
+// make; each entry is a few kilobytes of JSON.
+
+export const DEFAULT_TTL_MS = 60 * 60 * 1000;
+// One hour. Snapshot checks normally clear the cache long before this; the
+// TTL only matters if that check keeps failing.
+
+const VERSION_CHECK_MS = 30 * 1000;
+// How often a search may ask the store for its latest snapshot. At most one
+// extra query every 30 seconds, and a new snapshot shows up within 30
+// seconds of ingest.js finishing.
+
+
+// -----------------------------------------------------------------------------
+// FUNCTION: createLruCache({ maxEntries, ttlMs, now })
+// PURPOSE:  A size-limited map whose entries expire. Returns
+//           { get(key), set(key, value), clear(), size }.
+//
+//   A JavaScript Map remembers insertion order, which is all an LRU needs:
+//   reading an entry deletes and re-inserts it (moving it to the end), so
+//   the first key in the Map is always the least recently used one.
+//
+//   "now" returns the current time in ms; it can be replaced in tests.
+// -----------------------------------------------------------------------------
+
+export function createLruCache({ maxEntries = DEFAULT_MAX_ENTRIES, ttlMs = DEFAULT_TTL_MS, now = Date.now } = {}) {
+  const entries = new Map();
+  // key → { value, expires }
+
+  return {
+    get(key) {
+      const entry = entries.get(key);
+      if (!entry) return undefined;
+
+      entries.delete(key);
+      if (entry.expires <= now()) return undefined;
+      // Expired entries are removed when they are next looked up.
+
+      entries.set(key, entry);
+      return entry.value;
+    },
+
+    set(key, value) {
+      entries.delete(key);
+      entries.set(key, { value, expires: now() + ttlMs });
+
+      if (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+        return true;
+        // true tells the caller an older entry was evicted to make room.
+      }
+      return false;
+    },
+
+    clear() {
+      entries.clear();
+    },
+
+    get size() {
+      return entries.size;
+    }
+  };
+}
+
+
+// -----------------------------------------------------------------------------
+// FUNCTION: createSearchCache(queries, options)
+// PURPOSE:  Wraps queries.searchCourse() (see catalog-queries.js) with an LRU
+//           cache. "options" is { maxEntries, ttlMs } as for createLruCache().
+//           Returns:
+//             search(courseCode, { includeInactive, institution })
+//               → { results, equivalencies, hash, lastModified, hit }
+//             stats()
+//               → { hits, misses, evictions, invalidations, size, maxEntries, ttlMs }
+//             clear()
+//               empties the cache at once; used after an admin edit, which
+//               changes the catalog without creating a new snapshot
+// -----------------------------------------------------------------------------
+
+export function createSearchCache(queries, { maxEntries = DEFAULT_MAX_ENTRIES, ttlMs = DEFAULT_TTL_MS } = {}) {
+  const cache = createLruCache({ maxEntries, ttlMs });
+  const counters = { hits: 0, misses: 0, evictions: 0, invalidations: 0 };
+
+  let version = null;      // { snapshot_id, taken_at } of the cached entries
+  let checkedAt = 0;       // when catalogVersion() was last asked
+
+
+  // Clears the cache if a new snapshot has been loaded since the last check.
+  async function checkVersion() {
+    if (Date.now() - checkedAt < VERSION_CHECK_MS) return;
+    checkedAt = Date.now();
+
+    const latest = await queries.catalogVersion();
+    if (latest?.snapshot_id !== version?.snapshot_id) {
+      if (cache.size > 0) counters.invalidations++;
+      cache.clear();
+      version = latest;
+    }
+  }
+
+
+  async function search(courseCode, { includeInactive = false, institution = DEFAULT_INSTITUTION } = {}) {
+    await checkVersion();
+
+    const key = `${institution}|${courseCode}|${includeInactive}`;
+    // The college and includeInactive change the answer, so both are part
+    // of the key.
+
+    const cached = cache.get(key);
+    if (cached) {
+      counters.hits++;
+      return { ...cached, hit: true };
+    }
+    counters.misses++;
+
+    const { results, equivalencies } = await queries.searchCourse(courseCode, { includeInactive, institution });
+    const entry = {
+      results,
+      equivalencies,
+      hash: createHash('sha1').update(JSON.stringify({ results, equivalencies })).digest('base64url'),
+      // Same answer → same hash → same ETag, so a browser's If-None-Match
+      // still matches after the server restarts or the cache is cleared.
+      lastModified: version?.taken_at ? new Date(version.taken_at) : null
+    };
+
+    if (cache.set(key, entry)) counters.evictions++;
+    return { ...entry, hit: false };
+  }
+
+
+  function stats() {
+    return { ...counters, size: cache.size, maxEntries, ttlMs };
+  }
+
+
+  function clear() {
+    if (cache.size > 0) counters.invalidations++;
+    cache.clear();
+  }
+
+
+  return { search, stats, clear };
+}
+
+
+// -----------------------------------------------------------------------------
+// FUNCTION: setSearchHeaders(res, answer, variant)
+// PURPOSE:  Adds HTTP caching headers for an answer from search() to an
+//           Express response:
+//             ETag          — "<hash>" or "<hash>-<variant>"
+//             Last-Modified — when the answer's catalog snapshot was taken
+//             X-Cache       — HIT or MISS, for checking the cache from curl
+//           "variant" distinguishes different responses built from the same
+//           answer, such as two pages of GET /api/v1/search.
+//
+//   For GET requests Express then compares these with the request's
+//   If-None-Match / If-Modified-Since headers and, when they match, sends
+//   304 Not Modified with no body instead (see req.fresh in Express).
+// -----------------------------------------------------------------------------
+
+export function setSearchHeaders(res, answer, variant = '') {
+  res.set('ETag', `"${answer.hash}${variant ? `-${variant}` : ''}"`);
+  if (answer.lastModified) {
+    res.set('Last-Modified', answer.lastModified.toUTCString());
+  }
+  res.set('X-Cache', answer.hit ? 'HIT' : 'MISS');
+}
@@ -0,0 +1,251 @@
+// =============================================================================
+// search-log.js
+// Search analytics: every search is recorded, and GET /admin/searches
+// reports what students look for.
+//
+// PURPOSE:
+//   The catalog is scraped from each college's website, so gaps are easy to
+//   miss: a program page that failed to parse, a course listed under a
+//   number students do not use. Searches show where they are. Each search
+//   made through POST /search or GET /api/v1/search adds one event:
+//
+//     { searched_at: '2026-10-18T15:42:58.120Z', institution: 'ccsf',
+//       course_code: 'CNIT 120', result_count: 4 }
+//
+//   and nothing else — no IP address, request ID or browser details, so the
+//   log holds nothing that identifies a student. Events are only ever
+//   appended, never changed or deleted by the server.
+//
+//   searchReport() then summarizes a period across every college. A code is
+//   counted per college — CS 110 at two colleges is two different courses:
+//     popular     — the most-searched course codes
+//     zeroResults — codes that found nothing: either the scraper missed the
+//                   programs they count toward, or students mistype them
+//     trend       — searches per day (UTC), and how many found nothing
+//
+//   Two stores, matching catalog-store.js:
+//     postgres — the search_events table (see schema.sql)
+//     json     — an append-only JSON Lines file, one event per line
+// =============================================================================
+
+import { appendFile, readFile } from 'node:fs/promises';
+
+import { DEFAULT_INSTITUTION } from './validation.js';
+
+
+// -----------------------------------------------------------------------------
+// CONSTANTS
+// -----------------------------------------------------------------------------
+
+export const DEFAULT_SEARCH_LOG_FILE = 'data/searches.jsonl';
+// Next to data/catalog.json. Not committed (see .gitignore): it is written
+// by the running server.
+
+export const DEFAULT_REPORT_DAYS = 30;
+export const DEFAULT_REPORT_LIMIT = 20;
+
+
+// -----------------------------------------------------------------------------
+// FUNCTION: createPostgresSearchLog(pool)
+// PURPOSE:  Returns { recordSearch, searchReport } backed by search_events.
+//
+//   recordSearch({ institution, courseCode, resultCount })
+//   searchReport({ days, limit }) → { since, totalSearches, zeroResultSearches,
+//                                     popular, zeroResults, trend }
+// -----------------------------------------------------------------------------
+
+export function createPostgresSearchLog(pool) {
+
+  async function recordSearch({ institution, courseCode, resultCount }) {
+    await pool.query(
+      `INSERT INTO search_events (institution, course_code, result_count) VALUES ($1, $2, $3)`,
+      [institution, courseCode, resultCount]
+    );
+    // searched_at defaults to now() in the table definition.
+  }
+
+
+  async function searchReport({ days = DEFAULT_REPORT_DAYS, limit = DEFAULT_REPORT_LIMIT } = {}) {
+    const since = startOfPeriod(days);
+
+    const topCodes = zeroOnly => pool.query(
+      `SELECT institution,
+              course_code,
+              count(*)::int     AS searches,
+              max(searched_at)  AS last_searched
+       FROM search_events
+       WHERE searched_at >= $1 ${zeroOnly ? 'AND result_count = 0' : ''}
+       GROUP BY institution, course_code
+       ORDER BY searches DESC, institution, course_code
+       LIMIT $2`,
+      [since, limit]
+    );
+    // zeroOnly is a boolean chosen here, never user input, so building the
+    // WHERE clause from it is safe.
+
+    const [popular, zeroResults, trend] = await Promise.all([
+      topCodes(false),
+      topCodes(true),
+      pool.query(
+        `SELECT to_char((searched_at AT TIME ZONE 'UTC')::date, 'YYYY-MM-DD') AS day,
+                count(*)::int                                  AS searches,
+                (count(*) FILTER (WHERE result_count = 0))::int AS zero_result
+         FROM search_events
+         WHERE searched_at >= $1
+         GROUP BY day
+         ORDER BY day`,
+        [since]
+      )
+      // Days are UTC, as in the JSON store, so both report the same days.
+    ]);
+
+    return withTotals(since, popular.rows, zeroResults.rows, trend.rows);
+  }
+
+
+  return { recordSearch, searchReport };
+}
+
+
+// -----------------------------------------------------------------------------
+// FUNCTION: createJsonSearchLog(file)
+// PURPOSE:  The same { recordSearch, searchReport } over a JSON Lines file.
+//           Each event is one appendFile() call, which the operating system
+//           performs as a single write at the end of the file, so concurrent
+//           searches never interleave or overwrite each other's lines.
+// -----------------------------------------------------------------------------
+
+export function createJsonSearchLog(file) {
+
+  async function recordSearch({ institution, courseCode, resultCount }) {
+    const event = {
+      searched_at:  new Date().toISOString(),
+      institution,
+      course_code:  courseCode,
+      result_count: resultCount
+    };
+    await appendFile(file, JSON.stringify(event) + '\n');
+  }
+
+
+  async function searchReport({ days = DEFAULT_REPORT_DAYS, limit = DEFAULT_REPORT_LIMIT } = {}) {
+    const since = startOfPeriod(days);
+    const events = (await readEvents(file)).filter(e => new Date(e.searched_at) >= since);
+    return summarizeSearches(events, since, limit);
+  }
+
+
+  return { recordSearch, searchReport };
+}
+
+
+// -----------------------------------------------------------------------------
+// FUNCTION: readEvents(file)
+// PURPOSE:  Parses a JSON Lines search log. A missing file is an empty log;
+//           a line that is not valid JSON (a write cut short by a crash) is
+//           skipped rather than making the whole report fail.
+// -----------------------------------------------------------------------------
+
+async function readEvents(file) {
+  let text;
+  try {
+    text = await readFile(file, 'utf8');
+  } catch (err) {
+    if (err.code === 'ENOENT') return [];
+    throw err;
+  }
+
+  const events = [];
+  for (const line of text.split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      events.push(JSON.parse(line));
+    } catch {
+      // Skipped: see above.
+    }
+  }
+  return events;
+}
+
+
+// -----------------------------------------------------------------------------
+// FUNCTION: summarizeSearches(events, since, limit)
+// PURPOSE:  Builds the searchReport() result from a list of events in
+//           JavaScript — the JSON store's equivalent of the SQL above.
+// -----------------------------------------------------------------------------
+
+export function summarizeSearches(events, since, limit = DEFAULT_REPORT_LIMIT) {
+  const byCode = new Map();
+  // 'institution|course_code' → { institution, course_code, searches, zero_result, last_searched }
+  const byDay = new Map();
+  // 'YYYY-MM-DD' → { day, searches, zero_result }
+
+  for (const { searched_at, institution = DEFAULT_INSTITUTION, course_code, result_count } of events) {
+    // Events logged before colleges were added have no institution.
+    const zero = result_count === 0 ? 1 : 0;
+
+    const key = `${institution}|${course_code}`;
+    const code = byCode.get(key)
+      ?? { institution, course_code, searches: 0, zero_result: 0, last_searched: searched_at };
+    code.searches++;
+    code.zero_result += zero;
+    if (searched_at > code.last_searched) code.last_searched = searched_at;
+    // ISO 8601 timestamps in UTC sort as strings.
+    byCode.set(key, code);
+
+    const dayKey = searched_at.slice(0, 10);
+    const day = byDay.get(dayKey) ?? { day: dayKey, searches: 0, zero_result: 0 };
+    day.searches++;
+    day.zero_result += zero;
+    byDay.set(dayKey, day);
+  }
+
+  const top = (rows, count) => rows
+    .sort((a, b) =>
+      count(b) - count(a) ||
+      a.institution.localeCompare(b.institution) ||
+      a.course_code.localeCompare(b.course_code))
+    .slice(0, limit)
+    .map(row => ({
+      institution:   row.institution,
+      course_code:   row.course_code,
+      searches:      count(row),
+      last_searched: row.last_searched
+    }));
+  // Same columns and order as the SQL in createPostgresSearchLog().
+
+  const codes = [...byCode.values()];
+
+  return withTotals(
+    since,
+    top(codes, row => row.searches),
+    top(codes.filter(row => row.zero_result > 0), row => row.zero_result),
+    [...byDay.values()].sort((a, b) => a.day.localeCompare(b.day))
+  );
+}
+
+
+// -----------------------------------------------------------------------------
+// HELPERS
+// -----------------------------------------------------------------------------
+
+// Midnight UTC at the start of a period of "days" days ending today, so
+// days=1 is today so far and days=7 the last week including today.
+function startOfPeriod(days) {
+  const start = new Date();
+  start.setUTCHours(0, 0, 0, 0);
+  start.setUTCDate(start.getUTCDate() - (days - 1));
+  return start;
+}
+
+// The report object both stores return, with totals taken from the trend.
+function withTotals(since, popular, zeroResults, trend) {
+  return {
+    since: since.toISOString(),
+    totalSearches:      trend.reduce((sum, day) => sum + day.searches, 0),
+    zeroResultSearches: trend.reduce((sum, day) => sum + day.zero_result, 0),
+    popular,
+    zeroResults,
+    trend
+  };
+}
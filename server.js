@@ -19,6 +19,11 @@
 //   4. "app.use(express.static)" REMOVED — GitHub Pages serves frontend files
 //   5. "process.env.DATABASE_URL" replaces hardcoded connection string
 //   6. "process.env.PORT"        replaces hardcoded port 3000
+//
+// TESTING:
+//   createApp() builds the app without starting it, so the tests in test/
+//   can import it and send it requests. "node server.js" starts it
+//   (SECTION 16).
 // =============================================================================
 
 
@@ -34,13 +39,12 @@ import 'dotenv/config';
 // stay off GitHub entirely.
 // Install via: npm install dotenv
 
+import { pathToFileURL } from 'node:url';
+// Used in SECTION 16 to tell "node server.js" apart from an import.
+
 import express from 'express';
 // Express handles incoming HTTP requests and routes them to the correct handler.
 
-import pg from 'pg';
-// node-postgres: implements the PostgreSQL wire protocol so Node.js can
-// communicate with the TimescaleDB Cloud instance over TCP/IP.
-
 import cors from 'cors';
 // CORS = Cross-Origin Resource Sharing.
 // Browsers enforce a security rule: a page served from Origin A cannot call
@@ -51,177 +55,786 @@ import cors from 'cors';
 // script.js can read it, regardless of whether the request reached the server.
 // Install via: npm install cors
 
+import { createStore } from './catalog-store.js';
+// Where the catalog is read from: PostgreSQL or a JSON file (see
+// catalog-store.js). Every query the routes below run goes through it.
 
-// -----------------------------------------------------------------------------
-// SECTION 2: INITIALIZATION
-// -----------------------------------------------------------------------------
+import {
+  isCourseCode, normalizeCode, isCalendarDate, parseInstitution, DEFAULT_INSTITUTION,
+  MAX_TRANSCRIPT_COURSES
+} from './validation.js';
+// Input rules shared with the versioned API (see validation.js).
+
+import { createApiV1 } from './api-v1.js';
+// The versioned read API mounted at /api/v1 (see api-v1.js).
 
-const { Pool } = pg;
-// Pool manages a collection of reusable database connections.
-// Reusing connections avoids the overhead of a full TCP + TLS + authentication
-// handshake on every incoming request.
+import { createSearchCache, setSearchHeaders } from './search-cache.js';
+// In-memory cache of recent searches (see search-cache.js).
 
-const app = express();
-// Creates the Express application. All middleware and routes attach to this.
+import { createRateLimiter, rateLimit, securityHeaders, readBearerToken, tokensMatch } from './protection.js';
+// Per-IP rate limiting, security headers and the constant-time token check
+// used by GET /metrics (see protection.js).
+
+import { createAdminApi } from './admin-api.js';
+// Token-protected routes for catalog staff, mounted at /admin (see admin-api.js).
+
+import { createLogger, requestLogger } from './logger.js';
+import { createMetrics } from './metrics.js';
+// JSON log lines with request IDs, and the counters behind GET /metrics
+// (see logger.js and metrics.js).
 
 
 // -----------------------------------------------------------------------------
-// SECTION 3: MIDDLEWARE
-// Middleware runs on every request before it reaches a route handler.
-// Order matters — middleware executes in the order app.use() is called.
+// FUNCTION: createApp(queries, env)
+// PURPOSE:  Builds the Express app — the middleware and every route in
+//           SECTIONS 2 to 15 — around a catalog store, without starting it.
+//           "queries" is a store from catalog-store.js and "env" holds the
+//           settings, process.env unless given. SECTION 16 starts the app
+//           when this file is run with "node server.js"; the tests in test/
+//           import createApp() and send requests to a store of their own.
 // -----------------------------------------------------------------------------
 
-app.use(cors({
-  origin: process.env.https://korez-23-tech.github.io/CourseReverseSearch/
-  // ALLOWED_ORIGIN is set in the .env file (locally) and in the hosting
-  // platform's environment variable settings (in production).
-  //
-  // Example value: https://yourusername.github.io
+export function createApp(queries, env = process.env) {
+  // ---------------------------------------------------------------------------
+  // SECTION 2: INITIALIZATION
+  // ---------------------------------------------------------------------------
+
+  const app = express();
+  // Creates the Express application. All middleware and routes attach to this.
+
+  const log = createLogger({}, { level: env.LOG_LEVEL });
+  // Every log line is JSON (see logger.js). Inside a route, req.log is used
+  // instead: the same logger with the request's ID added.
+
+  const metrics = createMetrics();
+  // Request counts and latencies, served by GET /metrics (SECTION 14).
+
+  app.disable('x-powered-by');
+  // Express announces itself with an "X-Powered-By: Express" header by
+  // default. It helps nobody but someone looking for servers to attack.
+
+  if (env.TRUST_PROXY) {
+    app.set('trust proxy', /^\d+$/.test(env.TRUST_PROXY)
+      ? Number(env.TRUST_PROXY)
+      : env.TRUST_PROXY);
+  }
+  // Render and Railway put a proxy in front of the server, so every request
+  // arrives from the proxy's address. With TRUST_PROXY=1, Express reads the
+  // caller's real address from the X-Forwarded-For header the proxy adds, and
+  // req.ip — which the rate limiter below counts by — is the student's IP
+  // rather than the same proxy IP for everyone. Leave it unset when nothing
+  // sits in front of the server, or callers could fake their address.
+
+
+  // ---------------------------------------------------------------------------
+  // SECTION 3: MIDDLEWARE
+  // Middleware runs on every request before it reaches a route handler.
+  // Order matters — middleware executes in the order app.use() is called.
+  // ---------------------------------------------------------------------------
+
+  app.use(requestLogger(log));
+  app.use(metrics.middleware());
+  // First, so that every request is logged and counted — including ones the
+  // middleware below turns away (429, 413).
+
+  app.use(securityHeaders());
+  // nosniff, no framing, HTTPS only, ... on every response (see protection.js).
+
+  app.use(cors({
+    origin: env.ALLOWED_ORIGIN
+    // ALLOWED_ORIGIN is set in the .env file (locally) and in the hosting
+    // platform's environment variable settings (in production).
+    //
+    // Example value: https://yourusername.github.io
+    //
+    // This tells the browser: "only requests originating from this exact URL
+    // are permitted to read responses from this server."
+    // Setting origin: '*' would allow any website to call this endpoint —
+    // acceptable for fully public APIs, but inappropriate here because real
+    // database queries are being executed on behalf of the caller.
+  }));
+  // The cors() middleware adds the following HTTP header to every response:
+  //   Access-Control-Allow-Origin: https://yourusername.github.io
+  // The browser checks this header. If the current page's origin matches,
+  // the response is released to script.js. If not, the browser discards it.
+
+  const limiter = createRateLimiter({
+    windowMs: Number(env.RATE_LIMIT_WINDOW_SECONDS) * 1000 || undefined,
+    max:      Number(env.RATE_LIMIT_MAX) || undefined
+  });
+  // "|| undefined" falls back to the defaults in protection.js (60 requests
+  // per minute) when a variable is unset.
+
+  const MONITORING_PATHS = new Set(['/healthz', '/readyz', '/metrics']);
+  // Polled every few seconds by the hosting platform and the metrics scraper
+  // (SECTION 14). They are cheap and must never be refused with a 429, or a
+  // busy server would be reported as down.
+
+  const limitRequests = rateLimit(limiter, (req, res) => {
+    const message = `Too many requests. Please try again in ${res.get('Retry-After')} seconds.`;
+
+    if (req.path.startsWith('/api/v1/')) {
+      return res.json({ error: { status: 429, code: 'rate_limited', message } });
+      // The versioned API's standard error object (see api-v1.js).
+    }
+    res.json({ error: message });
+  });
+
+  app.use((req, res, next) =>
+    MONITORING_PATHS.has(req.path) ? next() : limitRequests(req, res, next)
+  );
+  // Runs after cors() so a 429 still carries Access-Control-Allow-Origin —
+  // otherwise the browser would hide it from script.js as a network error.
+  // Runs before express.json() so a flood of large bodies is turned away
+  // before they are parsed.
+
+  app.use(express.json({ limit: env.JSON_BODY_LIMIT || '16kb' }));
+  // Parses the JSON body of incoming POST requests into req.body.
+  // Required because script.js sends: { "courseCode": "CNIT 120" } as JSON.
   //
-  // This tells the browser: "only requests originating from this exact URL
-  // are permitted to read responses from this server."
-  // Setting origin: '*' would allow any website to call this endpoint —
-  // acceptable for fully public APIs, but inappropriate here because real
-  // database queries are being executed on behalf of the caller.
-}));
-// The cors() middleware adds the following HTTP header to every response:
-//   Access-Control-Allow-Origin: https://yourusername.github.io
-// The browser checks this header. If the current page's origin matches,
-// the response is released to script.js. If not, the browser discards it.
-
-app.use(express.json());
-// Parses the JSON body of incoming POST requests into req.body.
-// Required because script.js sends: { "courseCode": "CNIT 120" } as JSON.
-
-// NOTE: app.use(express.static('.')) has been REMOVED.
-// In the localhost version, Express served index.html, script.js, and
-// style.css. In the GitHub Pages deployment, those files are served directly
-// by GitHub's infrastructure. Having the backend also serve them would be
-// redundant and would cause the backend to receive traffic it does not need.
+  // "limit" — larger bodies are rejected with 413 before being read into
+  // memory. The largest legitimate body, a POST /progress transcript of
+  // MAX_TRANSCRIPT_COURSES codes, is about 2 KB; the default would be 100 KB.
 
+  app.use((err, req, res, next) => {
+    if (err.type === 'entity.too.large') {
+      return res.status(413).json({ error: 'Request body is too large.' });
+    }
+    if (err.type === 'entity.parse.failed') {
+      return res.status(400).json({ error: 'Request body is not valid JSON.' });
+    }
+    next(err);
+  });
+  // An error handler (four arguments) for the two ways express.json() fails.
+  // Without it Express answers with an HTML error page, which script.js
+  // cannot read as JSON. Any other error is passed on to the handler in
+  // SECTION 15.
 
-// -----------------------------------------------------------------------------
-// SECTION 4: DATABASE CONNECTION POOL
-// -----------------------------------------------------------------------------
+  // NOTE: app.use(express.static('.')) has been REMOVED.
+  // In the localhost version, Express served index.html, script.js, and
+  // style.css. In the GitHub Pages deployment, those files are served directly
+  // by GitHub's infrastructure. Having the backend also serve them would be
+  // redundant and would cause the backend to receive traffic it does not need.
 
-const pool = new Pool({
-  connectionString: process.env.DATABASE_URL
-  // DATABASE_URL is defined in the .env file (locally) and as an environment
-  // variable on the hosting platform (in production).
+
+  // ---------------------------------------------------------------------------
+  // SECTION 4: DATA STORE
+  // ---------------------------------------------------------------------------
+
+  // "queries" is the store every route below reads from: one object with a
+  // method per query (searchCourse, getProgram, ...). When the server starts
+  // it comes from createStore() in catalog-store.js (SECTION 16); the tests in
+  // test/ pass in one backed by an in-memory database.
+
+
+  // ---------------------------------------------------------------------------
+  // SECTION 5: SHARED SETTINGS
+  // The input rules live in validation.js, shared with the versioned API in
+  // SECTION 11.
+  // ---------------------------------------------------------------------------
+
+  const MAX_SUGGESTIONS = 10;
+  // Most entries GET /suggest returns. Ten fit in the dropdown under
+  // #user_input without scrolling.
+
+  const searchCache = createSearchCache(queries, {
+    maxEntries: Number(env.SEARCH_CACHE_SIZE) || undefined,
+    ttlMs:      Number(env.SEARCH_CACHE_TTL_SECONDS) * 1000 || undefined
+  });
+  // Shared by POST /search and GET /api/v1/search, so a search made through
+  // either one is cached for both. "|| undefined" falls back to the defaults
+  // in search-cache.js when a variable is unset (Number('') is 0).
+
+
+  function recordSearch(req, institution, courseCode, resultCount) {
+    queries.recordSearch({ institution, courseCode, resultCount }).catch(err =>
+      req.log.warn('Search not recorded', { error: err.message })
+    );
+  }
+  // Adds a search to the analytics log (see search-log.js) in the background.
+  // A failed write is logged and otherwise ignored; it must never turn a
+  // successful search into an error.
+
+
+  async function isKnownInstitution(institution) {
+    if (institution === DEFAULT_INSTITUTION) return true;
+    const institutions = await queries.listInstitutions();
+    return institutions.some(known => known.id === institution);
+  }
+  // Whether a college id from parseInstitution() has a catalog. The default
+  // college always counts as known, so requests that name no college behave
+  // exactly as before colleges were added — even against an empty catalog —
+  // and cost no extra query.
+
+  const UNKNOWN_INSTITUTION = 'Unknown institution. GET /institutions lists the colleges.';
+
+
+  // ---------------------------------------------------------------------------
+  // SECTION 6: ROUTE HANDLER — POST /search
+  // Receives a course code from script.js, queries the database, returns results.
   //
-  // Full value format:
-  //   postgres://tsdbadmin:<PASSWORD>@gdj8h4wj0e.kfltst1kf3.tsdb.cloud.timescale.com:37859/tsdb?sslmode=require
+  // Kept for script.js and any existing callers. New integrations should use
+  // GET /api/v1/search?course=... (SECTION 11), which returns the same results
+  // but can be bookmarked and cached.
+  // ---------------------------------------------------------------------------
+
+  app.post('/search', async (req, res, next) => {
+    // app.post() — responds only to HTTP POST requests at the path '/search'.
+    // async      — required to use "await" on the database query inside this function.
+    // req        — the incoming request (body, headers, etc.)
+    // res        — the outgoing response (used to send JSON back to script.js)
+    // next       — hands an error to the error handler in SECTION 15
+
+    const body = req.body ?? {};
+    // express.json() middleware already parsed the JSON body into req.body.
+    // A request with no JSON body (none at all, or no "Content-Type:
+    // application/json") leaves req.body undefined; an empty object makes it
+    // fail the validation below with a 400 instead of throwing here.
+
+    const { courseCode, includeInactive = false } = body;
+    // Reads the courseCode property from the parsed JSON body.
+    // script.js sends: { "courseCode": "CNIT 120", "includeInactive": false, "institution": "ccsf" }
+    //
+    // includeInactive — optional. Retired (defunct) programs are left out of
+    // the results unless this is true. Older clients that never send it get
+    // active programs only.
+
+    const institution = parseInstitution(body.institution);
+    // institution — optional. The college whose catalog is searched (see
+    // GET /institutions). Older clients that never send it search CCSF.
+
+
+    // -------------------------------------------------------------------------
+    // SERVER-SIDE VALIDATION
+    // script.js checks the same rule before sending — both import
+    // isCourseCode() from validation.js, so the two can no longer disagree
+    // about which codes are valid. The check is repeated here because
+    // client-side validation can be bypassed by sending a POST request
+    // directly via curl, Postman, or a malicious script. The server must
+    // never trust input that has not been validated server-side.
+    // -------------------------------------------------------------------------
+
+    if (!isCourseCode(courseCode)) {
+      return res.status(400).json({ error: 'Invalid course code format.' });
+      // 400 Bad Request — input failed server-side validation.
+      // "return" exits the handler; nothing below executes.
+    }
+
+    if (typeof includeInactive !== 'boolean') {
+      return res.status(400).json({ error: 'includeInactive must be true or false.' });
+    }
+
+    if (!institution) {
+      return res.status(400).json({ error: UNKNOWN_INSTITUTION });
+    }
+
+
+    // -------------------------------------------------------------------------
+    // DATABASE QUERY
+    // -------------------------------------------------------------------------
+
+    const normalized = normalizeCode(courseCode);
+    // .trim()        — removes accidental whitespace
+    // .toUpperCase() — normalizes "cnit 120" → "CNIT 120" for consistent matching
+
+    try {
+      if (!await isKnownInstitution(institution)) {
+        return res.status(400).json({ error: UNKNOWN_INSTITUTION });
+        // Checked here rather than with the format above because it needs
+        // the store, whose errors the catch below turns into a 500.
+      }
+
+      const answer = await searchCache.search(normalized, { includeInactive, institution });
+      const { results, equivalencies } = answer;
+      // Answered from memory when the same search was made recently; see
+      // searchCourse() in catalog-queries.js for the SQL otherwise, including
+      // how equivalent course numbers are folded into one search.
+
+      setSearchHeaders(res, answer);
+      // ETag and Last-Modified (see search-cache.js). Browsers do not reuse
+      // POST responses, but the headers say which catalog snapshot answered.
+
+      recordSearch(req, institution, normalized, results.length);
+      // For GET /admin/searches. Not awaited: the student's results are not
+      // held up by the analytics write.
+
+      if (results.length === 0) {
+        return res.status(404).json({ error: 'No degrees or certificates found for that course.' });
+        // 404 Not Found — the query ran successfully but returned no rows.
+      }
+
+      res.json({ results, equivalencies });
+      // results is an array of plain objects, one per program.
+      // equivalencies lists the mappings that were applied (empty if none), so
+      // script.js can tell the student why a result matched another number.
+      // res.json() serializes both to a JSON string and sends it to script.js.
+
+    } catch (err) {
+      next(err);
+      // SECTION 15 logs the error and answers 500 Internal Server Error with
+      // a vague message. Every route below does the same, so a failed query
+      // is answered in one place.
+    }
+  });
+
+
+  // ---------------------------------------------------------------------------
+  // SECTION 7: ROUTE HANDLER — POST /progress
+  // Receives a student's list of completed courses and returns every program
+  // those courses count toward, ranked by percent of requirements completed,
+  // with the courses still needed in each requirement group.
+  // ---------------------------------------------------------------------------
+
+  app.post('/progress', async (req, res, next) => {
+    const body = req.body ?? {};
+    // req.body is undefined when a request has no JSON body (none at all, or
+    // no "Content-Type: application/json"); it then fails the checks below
+    // with a 400 like any other missing field.
+
+    const { courseCodes, includeInactive = false } = body;
+    // script.js sends: { "courseCodes": ["CNIT 106", "CNIT 120"], "includeInactive": false, "institution": "ccsf" }
+    const institution = parseInstitution(body.institution);
+
+    if (!Array.isArray(courseCodes) || courseCodes.length === 0) {
+      return res.status(400).json({ error: 'courseCodes must be a non-empty list of course codes.' });
+    }
+    if (courseCodes.length > MAX_TRANSCRIPT_COURSES) {
+      return res.status(400).json({ error: `At most ${MAX_TRANSCRIPT_COURSES} course codes can be checked at once.` });
+    }
+    const invalid = courseCodes.filter(code => !isCourseCode(code));
+    if (invalid.length > 0) {
+      return res.status(400).json({ error: `Invalid course code format: ${invalid.join(', ')}` });
+      // Names the offending entries so the student can fix just those lines.
+    }
+    if (typeof includeInactive !== 'boolean') {
+      return res.status(400).json({ error: 'includeInactive must be true or false.' });
+    }
+    if (!institution) {
+      return res.status(400).json({ error: UNKNOWN_INSTITUTION });
+    }
+
+    const completed = [...new Set(courseCodes.map(normalizeCode))];
+    // Normalized the same way as /search, and de-duplicated with a Set so a
+    // course pasted twice is only counted once.
+
+    try {
+      if (!await isKnownInstitution(institution)) {
+        return res.status(400).json({ error: UNKNOWN_INSTITUTION });
+      }
+
+      const { results, unmatched } = await queries.checkProgress(completed, { includeInactive, institution });
+      // unmatched — courses that did not count toward any returned program.
+
+      if (results.length === 0) {
+        return res.status(404).json({ error: 'None of those courses count toward a degree or certificate.' });
+      }
+
+      res.json({ results, unmatched });
+
+    } catch (err) {
+      next(err);
+    }
+  });
+
+
+  // ---------------------------------------------------------------------------
+  // SECTION 8: ROUTE HANDLER — GET /suggest?q=...&institution=...
+  // Typeahead for #user_input. Returns courses in the college's catalog
+  // matching what the user has typed so far, in this order of preference:
+  //   1. code prefix  — "CNIT 1"  → CNIT 103, CNIT 106, CNIT 120, ...
+  //   2. title words  — "hacking" → CNIT 121 Ethical Hacking, ...
+  //   3. did you mean — "CINT 120" → CNIT 120 (only when 1 and 2 find nothing)
+  // ---------------------------------------------------------------------------
+
+  app.get('/suggest', async (req, res, next) => {
+    const q = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+    // req.query.q is an array if the parameter is repeated (?q=a&q=b); only a
+    // single string is accepted.
+
+    if (q.length < 2 || q.length > 50) {
+      return res.status(400).json({ error: 'Query must be between 2 and 50 characters.' });
+      // One character would match most of the catalog; the upper limit keeps
+      // pasted paragraphs out of the LIKE patterns.
+    }
+
+    const institution = parseInstitution(req.query.institution);
+    if (!institution) {
+      return res.status(400).json({ error: UNKNOWN_INSTITUTION });
+    }
+
+    try {
+      if (!await isKnownInstitution(institution)) {
+        return res.status(400).json({ error: UNKNOWN_INSTITUTION });
+      }
+
+      const { suggestions, didYouMean } = await queries.suggestCourses(q, MAX_SUGGESTIONS, { institution });
+      res.json({ query: q, suggestions, didYouMean });
+
+    } catch (err) {
+      next(err);
+    }
+  });
+
+
+  // ---------------------------------------------------------------------------
+  // SECTION 9: ROUTE HANDLERS — GET /institutions, GET /programs, GET /programs/:id
+  // The reverse of /search: start from a program and list its courses.
   //
-  // Using process.env means the password never appears in this source file.
-  // If this file is committed to GitHub, no credentials are exposed.
-});
+  //   GET /institutions
+  //     Every college with a catalog, for the college selector in index.html.
+  //   GET /programs?department=...&awardType=...&includeInactive=true&institution=ccsf
+  //     Every program at the college, optionally filtered, each with the codes
+  //     of all the courses that count toward it.
+  //   GET /programs/42
+  //     One program in full: its requirement groups, and every course with
+  //     its title and units. Program ids are unique across colleges.
+  // ---------------------------------------------------------------------------
 
+  app.get('/institutions', async (req, res, next) => {
+    try {
+      const institutions = await queries.listInstitutions();
+      res.json({ institutions, default: DEFAULT_INSTITUTION });
+      // [{ "id": "ccsf", "name": "City College of San Francisco" }, ...]
+      // "default" is the college searched when a request names none.
 
-// -----------------------------------------------------------------------------
-// SECTION 5: STARTUP CONNECTION VERIFICATION
-// Acquires one connection from the pool at startup to confirm that the
-// DATABASE_URL is valid and the server is reachable. Surfaces credential or
-// network errors immediately rather than at the first user request.
-// -----------------------------------------------------------------------------
+    } catch (err) {
+      next(err);
+    }
+  });
 
-pool.connect((err, client, release) => {
-  if (err) {
-    console.error('Database connection failed:', err.message);
-    // The server continues running after this error. Every subsequent
-    // pool.query() call will also fail until the issue is resolved.
-    // Check that DATABASE_URL is set correctly in the environment variables.
-  } else {
-    console.log('Connected to TimescaleDB successfully.');
-    release();
-    // release() returns the borrowed connection to the pool.
-    // Omitting this call would permanently consume one pool slot, eventually
-    // exhausting the pool and causing the server to stop responding.
-  }
-});
+  app.get('/programs', async (req, res, next) => {
+    const { department, awardType, includeInactive } = req.query;
 
+    for (const [name, value] of Object.entries({ department, awardType })) {
+      if (value !== undefined && (typeof value !== 'string' || value.length > 100)) {
+        return res.status(400).json({ error: `Invalid ${name} filter.` });
+      }
+    }
+    if (includeInactive !== undefined && includeInactive !== 'true' && includeInactive !== 'false') {
+      return res.status(400).json({ error: 'includeInactive must be true or false.' });
+      // Query string values are always strings, so the boolean arrives as
+      // the text "true" or "false".
+    }
 
-// -----------------------------------------------------------------------------
-// SECTION 6: ROUTE HANDLER — POST /search
-// Receives a course code from script.js, queries the database, returns results.
-// This is the only endpoint this server exposes.
-// -----------------------------------------------------------------------------
+    const institution = parseInstitution(req.query.institution);
+    if (!institution) {
+      return res.status(400).json({ error: UNKNOWN_INSTITUTION });
+    }
+
+    try {
+      if (!await isKnownInstitution(institution)) {
+        return res.status(400).json({ error: UNKNOWN_INSTITUTION });
+      }
 
-app.post('/search', async (req, res) => {
-  // app.post() — responds only to HTTP POST requests at the path '/search'.
-  // async      — required to use "await" on pool.query() inside this function.
-  // req        — the incoming request (body, headers, etc.)
-  // res        — the outgoing response (used to send JSON back to script.js)
+      const { programs } = await queries.listPrograms({
+        department,
+        awardType,
+        includeInactive: includeInactive === 'true',
+        institution
+      });
+      // No page argument: script.js builds its filter drop-downs from the full
+      // list, so this route returns every program.
 
-  const { courseCode } = req.body;
-  // Reads the courseCode property from the parsed JSON body.
-  // script.js sends: { "courseCode": "CNIT 120" }
-  // express.json() middleware already parsed that into req.body.
+      res.json({ programs });
+
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  app.get('/programs/:id', async (req, res, next) => {
+    const { id } = req.params;
+    // req.params holds the named parts of the path: /programs/42 → { id: '42' }
+
+    if (!/^\d{1,9}$/.test(id)) {
+      return res.status(400).json({ error: 'Program id must be a number.' });
+    }
+
+    try {
+      const program = await queries.getProgram(Number(id));
+
+      if (!program) {
+        return res.status(404).json({ error: 'Program not found.' });
+      }
+
+      res.json({ program });
+
+    } catch (err) {
+      next(err);
+    }
+  });
 
 
   // ---------------------------------------------------------------------------
-  // SERVER-SIDE VALIDATION
-  // This duplicates the regex in script.js intentionally. Client-side
-  // validation can be bypassed by sending a POST request directly via
-  // curl, Postman, or a malicious script. The server must never trust
-  // input that has not been validated server-side.
+  // SECTION 10: ROUTE HANDLER — GET /changes?since=YYYY-MM-DD
+  // Returns the catalog change log written by ingest.js: courses added to or
+  // removed from programs, and programs added, renamed or retired, for every
+  // snapshot taken on or after the given date. Each change names the college
+  // whose snapshot recorded it.
   // ---------------------------------------------------------------------------
 
-  const courseRegex = /^[A-Za-z]{2,4}\s\d{1,4}[A-Za-z]?$/;
-  if (!courseCode || !courseRegex.test(courseCode.trim())) {
-    return res.status(400).json({ error: 'Invalid course code format.' });
-    // 400 Bad Request — input failed server-side validation.
-    // "return" exits the handler; nothing below executes.
-  }
+  app.get('/changes', async (req, res, next) => {
+    const { since } = req.query;
+    // req.query holds the parsed URL query string.
+    // GET /changes?since=2026-01-15 → req.query.since === '2026-01-15'
+
+    if (!isCalendarDate(since)) {
+      return res.status(400).json({ error: 'Invalid date. Use the format YYYY-MM-DD.' });
+    }
+
+    try {
+      const { changes } = await queries.listChanges(since);
+
+      res.json({ since, changes });
+      // An empty array is a valid answer here ("nothing changed"), so unlike
+      // /search this route does not return 404 when no rows match.
+
+    } catch (err) {
+      next(err);
+    }
+  });
 
 
   // ---------------------------------------------------------------------------
-  // DATABASE QUERY
+  // SECTION 11: VERSIONED API — /api/v1
+  // Read-only GET routes for courses, programs, search, suggestions and the
+  // change log, with pagination, cache headers and structured error objects.
+  // See api-v1.js for the routes and openapi.json for the full description.
+  // The routes above stay as they are for script.js and existing callers.
   // ---------------------------------------------------------------------------
 
-  try {
-    const result = await pool.query(
-      `SELECT degree_name, certificate_name
-       FROM course_qualifications
-       WHERE course_code = $1
-       ORDER BY degree_name`,
-      // $1 is a parameterized placeholder. The value is sent separately from
-      // the SQL string, so PostgreSQL treats it as pure data — never as SQL.
-      // This prevents SQL injection regardless of what the user typed.
+  app.use('/api/v1', createApiV1(queries, searchCache, recordSearch, isKnownInstitution));
 
-      [courseCode.trim().toUpperCase()]
-      // .trim()        — removes accidental whitespace
-      // .toUpperCase() — normalizes "cnit 120" → "CNIT 120" for consistent matching
-    );
 
-    if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'No degrees or certificates found for that course.' });
-      // 404 Not Found — the query ran successfully but returned no rows.
+  // ---------------------------------------------------------------------------
+  // SECTION 12: ROUTE HANDLER — GET /stats/cache
+  // Hit and miss counters for the search cache, to check that it is working:
+  //   { "hits": 120, "misses": 14, "hitRate": 0.896, "evictions": 0,
+  //     "invalidations": 1, "size": 14, "maxEntries": 500, "ttlMs": 3600000 }
+  // invalidations counts how often a new catalog snapshot cleared the cache.
+  // ---------------------------------------------------------------------------
+
+  app.get('/stats/cache', (req, res) => {
+    const stats = searchCache.stats();
+    const lookups = stats.hits + stats.misses;
+
+    res.set('Cache-Control', 'no-store');
+    // Counters change with every search; a cached copy would be misleading.
+    res.json({ ...stats, hitRate: lookups === 0 ? 0 : Number((stats.hits / lookups).toFixed(3)) });
+  });
+
+
+  // ---------------------------------------------------------------------------
+  // SECTION 13: ADMIN API — /admin
+  // Token-protected routes for catalog staff: search analytics, and manual
+  // corrections to course → program mappings that survive re-ingests and are
+  // recorded in an audit log. See admin-api.js; ADMIN_TOKEN in .env.example
+  // sets who may use them.
+  // ---------------------------------------------------------------------------
+
+  app.use('/admin', createAdminApi(queries, searchCache, env.ADMIN_TOKEN));
+
+
+  // ---------------------------------------------------------------------------
+  // SECTION 14: MONITORING — GET /healthz, GET /readyz, GET /metrics
+  // For the hosting platform and monitoring tools rather than for script.js.
+  //
+  //   /healthz — is the catalog store reachable? Render and Railway can poll
+  //              this and restart the service while it answers 503.
+  //   /readyz  — reachable AND holding a catalog fresh enough to serve: at
+  //              least one snapshot, taken within CATALOG_MAX_AGE_HOURS.
+  //   /metrics — request counts and latencies in the Prometheus text format
+  //              (see metrics.js), plus search cache and catalog figures.
+  //
+  // Both checks answer 200 when everything passes and 503 otherwise, with the
+  // details as JSON:
+  //   { "status": "ok",
+  //     "checks": { "database": { "status": "ok", "latencyMs": 3 },
+  //                 "catalog":  { "status": "ok", "lastIngest": "2026-10-18T06:00:00.000Z",
+  //                               "ageHours": 9.7, "maxAgeHours": 48 } } }
+  // ---------------------------------------------------------------------------
+
+  const CATALOG_MAX_AGE_HOURS =
+    Number(env.CATALOG_MAX_AGE_HOURS) || 2 * Number(env.INGEST_INTERVAL_HOURS) || null;
+  // How old the latest snapshot may get before /readyz fails. Defaults to two
+  // ingest intervals — one missed run is tolerated, two are not. Without
+  // either variable, age is reported but never fails the check, since the
+  // catalog may be loaded by hand once a semester.
+
+  async function checkDatabase(req) {
+    const started = Date.now();
+    try {
+      await queries.ping();
+      return { status: 'ok', latencyMs: Date.now() - started };
+    } catch (err) {
+      req.log.error('Health check failed', { check: 'database', error: err.message });
+      return { status: 'error', error: 'The catalog store is unreachable.' };
+      // The real error is logged, not returned: these endpoints are public.
     }
+  }
 
-    res.json({ results: result.rows });
-    // result.rows is an array of plain objects, one per returned database row.
-    // res.json() serializes it to a JSON string and sends it to script.js.
+  async function checkCatalog(req) {
+    try {
+      const version = await queries.catalogVersion();
+      if (!version) {
+        return { status: 'error', error: 'No catalog has been ingested yet.' };
+      }
+
+      const lastIngest = new Date(version.taken_at);
+      const ageHours = Number(((Date.now() - lastIngest) / 3600000).toFixed(1));
+      const stale = CATALOG_MAX_AGE_HOURS !== null && ageHours > CATALOG_MAX_AGE_HOURS;
+
+      return {
+        status: stale ? 'error' : 'ok',
+        lastIngest: lastIngest.toISOString(),
+        ageHours,
+        maxAgeHours: CATALOG_MAX_AGE_HOURS,
+        ...(stale && { error: 'The catalog is older than CATALOG_MAX_AGE_HOURS.' })
+      };
+    } catch (err) {
+      req.log.error('Health check failed', { check: 'catalog', error: err.message });
+      return { status: 'error', error: 'The catalog store is unreachable.' };
+    }
+  }
 
-  } catch (err) {
-    console.error('Query error:', err.message);
-    // Logs the full technical error server-side for debugging.
+  function sendHealth(res, checks) {
+    const ok = Object.values(checks).every(check => check.status === 'ok');
 
-    res.status(500).json({ error: 'Database query failed.' });
-    // 500 Internal Server Error — something went wrong on the server.
-    // The vague message is intentional: detailed database errors must not
-    // be exposed to the client, as they can reveal schema structure.
+    res.set('Cache-Control', 'no-store');
+    res.status(ok ? 200 : 503).json({ status: ok ? 'ok' : 'unavailable', checks });
+    // 503 Service Unavailable is what health checkers look for.
   }
-});
+
+  app.get('/healthz', async (req, res) => {
+    sendHealth(res, { database: await checkDatabase(req) });
+  });
+
+  app.get('/readyz', async (req, res) => {
+    const [database, catalog] = await Promise.all([checkDatabase(req), checkCatalog(req)]);
+    sendHealth(res, { database, catalog });
+  });
+
+  app.get('/metrics', async (req, res) => {
+    if (env.METRICS_TOKEN && !tokensMatch(readBearerToken(req), env.METRICS_TOKEN)) {
+      return res.status(401).json({ error: 'A valid metrics token is required.' });
+    }
+    // Optional: with METRICS_TOKEN set, only a scraper configured with the
+    // token can read traffic figures.
+
+    const cache = searchCache.stats();
+    const version = await queries.catalogVersion().catch(() => null);
+    // A failing store leaves the catalog metrics out rather than failing the
+    // scrape; the request metrics are still worth having.
+
+    res.set('Cache-Control', 'no-store');
+    res.type('text/plain; version=0.0.4');
+    // The content type Prometheus expects for its text format.
+    res.send(metrics.render([
+      { name: 'process_uptime_seconds', help: 'Seconds since the server started.',
+        value: Math.round(process.uptime()) },
+      { name: 'search_cache_hits_total', help: 'Searches answered from the search cache.',
+        type: 'counter', value: cache.hits },
+      { name: 'search_cache_misses_total', help: 'Searches that had to query the catalog store.',
+        type: 'counter', value: cache.misses },
+      { name: 'search_cache_entries', help: 'Searches currently held in the search cache.',
+        value: cache.size },
+      { name: 'catalog_snapshot_id', help: 'Id of the latest catalog snapshot.',
+        value: version?.snapshot_id },
+      { name: 'catalog_snapshot_age_seconds', help: 'Seconds since the latest catalog snapshot was taken.',
+        value: version && Math.round((Date.now() - new Date(version.taken_at)) / 1000) }
+    ]));
+  });
+
+
+  // ---------------------------------------------------------------------------
+  // SECTION 15: ERRORS
+  // Registered last, so it receives every error passed to next() or thrown
+  // by a route: a failed query, which the routes above hand on with
+  // next(err); a request body express.json() refuses for another reason (an
+  // unsupported charset, 415); or a bug. Express's own handler would answer
+  // with an HTML page and, outside production, the stack trace.
+  // ---------------------------------------------------------------------------
+
+  app.use((err, req, res, next) => {
+    if (res.headersSent) return next(err);
+    // Part of a response has already gone out; only Express can end it.
+
+    const v1 = req.path.startsWith('/api/v1/');
+    const status  = err.expose ? err.status : 500;
+    const message = err.expose ? err.message
+      : v1 ? 'The request could not be completed.' : 'Database query failed.';
+    // "expose" is set on the 4xx errors Express and express.json() create,
+    // whose messages are written for the caller ("unsupported charset
+    // \"KLINGON\""). Anything else is answered with a generic 500 — the
+    // wording each API has always used for one. The vague message is
+    // intentional: database errors name tables and columns, and can reveal
+    // the schema.
+
+    if (status === 500) {
+      req.log.error('Request failed', { error: err.message, stack: err.stack });
+      // Logs the full technical error server-side for debugging.
+    }
+
+    if (v1) {
+      return res.status(status).json({
+        error: { status, code: status === 500 ? 'internal_error' : 'invalid_parameter', message }
+      });
+      // The versioned API's standard error object (see api-v1.js).
+    }
+    res.status(status).json({ error: message });
+  });
+
+
+  return app;
+}
 
 
 // -----------------------------------------------------------------------------
-// SECTION 7: START THE SERVER
+// SECTION 16: START THE SERVER
+// Runs only when this file is executed directly ("node server.js"), not when
+// createApp() is imported by the tests.
 // -----------------------------------------------------------------------------
 
-const PORT = process.env.PORT || 3000;
-// process.env.PORT is provided automatically by hosting platforms like Render
-// and Railway. They assign a port dynamically; hardcoding 3000 would cause
-// the server to fail to bind on those platforms.
-// "|| 3000" provides a fallback for local development where PORT is not set.
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const log = createLogger({}, { level: process.env.LOG_LEVEL });
 
-app.listen(PORT, () => console.log(`Server running on port ${PORT}`));
+  const queries = await createStore(process.env);
+  // Which store answers the queries is set by environment variables:
+  //
+  //   DATABASE_URL set         → PostgreSQL (TimescaleDB Cloud in production)
+  //   DATA_BACKEND=json        → the JSON file at DATA_FILE (default
+  //                              data/catalog.json), no database needed
+  //
+  // DATABASE_URL is defined in the .env file (locally) and as an environment
+  // variable on the hosting platform (in production). Full value format:
+  //   postgres://tsdbadmin:<PASSWORD>@gdj8h4wj0e.kfltst1kf3.tsdb.cloud.timescale.com:37859/tsdb?sslmode=require
+  //
+  // Using process.env means the password never appears in this source file.
+  // If this file is committed to GitHub, no credentials are exposed.
+  //
+  // "await" at the top level of a module is allowed in ES modules; the JSON
+  // store reads its file here, before the server accepts any request.
+
+  queries.ping().then(
+    () => log.info('Connected to the catalog store', { store: queries.backend }),
+    err => log.error('Catalog store connection failed', { store: queries.backend, error: err.message })
+  );
+  // Runs one trivial query at startup to confirm that the store is reachable
+  // — for Postgres, that DATABASE_URL is valid and the server accepts it.
+  // Surfaces credential or network errors immediately rather than at the
+  // first user request.
+  //
+  // The server continues running after this error. Every subsequent query
+  // will also fail until the issue is resolved. Check that DATABASE_URL is
+  // set correctly in the environment variables. GET /healthz and /readyz
+  // (SECTION 14) keep reporting the problem after startup, so the hosting
+  // platform can see it too.
+
+  const PORT = process.env.PORT || 3000;
+  // process.env.PORT is provided automatically by hosting platforms like Render
+  // and Railway. They assign a port dynamically; hardcoding 3000 would cause
+  // the server to fail to bind on those platforms.
+  // "|| 3000" provides a fallback for local development where PORT is not set.
+
+  createApp(queries).listen(PORT, () => log.info('Server running', { port: Number(PORT) }));
+}
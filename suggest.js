@@ -0,0 +1,76 @@
+// =============================================================================
+// suggest.js
+// "Did you mean ...?" matching for the GET /suggest typeahead.
+//
+// PURPOSE:
+//   Prefix and title matches are done in SQL by suggestCourses() in
+//   catalog-queries.js. This file handles the case where the user made a
+//   typo and nothing matches at all — e.g. "CINT 120" or "CNIT 12O" — by
+//   finding the catalog codes that are only a character or two away from
+//   what was typed.
+// =============================================================================
+
+
+// -----------------------------------------------------------------------------
+// CONSTANTS
+// -----------------------------------------------------------------------------
+
+export const MAX_TYPO_DISTANCE = 2;
+// At most two single-character edits (insert, delete, replace, or swap of
+// neighbours). One catches most slips; two also catches a swapped pair plus
+// a wrong letter. More than that starts suggesting unrelated courses.
+
+
+// -----------------------------------------------------------------------------
+// FUNCTION: editDistance(a, b)
+// PURPOSE:  Optimal string alignment distance: the number of single-character
+//           insertions, deletions, substitutions or adjacent transpositions
+//           needed to turn "a" into "b".
+//             editDistance('CINT120', 'CNIT120') → 1  (swapped letters)
+//             editDistance('CNIT12',  'CNIT120') → 1  (missing digit)
+// -----------------------------------------------------------------------------
+
+export function editDistance(a, b) {
+  const d = Array.from({ length: a.length + 1 }, (_, i) =>
+    Array.from({ length: b.length + 1 }, (_, j) => (i === 0 ? j : j === 0 ? i : 0))
+  );
+  // d[i][j] = distance between the first i characters of a and the first j
+  // characters of b. Row 0 and column 0 are the cost of building a string
+  // from nothing, one insertion per character.
+
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      d[i][j] = Math.min(
+        d[i - 1][j] + 1,        // deletion
+        d[i][j - 1] + 1,        // insertion
+        d[i - 1][j - 1] + cost  // substitution (free if the characters match)
+      );
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+        // transposition — "CINT" → "CNIT" counts as one edit, not two.
+      }
+    }
+  }
+  return d[a.length][b.length];
+}
+
+
+// -----------------------------------------------------------------------------
+// FUNCTION: closestCodes(query, codes, limit)
+// PURPOSE:  Returns up to "limit" catalog codes within MAX_TYPO_DISTANCE of
+//           the query, closest first. Spaces are ignored while comparing,
+//           so "CNIT120" and "CNIT 120" are treated as the same input.
+// -----------------------------------------------------------------------------
+
+export function closestCodes(query, codes, limit) {
+  const target = query.replace(/\s+/g, '').toUpperCase();
+
+  return codes
+    .map(code => ({ code, distance: editDistance(target, code.replace(/\s+/g, '')) }))
+    .filter(c => c.distance > 0 && c.distance <= MAX_TYPO_DISTANCE)
+    // distance 0 is an exact match, which the prefix search already found.
+    .sort((a, b) => a.distance - b.distance || a.code.localeCompare(b.code))
+    .slice(0, limit)
+    .map(c => c.code);
+}
@@ -0,0 +1,94 @@
+// =============================================================================
+// test/app.test.js
+// Integration tests for what createApp() in server.js does for every route:
+// the error handler in SECTION 15, which answers failed queries and refused
+// request bodies with JSON instead of Express's HTML error page.
+//
+// Runs against PGlite, an in-memory PostgreSQL (see test/harness.js).
+//
+// RUN:  node --test
+// =============================================================================
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { PGlite } from '@electric-sql/pglite';
+// Install via: npm install @electric-sql/pglite
+
+import { createPostgresStore } from '../catalog-store.js';
+import { startServer } from './harness.js';
+
+
+let db;
+let server;
+let url;
+
+before(async () => {
+  db = new PGlite();
+  // Not createDatabase(): a database schema.sql was never run on, so every
+  // catalog query rejects with 'relation "..." does not exist'.
+
+  server = await startServer(createPostgresStore(db));
+  url = server.url;
+});
+
+after(async () => {
+  await server.close();
+  await db.close();
+});
+
+
+// -----------------------------------------------------------------------------
+// 500 — a query rejects
+// -----------------------------------------------------------------------------
+
+const ROUTES = [
+  ['POST', '/search',              { courseCode: 'CNIT 120' }],
+  ['POST', '/progress',            { courseCodes: ['CNIT 120'] }],
+  ['GET',  '/suggest?q=CNIT'],
+  ['GET',  '/institutions'],
+  ['GET',  '/programs'],
+  ['GET',  '/programs/1'],
+  ['GET',  '/changes?since=2026-01-15']
+];
+
+test('500 as JSON, without database details, when a route\'s query rejects', async () => {
+  for (const [method, path, body] of ROUTES) {
+    const response = await fetch(`${url}${path}`, {
+      method,
+      ...(body && { headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) })
+    });
+    const text = await response.text();
+
+    assert.equal(response.status, 500, `${method} ${path}`);
+    assert.match(response.headers.get('Content-Type'), /^application\/json/, `${method} ${path}`);
+    assert.deepEqual(JSON.parse(text), { error: 'Database query failed.' }, `${method} ${path}`);
+    assert.doesNotMatch(text, /relation|does not exist|at .*\.js/, `${method} ${path}`);
+    // Only the generic message: the real error names tables, and a stack
+    // trace names files.
+  }
+});
+
+test('500 in the versioned API\'s error format when a query rejects', async () => {
+  const response = await fetch(`${url}/api/v1/search?course=CNIT%20120`);
+  assert.equal(response.status, 500);
+  assert.deepEqual(await response.json(), {
+    error: { status: 500, code: 'internal_error', message: 'The request could not be completed.' }
+  });
+});
+
+
+// -----------------------------------------------------------------------------
+// 4xx — a request body express.json() refuses
+// -----------------------------------------------------------------------------
+
+test('415 as JSON for a body in a character set express.json() cannot read', async () => {
+  const response = await fetch(`${url}/search`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json; charset=klingon' },
+    body: JSON.stringify({ courseCode: 'CNIT 120' })
+  });
+  assert.equal(response.status, 415);
+  assert.match(response.headers.get('Content-Type'), /^application\/json/);
+  assert.match((await response.json()).error, /charset/);
+});
@@ -0,0 +1,67 @@
+// =============================================================================
+// test/harness.js
+// The database and server the integration tests in test/ run against.
+//
+// HOW IT WORKS:
+//   PGlite is PostgreSQL itself, compiled to WebAssembly and run in memory —
+//   no database server or DATABASE_URL, and nothing left behind. Its
+//   query(text, values) resolves to { rows } the way a node-postgres Pool's
+//   does, so createPostgresStore() in catalog-store.js takes it in place of
+//   the pool. schema.sql is loaded unchanged, and the SQL in
+//   catalog-queries.js runs exactly as it does in production.
+//
+//   Not a test file itself: node --test runs it along with the others, and
+//   it simply defines no tests.
+// =============================================================================
+
+import { readFile } from 'node:fs/promises';
+
+import { PGlite } from '@electric-sql/pglite';
+// Install via: npm install @electric-sql/pglite
+
+import { createApp } from '../server.js';
+
+
+const SETTINGS = { LOG_LEVEL: 'error' };
+// The environment createApp() reads instead of process.env: no .env
+// settings leak in, and only errors are logged.
+
+
+// -----------------------------------------------------------------------------
+// FUNCTION: createDatabase(seed)
+// PURPOSE:  A new in-memory database with schema.sql loaded and, if given,
+//           the "seed" SQL run after it. Close it with db.close().
+// -----------------------------------------------------------------------------
+
+export async function createDatabase(seed) {
+  const db = new PGlite();
+  await db.exec(await readFile(new URL('../schema.sql', import.meta.url), 'utf8'));
+  if (seed) {
+    await db.exec(seed);
+  }
+  return db;
+}
+
+
+// -----------------------------------------------------------------------------
+// FUNCTION: startServer(queries)
+// PURPOSE:  Starts createApp() around a store on a free port and returns
+//           { url, close }: the server's address, and a function that stops
+//           it and resolves once it has.
+// -----------------------------------------------------------------------------
+
+export async function startServer(queries) {
+  const server = createApp(queries, SETTINGS).listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  // Port 0 lets the operating system pick a port no other test is using.
+
+  return {
+    url: `http://localhost:${server.address().port}`,
+    close() {
+      server.closeAllConnections();
+      // fetch() keeps connections open for reuse; close() alone would wait
+      // for them to time out.
+      return new Promise(resolve => server.close(resolve));
+    }
+  };
+}
@@ -0,0 +1,62 @@
+// =============================================================================
+// test/progress.test.js
+// Integration tests for POST /progress in server.js: requests without a
+// usable JSON body must get the route's usual 400, never a 500.
+//
+// Runs against PGlite, an in-memory PostgreSQL (see test/harness.js).
+//
+// RUN:  node --test
+// =============================================================================
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createPostgresStore } from '../catalog-store.js';
+import { createDatabase, startServer } from './harness.js';
+
+
+let db;
+let server;
+let url;
+
+before(async () => {
+  db = await createDatabase();
+  server = await startServer(createPostgresStore(db));
+  url = `${server.url}/progress`;
+});
+
+after(async () => {
+  await server.close();
+  await db.close();
+});
+
+const NO_CODES = { error: 'courseCodes must be a non-empty list of course codes.' };
+
+
+test('400 for a POST with no body', async () => {
+  const response = await fetch(url, { method: 'POST' });
+  assert.equal(response.status, 400);
+  assert.deepEqual(await response.json(), NO_CODES);
+});
+
+test('400 for a body that is not sent as JSON', async () => {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'text/plain' },
+    body: JSON.stringify({ courseCodes: ['CNIT 120'] })
+  });
+  // express.json() reads only application/json bodies, so this one is
+  // never parsed.
+  assert.equal(response.status, 400);
+  assert.deepEqual(await response.json(), NO_CODES);
+});
+
+test('400 for an empty JSON object', async () => {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: '{}'
+  });
+  assert.equal(response.status, 400);
+  assert.deepEqual(await response.json(), NO_CODES);
+});
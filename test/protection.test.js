@@ -0,0 +1,92 @@
+// =============================================================================
+// test/protection.test.js
+// Unit tests for the token checks in protection.js, which guard the /admin
+// routes and GET /metrics.
+//
+// RUN:  node --test
+// =============================================================================
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { readBearerToken, tokensMatch, requireAdminToken } from '../protection.js';
+
+
+// A stand-in for an Express request: only req.get(header) is used.
+function request(headers = {}) {
+  return { get: name => headers[name] };
+}
+
+// Runs a middleware on a request; returns { status, body, req } for an
+// answer it sent, or { next: true, req } when it passed the request on.
+function run(middleware, req) {
+  let status = 200;
+  let result = null;
+  const res = {
+    status(code) { status = code; return res; },
+    json(body) { result = { status, body, req }; }
+  };
+  middleware(req, res, () => { result = { next: true, req }; });
+  return result;
+}
+
+
+// -----------------------------------------------------------------------------
+// readBearerToken(req) / tokensMatch(given, expected)
+// -----------------------------------------------------------------------------
+
+test('readBearerToken returns the token after "Bearer "', () => {
+  assert.equal(readBearerToken(request({ Authorization: 'Bearer 3f9c81ab' })), '3f9c81ab');
+});
+
+test('readBearerToken returns an empty string without a bearer token', () => {
+  assert.equal(readBearerToken(request()), '');
+  assert.equal(readBearerToken(request({ Authorization: 'Basic YWRtaW46YWRtaW4=' })), '');
+});
+
+test('tokensMatch compares whole tokens of any length', () => {
+  assert.equal(tokensMatch('3f9c81ab', '3f9c81ab'), true);
+  assert.equal(tokensMatch('3f9c81aa', '3f9c81ab'), false);
+  assert.equal(tokensMatch('3f9c', '3f9c81ab'), false);
+  assert.equal(tokensMatch('3f9c81ab-and-more', '3f9c81ab'), false);
+  // Different lengths are compared as digests, so timingSafeEqual never
+  // throws on them.
+});
+
+
+// -----------------------------------------------------------------------------
+// requireAdminToken(setting)
+// -----------------------------------------------------------------------------
+
+test('requireAdminToken refuses a setting with an empty token or name', () => {
+  for (const setting of ['maria:', 'maria:   ', 'maria:3f9c81ab,devon:', 'devon:81ab, :']) {
+    assert.throws(() => requireAdminToken(setting), /ADMIN_TOKEN: the entry for ".*" has no token/, setting);
+  }
+  for (const setting of [':3f9c81ab', '   :3f9c81ab', 'maria:3f9c81ab,:81ab3f9c']) {
+    assert.throws(() => requireAdminToken(setting), /ADMIN_TOKEN: an entry has no name/, setting);
+  }
+});
+
+test('requireAdminToken turns away a request with no or an empty bearer token', () => {
+  const middleware = requireAdminToken('maria:3f9c81ab');
+
+  for (const headers of [{}, { Authorization: 'Bearer ' }, { Authorization: 'Bearer    ' }, { Authorization: '' }]) {
+    const result = run(middleware, request(headers));
+    assert.equal(result.status, 401, JSON.stringify(headers));
+    assert.equal(result.req.adminUser, undefined);
+  }
+});
+
+test('requireAdminToken lets a matching token in as its user', () => {
+  const middleware = requireAdminToken('maria:3f9c81ab,devon:81ab3f9c');
+
+  const result = run(middleware, request({ Authorization: 'Bearer 81ab3f9c' }));
+  assert.equal(result.next, true);
+  assert.equal(result.req.adminUser, 'devon');
+
+  assert.equal(run(middleware, request({ Authorization: 'Bearer 81ab' })).status, 401);
+});
+
+test('requireAdminToken switches the admin routes off without a setting', () => {
+  assert.equal(run(requireAdminToken(undefined), request({ Authorization: 'Bearer x' })).status, 503);
+});
@@ -0,0 +1,291 @@
+// =============================================================================
+// test/script.test.js
+// DOM tests for useRegex() and handleSubmit() in script.js, and a check that
+// every language in translations.js has the same messages.
+//
+// HOW IT WORKS:
+//   jsdom parses index.html into a document the way a browser would (its
+//   <script> tags are not run), and script.js is then imported against it
+//   with window, document, location and history pointing at that page.
+//   fetch() is replaced in each test, so no request leaves the machine:
+//   the tests decide what server.js "answers" and check what the page
+//   shows for it.
+//
+// RUN:  node --test
+// =============================================================================
+
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+
+import { JSDOM } from 'jsdom';
+// Install via: npm install jsdom
+
+import { isCourseCode } from '../validation.js';
+import { TRANSLATIONS } from '../translations.js';
+
+
+// -----------------------------------------------------------------------------
+// THE PAGE
+// -----------------------------------------------------------------------------
+
+const dom = new JSDOM(await readFile(new URL('../index.html', import.meta.url), 'utf8'), {
+  url: 'https://yourusername.github.io/course-search/index.html'
+});
+// A GitHub Pages address, so setSearchUrl() has a real URL to update.
+
+await new Promise(resolve => dom.window.addEventListener('load', resolve));
+// script.js sets window.onload when it is imported. Waiting for the page's
+// load event first keeps that handler from running: it would start the
+// clock and load the college and program lists. The tests call
+// handleSubmit() themselves instead.
+
+Object.assign(globalThis, {
+  window:   dom.window,
+  document: dom.window.document,
+  location: dom.window.location,
+  history:  dom.window.history
+});
+
+const { useRegex, handleSubmit, applyLanguage } = await import('../script.js');
+// Imported only now: script.js reads window and document as it loads.
+
+const $ = id => document.getElementById(id);
+
+
+// -----------------------------------------------------------------------------
+// FUNCTION: stubFetch(t, answers)
+// PURPOSE:  Replaces fetch() for one test. "answers" maps the last part of
+//           a request's path ('search', 'suggest', 'search-index.json') to
+//           { status, body }; a request for anything else fails the way an
+//           unreachable server does. Returns the list of requests made, each
+//           as { path, body } with the JSON body parsed.
+// -----------------------------------------------------------------------------
+
+function stubFetch(t, answers) {
+  const requests = [];
+
+  t.mock.method(globalThis, 'fetch', async (url, options = {}) => {
+    const path = new URL(url, location.href).pathname.split('/').pop();
+    requests.push({ path, body: options.body && JSON.parse(options.body) });
+
+    const answer = answers[path];
+    if (!answer) throw new TypeError('fetch failed');
+    return Response.json(answer.body, { status: answer.status });
+  });
+
+  return requests;
+}
+// t.mock puts the real fetch() back when the test ends.
+
+
+function submit(courseCode) {
+  $('user_input').value = courseCode;
+  return handleSubmit(new window.Event('submit', { cancelable: true }));
+}
+
+beforeEach(() => {
+  applyLanguage('en');
+  $('include_inactive').checked = false;
+  $('output').style.display = 'none';
+});
+
+
+// -----------------------------------------------------------------------------
+// useRegex(input)
+// -----------------------------------------------------------------------------
+
+const VALID   = ['CNIT 120', 'CS 101', 'MATH 80', 'BIOL 11A', 'cnit 120', 'PSYC C1000', 'STAT C1000', '  ENGL C1001  '];
+const INVALID = ['CNIT120', 'CNIT  120', 'CNIT 12345', 'MATH A101', 'PSYC C100', 'PSYC C10000', 'PSYC c1000',
+                 'C 120', 'COMPSCI 101', 'CNIT 120 AB', ''];
+
+test('useRegex accepts traditional and Common Course Numbering codes', () => {
+  for (const code of VALID) {
+    assert.equal(useRegex(code), true, JSON.stringify(code));
+  }
+});
+
+test('useRegex rejects anything else', () => {
+  for (const code of INVALID) {
+    assert.equal(useRegex(code), false, JSON.stringify(code));
+  }
+});
+
+test('useRegex agrees with the server on every code', () => {
+  for (const code of [...VALID, ...INVALID]) {
+    assert.equal(useRegex(code), isCourseCode(code), JSON.stringify(code));
+  }
+  // isCourseCode() is what server.js checks POST /search against. The two
+  // once had separate copies of the pattern, which drifted apart.
+});
+
+
+// -----------------------------------------------------------------------------
+// handleSubmit(event)
+// -----------------------------------------------------------------------------
+
+test('handleSubmit stops the form from reloading the page', async t => {
+  stubFetch(t, {});
+  const event = new window.Event('submit', { cancelable: true });
+  $('user_input').value = 'CNIT';
+
+  await handleSubmit(event);
+
+  assert.equal(event.defaultPrevented, true);
+});
+
+test('handleSubmit shows an error and sends nothing for an invalid code', async t => {
+  const requests = stubFetch(t, {});
+
+  await submit('CNIT120');
+
+  assert.equal(requests.length, 0);
+  assert.equal($('output').style.display, 'block');
+  assert.match($('error_message').textContent, /^Invalid format\./);
+  assert.equal($('result_list').children.length, 0);
+});
+
+test('handleSubmit sends the search and lists the results by type', async t => {
+  const requests = stubFetch(t, {
+    search: {
+      status: 200,
+      body: {
+        results: [
+          { institution: 'ccsf', degree_name: 'A.S. Network Security', certificate_name: null,
+            matched_code: 'CNIT 120', award_type: 'Associate in Science Degree', active: true },
+          { institution: 'ccsf', degree_name: null, certificate_name: 'Cybersecurity Certificate of Achievement',
+            matched_code: 'CNIT 120', award_type: 'Certificate of Achievement', active: true }
+        ],
+        equivalencies: []
+      }
+    }
+  });
+
+  await submit(' cnit 120 ');
+
+  assert.deepEqual(requests, [
+    { path: 'search', body: { courseCode: 'cnit 120', includeInactive: false, institution: 'ccsf' } }
+  ]);
+  assert.equal($('error_message').textContent, '');
+  assert.equal($('search_label').textContent, 'Results for: CNIT 120 at City College of San Francisco');
+  assert.equal($('status_message').textContent, '2 matches found.');
+  assert.equal(document.querySelector('#results_degree + ul li strong').textContent, 'A.S. Network Security');
+  assert.equal(document.querySelector('#results_certificate + ul li strong').textContent,
+    'Cybersecurity Certificate of Achievement');
+  assert.equal($('result_list').hasAttribute('aria-busy'), false);
+  assert.equal(new URL(location.href).searchParams.get('course'), 'CNIT 120');
+  // The search is kept in the address bar for sharing and reloading.
+});
+
+test('handleSubmit sends Common Course Numbering codes to the server', async t => {
+  const requests = stubFetch(t, {
+    search: { status: 404, body: { error: 'No degrees or certificates found for that course.' } },
+    suggest: { status: 200, body: { suggestions: [] } }
+  });
+
+  await submit('PSYC C1000');
+
+  assert.equal(requests[0].path, 'search');
+  assert.equal(requests[0].body.courseCode, 'PSYC C1000');
+});
+
+test('handleSubmit shows the server\'s 404 message with "did you mean" codes', async t => {
+  stubFetch(t, {
+    search: { status: 404, body: { error: 'No degrees or certificates found for that course.' } },
+    suggest: {
+      status: 200,
+      body: { suggestions: [{ course_code: 'CNIT 120', title: 'Network Security', match: 'fuzzy' }] }
+    }
+  });
+
+  await submit('CINT 120');
+
+  assert.equal($('error_message').textContent,
+    'Error: No degrees or certificates found for that course. Did you mean "CNIT 120"?');
+  assert.equal($('result_list').children.length, 0);
+});
+
+test('handleSubmit shows the server\'s 400 message', async t => {
+  stubFetch(t, { search: { status: 400, body: { error: 'includeInactive must be true or false.' } } });
+
+  await submit('CNIT 120');
+
+  assert.equal($('error_message').textContent, 'Error: includeInactive must be true or false.');
+});
+
+test('handleSubmit reports a network error when neither the server nor the index answers', async t => {
+  t.mock.method(console, 'warn', () => {});
+  t.mock.method(console, 'error', () => {});
+  // The fallback and the failure are logged for DevTools; not needed here.
+  const requests = stubFetch(t, {});
+
+  await submit('CNIT 120');
+
+  assert.deepEqual(requests.map(request => request.path), ['search', 'search-index.json']);
+  // In 'auto' mode the offline index is tried after the server.
+  assert.equal($('error_message').textContent, 'Network error. Could not reach the server. Please try again.');
+  assert.equal($('result_list').hasAttribute('aria-busy'), false);
+});
+
+test('handleSubmit shows the offline index\'s 404 in the page\'s language', async t => {
+  t.mock.method(console, 'warn', () => {});
+  stubFetch(t, {
+    'search-index.json': {
+      status: 200,
+      body: { generated_at: '2026-10-01T00:00:00Z', programs: [], courses: { ccsf: {} }, equivalencies: {} }
+    }
+  });
+  // The server cannot be reached, so the search is answered from the index,
+  // which lists no program for the code.
+
+  for (const [language, message] of [
+    ['en', 'Error: No degrees or certificates found for that course.'],
+    ['es', 'Error: No se encontraron títulos ni certificados para ese curso.'],
+    ['zh', '错误：没有找到包含该课程的学位或证书。']
+  ]) {
+    applyLanguage(language);
+    await submit('CNIT 999');
+    assert.equal($('error_message').textContent, message, language);
+  }
+});
+
+test('handleSubmit shows catalog text as text, never as HTML', async t => {
+  stubFetch(t, {
+    search: {
+      status: 200,
+      body: {
+        results: [{ institution: 'ccsf', degree_name: null, certificate_name: 'Cert <img src=x onerror=alert(1)>',
+                    matched_code: 'CNIT 120', program_url: 'javascript:alert(1)', active: true }],
+        equivalencies: []
+      }
+    }
+  });
+
+  await submit('CNIT 120');
+
+  const item = document.querySelector('#results_certificate + ul li');
+  assert.equal(item.querySelector('img'), null);
+  assert.equal(item.querySelector('strong').textContent, 'Cert <img src=x onerror=alert(1)>');
+  assert.equal(item.querySelector('a'), null);
+  // Only http(s) catalog pages are linked.
+});
+
+
+// -----------------------------------------------------------------------------
+// TRANSLATIONS
+// -----------------------------------------------------------------------------
+
+test('every language has the same messages as English', () => {
+  const english = TRANSLATIONS.en;
+
+  for (const [language, messages] of Object.entries(TRANSLATIONS)) {
+    assert.deepEqual(Object.keys(messages).sort(), Object.keys(english).sort(), language);
+    for (const key of Object.keys(english)) {
+      assert.equal(typeof messages[key], typeof english[key], `${language}.${key}`);
+    }
+  }
+  // t() falls back to English for a missing key, so a message left out of
+  // one language (as noPrograms once was, hard-coded in searchIndex()) shows
+  // up in English on an otherwise translated page instead of failing.
+  assert.equal(typeof english.noPrograms, 'string');
+});
@@ -0,0 +1,236 @@
+// =============================================================================
+// test/search.test.js
+// Integration tests for POST /search in server.js: the 400, 404, 500 and 200
+// answers, sent over HTTP to the real Express app and store.
+//
+// HOW IT WORKS:
+//   The test catalog below is loaded into PGlite, PostgreSQL run in memory,
+//   by createDatabase() in test/harness.js. The SQL in catalog-queries.js
+//   runs against it exactly as it does in production.
+//
+// RUN:  node --test
+// =============================================================================
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { PGlite } from '@electric-sql/pglite';
+// Install via: npm install @electric-sql/pglite
+
+import { createPostgresStore } from '../catalog-store.js';
+import { createDatabase, startServer } from './harness.js';
+
+
+// -----------------------------------------------------------------------------
+// TEST CATALOG
+// Two CCSF programs for CNIT 120 (one degree, one certificate), a retired
+// program, and PSYC 1 with its Common Course Numbering replacement.
+// -----------------------------------------------------------------------------
+
+const CATALOG = `
+  INSERT INTO programs (name, award_type, department, active) VALUES
+    ('A.S. Network Security', 'Associate in Science Degree', 'Computer Networking and Information Technology', true),
+    ('Cybersecurity Certificate of Achievement', 'Certificate of Achievement', 'Computer Networking and Information Technology', true),
+    ('Network Administration Certificate of Accomplishment', 'Certificate of Accomplishment', 'Computer Networking and Information Technology', false),
+    ('A.A. Psychology', 'Associate in Arts Degree', 'Behavioral Sciences', true);
+
+  INSERT INTO course_qualifications (course_code, degree_name, certificate_name) VALUES
+    ('CNIT 120', 'A.S. Network Security', NULL),
+    ('CNIT 120', NULL, 'Cybersecurity Certificate of Achievement'),
+    ('CNIT 120', NULL, 'Network Administration Certificate of Accomplishment'),
+    ('PSYC 1',   'A.A. Psychology', NULL);
+
+  INSERT INTO course_equivalencies (course_code, equivalent_code, relation) VALUES
+    ('PSYC 1', 'PSYC C1000', 'ccn');
+`;
+// Rows go in without an institution, so they take the column default,
+// 'ccsf' — the college a request means when it names none.
+
+
+// -----------------------------------------------------------------------------
+// FUNCTION: startSearchServer(queries)
+// PURPOSE:  startServer() from test/harness.js, returning { url, post, close }.
+//           post(body) sends POST /search and resolves to { status, body };
+//           url is the server's address, for requests post() cannot send.
+// -----------------------------------------------------------------------------
+
+async function startSearchServer(queries) {
+  const server = await startServer(queries);
+
+  return {
+    ...server,
+    async post(body) {
+      const response = await fetch(`${server.url}/search`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+      });
+      return { status: response.status, body: await response.json() };
+    }
+  };
+}
+
+
+let db;
+let api;
+
+before(async () => {
+  db = await createDatabase(CATALOG);
+  api = await startSearchServer(createPostgresStore(db));
+});
+
+after(async () => {
+  await api.close();
+  await db.close();
+});
+
+
+// -----------------------------------------------------------------------------
+// 400 — rejected before the database is queried
+// -----------------------------------------------------------------------------
+
+test('400 for a course code in neither format', async () => {
+  for (const courseCode of ['CNIT120', 'CNIT 12345', 'MATH A101', 'C 120', '', 120]) {
+    const { status, body } = await api.post({ courseCode });
+    assert.equal(status, 400, `courseCode ${JSON.stringify(courseCode)}`);
+    assert.deepEqual(body, { error: 'Invalid course code format.' });
+  }
+});
+
+test('400 for a missing course code', async () => {
+  const { status, body } = await api.post({});
+  assert.equal(status, 400);
+  assert.deepEqual(body, { error: 'Invalid course code format.' });
+});
+
+test('400 when includeInactive is not a boolean', async () => {
+  const { status, body } = await api.post({ courseCode: 'CNIT 120', includeInactive: 'yes' });
+  assert.equal(status, 400);
+  assert.deepEqual(body, { error: 'includeInactive must be true or false.' });
+});
+
+test('400 for a college with no catalog', async () => {
+  const { status, body } = await api.post({ courseCode: 'CNIT 120', institution: 'nowhere' });
+  assert.equal(status, 400);
+  assert.match(body.error, /^Unknown institution/);
+});
+
+
+// -----------------------------------------------------------------------------
+// 404 — a valid code no program lists
+// -----------------------------------------------------------------------------
+
+test('404 for a valid code that no program lists', async () => {
+  const { status, body } = await api.post({ courseCode: 'CNIT 999' });
+  assert.equal(status, 404);
+  assert.deepEqual(body, { error: 'No degrees or certificates found for that course.' });
+});
+
+test('404 when the only program listing the code is retired', async () => {
+  await db.exec(`
+    INSERT INTO programs (name, award_type, active) VALUES ('Old Certificate', 'Certificate of Achievement', false);
+    INSERT INTO course_qualifications (course_code, certificate_name) VALUES ('CNIT 60', 'Old Certificate');
+  `);
+
+  const { status } = await api.post({ courseCode: 'CNIT 60' });
+  assert.equal(status, 404);
+});
+
+
+// -----------------------------------------------------------------------------
+// 200 — matching programs
+// -----------------------------------------------------------------------------
+
+test('200 with every active program that lists the course', async () => {
+  const { status, body } = await api.post({ courseCode: 'CNIT 120' });
+  assert.equal(status, 200);
+  assert.deepEqual(
+    body.results.map(row => row.degree_name ?? row.certificate_name),
+    ['A.S. Network Security', 'Cybersecurity Certificate of Achievement']
+  );
+  assert.equal(body.results[0].award_type, 'Associate in Science Degree');
+  assert.deepEqual(body.equivalencies, []);
+});
+
+test('200 for lower-case input with extra spaces', async () => {
+  const { status, body } = await api.post({ courseCode: '  cnit 120 ' });
+  assert.equal(status, 200);
+  assert.equal(body.results.length, 2);
+  assert.equal(body.results[0].matched_code, 'CNIT 120');
+});
+
+test('200 including retired programs when includeInactive is true', async () => {
+  const { status, body } = await api.post({ courseCode: 'CNIT 120', includeInactive: true });
+  assert.equal(status, 200);
+  assert.equal(body.results.length, 3);
+  assert.equal(body.results.at(-1).certificate_name, 'Network Administration Certificate of Accomplishment');
+  assert.equal(body.results.at(-1).active, false);
+  // Retired programs are listed after the current ones.
+});
+
+test('200 for a Common Course Numbering code, through its equivalency', async () => {
+  const { status, body } = await api.post({ courseCode: 'PSYC C1000' });
+  // The C#### format script.js accepts must be accepted here too; both
+  // sides check it with isCourseCode() from validation.js.
+  assert.equal(status, 200);
+  assert.equal(body.results[0].degree_name, 'A.A. Psychology');
+  assert.equal(body.results[0].matched_code, 'PSYC 1');
+  assert.deepEqual(body.equivalencies, [
+    { course_code: 'PSYC 1', equivalent_code: 'PSYC C1000', relation: 'ccn' }
+  ]);
+});
+
+
+// -----------------------------------------------------------------------------
+// 500 — the store fails
+// -----------------------------------------------------------------------------
+
+test('500 without database details when a query fails', async () => {
+  const empty = new PGlite();
+  // A database schema.sql was never run on: every catalog query fails with
+  // 'relation "..." does not exist'.
+  const broken = await startSearchServer(createPostgresStore(empty));
+
+  try {
+    const { status, body } = await broken.post({ courseCode: 'CNIT 120' });
+    assert.equal(status, 500);
+    assert.deepEqual(body, { error: 'Database query failed.' });
+    // Only the generic message: the real error names tables and columns.
+  } finally {
+    await broken.close();
+    await empty.close();
+  }
+});
+
+
+// -----------------------------------------------------------------------------
+// Malformed requests — always answered with JSON, never an HTML error page
+// -----------------------------------------------------------------------------
+
+test('400 for a POST with no body', async () => {
+  const response = await fetch(`${api.url}/search`, { method: 'POST' });
+  assert.equal(response.status, 400);
+  assert.deepEqual(await response.json(), { error: 'Invalid course code format.' });
+});
+
+test('400 for a body that is not sent as JSON', async () => {
+  const response = await fetch(`${api.url}/search`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'text/plain' },
+    body: JSON.stringify({ courseCode: 'CNIT 120' })
+  });
+  // express.json() reads only application/json bodies, so this one is
+  // never parsed.
+  assert.equal(response.status, 400);
+  assert.deepEqual(await response.json(), { error: 'Invalid course code format.' });
+});
+
+test('400 for a body that is not valid JSON', async () => {
+  const response = await fetch(`${api.url}/search`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: '{"courseCode": '
+  });
+  assert.equal(response.status, 400);
+  assert.deepEqual(await response.json(), { error: 'Request body is not valid JSON.' });
+});
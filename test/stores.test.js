@@ -0,0 +1,108 @@
+// =============================================================================
+// test/stores.test.js
+// Checks that the two catalog stores — PostgreSQL (catalog-queries.js) and
+// the JSON file (json-store.js) — give the same answer to every query, down
+// to the JSON type of each value. server.js and api-v1.js send the results
+// as they are, so any difference reaches clients as a difference between
+// DATA_BACKEND settings.
+//
+// HOW IT WORKS:
+//   fixtures/ccsf is parsed once and loaded into both stores the way
+//   ingest.js does it: loadSnapshot() into PGlite (an in-memory PostgreSQL,
+//   see test/harness.js) and saveJsonSnapshot() into a temporary file.
+//   Each query is then run against both and the results compared.
+//
+// RUN:  node --test
+// =============================================================================
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+
+import { createCatalogQueries } from '../catalog-queries.js';
+import { saveJsonSnapshot, readJsonCatalog, createJsonQueries } from '../json-store.js';
+import { loadParser, parseDirectory, loadSnapshot } from '../ingest.js';
+import { createDatabase } from './harness.js';
+
+
+const FIXTURES = new URL('../fixtures/ccsf', import.meta.url).pathname;
+const PAGE = { limit: 50, offset: 0 };
+
+let db;
+let dir;
+let postgres;
+let json;
+
+before(async () => {
+  const parser   = await loadParser('ccsf');
+  const programs = await parseDirectory(FIXTURES, parser);
+
+  db = await createDatabase();
+  const pool = {
+    query:   (text, values) => db.query(text, values),
+    connect: async () => ({ query: (text, values) => db.query(text, values), release() {} })
+  };
+  // loadSnapshot() takes a client from the pool for its transaction. PGlite
+  // is a single connection, so that "client" is the database itself.
+  await loadSnapshot(pool, programs, 'fixtures/ccsf', parser);
+  postgres = createCatalogQueries(pool);
+
+  dir = await mkdtemp(path.join(tmpdir(), 'course-search-'));
+  const file = path.join(dir, 'catalog.json');
+  await saveJsonSnapshot(file, programs, 'fixtures/ccsf', parser);
+  json = createJsonQueries(await readJsonCatalog(file));
+});
+
+after(async () => {
+  await db.close();
+  await rm(dir, { recursive: true });
+});
+
+
+// Each query, with the arguments server.js and api-v1.js would pass.
+const QUERIES = [
+  ['listInstitutions', []],
+  ['searchCourse',     ['CNIT 120']],
+  ['searchCourse',     ['CNIT 120', { includeInactive: true }]],
+  ['checkProgress',    [['CNIT 106', 'CNIT 120', 'PSYC 1']]],
+  ['suggestCourses',   ['CNIT', 10]],
+  ['listPrograms',     [{}, PAGE]],
+  ['listPrograms',     [{ department: 'Behavioral Sciences' }, PAGE]],
+  ['getProgram',       [1]],      // has a "units" group, so min_units is compared too
+  ['getProgram',       [3]],
+  ['getProgram',       [999]],
+  ['listCourses',      [{}, PAGE]],
+  ['listCourses',      [{ department: 'CNIT' }, PAGE]],
+  ['getCourse',        ['CNIT 120']],
+  ['getCourse',        ['CNIT 999']]
+];
+
+for (const [query, args] of QUERIES) {
+  test(`${query}(${args.map(arg => JSON.stringify(arg)).join(', ')}) is the same in both stores`, async () => {
+    assert.deepEqual(await json[query](...args), await postgres[query](...args));
+    // deepEqual is strict here (node:assert/strict), so 3 and "3" differ.
+  });
+}
+
+test('listChanges is the same in both stores, apart from when each snapshot was taken', async () => {
+  const withoutTimes = ({ changes, total }) => ({
+    changes: changes.map(({ taken_at, ...change }) => change),
+    total
+  });
+  // Each store stamps its snapshot with the time it was loaded.
+
+  assert.deepEqual(
+    withoutTimes(await json.listChanges('2000-01-01', PAGE)),
+    withoutTimes(await postgres.listChanges('2000-01-01', PAGE))
+  );
+});
+
+test('units are numbers, not the strings node-postgres returns for NUMERIC', async () => {
+  const { courses } = await postgres.listCourses({}, PAGE);
+  assert.ok(courses.length > 0);
+  for (const course of courses) {
+    assert.ok(course.units === null || typeof course.units === 'number', course.course_code);
+  }
+});
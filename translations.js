@@ -0,0 +1,364 @@
+// =============================================================================
+// translations.js
+// Every piece of text the page shows, in each supported language.
+//
+// PURPOSE:
+//   script.js imports TRANSLATIONS from this ES module and looks strings up
+//   with t(key, ...values) (see LANGUAGES in script.js), and index.html marks
+//   its fixed text with data-i18n attributes naming a key here.
+//
+//   A message is either a plain string or a function that receives the
+//   values to fill in and returns a string. Functions let each language
+//   handle plurals and word order its own way:
+//     matchesFound: n => `${n} match${n === 1 ? '' : 'es'} found.`   (en)
+//     matchesFound: n => `找到 ${n} 个结果。`                           (zh)
+//
+//   Only the page's own wording is translated. Program names, departments
+//   and award types come from the college's catalog and are shown as
+//   printed there; error messages from server.js are shown as sent. The
+//   offline search in script.js writes its own, so those are translated.
+//
+// ADDING A LANGUAGE:
+//   Copy the "en" block, translate the values (not the keys), and add an
+//   <option> for it to #language_select in index.html. A key missing from a
+//   language falls back to English.
+// =============================================================================
+
+export const TRANSLATIONS = {
+
+  // ---------------------------------------------------------------------------
+  // English
+  // ---------------------------------------------------------------------------
+  en: {
+    // Fixed page text (data-i18n attributes in index.html)
+    appTitle:               'Course Reverse Search',
+    languageLabel:          'Language:',
+    collegeLabel:           'College:',
+    intro:                  'Choose your college, then enter a course number below to find every Certificate and Associate\'s Degree that course qualifies toward.',
+    formatLabel:            'Format:',
+    formatHelp:             'Department code followed by course number — for example, CNIT 120 or CS 101. Invalid formats will return an error message.',
+    courseInputLabel:       'Enter course number:',
+    courseInputPlaceholder: 'e.g., CNIT 120',
+    suggestionsLabel:       'Course suggestions',
+    includeRetired:         'Include retired programs',
+    searchButton:           'Search',
+    transcriptLabel:        'Or check your progress — enter every course you have completed:',
+    transcriptPlaceholder:  'e.g., CNIT 106, CNIT 120, CS 110A',
+    progressButton:         'Check Progress',
+    downloadCsv:            'Download CSV',
+    downloadJson:           'Download JSON',
+    print:                  'Print',
+    browseHeading:          'Browse Programs',
+    departmentLabel:        'Department:',
+    allDepartments:         'All departments',
+    awardTypeLabel:         'Award type:',
+    allAwardTypes:          'All award types',
+    sortLabel:              'Sort by:',
+    clockLabel:             'Date & Time:',
+
+    // Sort order of the results
+    sortPercent:    'Most complete first',
+    sortName:       'Program name',
+    sortDepartment: 'Department',
+    sortAwardType:  'Award type',
+
+    // Course search
+    invalidFormat:  'Invalid format. Please enter a department code followed by a course number — for example, "CNIT 120" or "CS 101".',
+    searching:      code => `Searching for "${code}"...`,
+    errorPrefix:    message => `Error: ${message}`,
+    didYouMean:     codes => ` Did you mean ${codes.map(c => `"${c}"`).join(' or ')}?`,
+    resultsFor:     (code, college) => `Results for: ${code} at ${college}`,
+    matchesFound:   n => `${n} match${n === 1 ? '' : 'es'} found.`,
+    alsoSearched:   list => ` Also searched: ${list}.`,
+    offlineCopy:    date => ` (From the offline copy of the catalog, updated ${date}.)`,
+    networkError:   'Network error. Could not reach the server. Please try again.',
+    noPrograms:     'No degrees or certificates found for that course.',
+
+    // Results list
+    degreesHeading:      n => `Degrees (${n})`,
+    certificatesHeading: n => `Certificates (${n})`,
+    noFilterMatches:     'No programs match these filters.',
+    showingCount:        (shown, total) => `Showing ${shown} of ${total} programs.`,
+    retired:             'Retired — no longer offered',
+    fillsLabel:          'Fills:',
+    listedAs:            code => `Listed in this program as ${code}`,
+    catalogYear:         year => `${year} catalog`,
+
+    // What a course fills in a program (describeRequirement() in script.js)
+    coreRequirement: 'Core requirement',
+    electiveUnits:   (units, options) => `Elective — counts toward ${units} units from ${options} options`,
+    electivePick:    (count, options) => `Elective — pick ${count} of ${options}`,
+    restrictedPick:  (count, options) => `Restricted choice — pick ${count} of ${options}`,
+    elective:        'Elective',
+    unitCount:       n => `${n} unit${n === 1 ? '' : 's'}`,
+
+    // Equivalent numbers (describeEquivalency() in script.js)
+    equivalencyCcn: (code, ccn) => `${code} / ${ccn} (${ccn} is the Common Course Number for ${code})`,
+    crossListed:    (code, other) => `${code} / ${other} (cross-listed)`,
+
+    // Progress check
+    enterCourses:    'Please enter at least one completed course.',
+    invalidCodes:    codes => `Invalid format: ${codes.join(', ')}. Use a department code followed by a course number — for example, "CNIT 120".`,
+    tooManyCourses:  max => `At most ${max} course codes can be checked at once.`,
+    checking:        n => `Checking ${n} course${n === 1 ? '' : 's'}...`,
+    progressFor:     (codes, college) => `Progress for: ${codes.join(', ')} at ${college}`,
+    countToward:     n => `Your courses count toward ${n} program${n === 1 ? '' : 's'}.`,
+    notCounted:      codes => ` Not counted toward any program: ${codes.join(', ')}.`,
+    percentComplete: (percent, done, required) => `${percent}% complete (${done} of ${required} units)`,
+    doneCourses:     codes => `Done: ${codes.join(', ')}`,
+    doneNone:        'Done: none yet',
+    groupComplete:   '✔ Complete',
+    stillNeedOf:     (n, codes) => `Still need ${n} of: ${codes.join(', ')}`,
+    stillNeedUnits:  (n, codes) => `Still need ${n} unit${n === 1 ? '' : 's'} from: ${codes.join(', ')}`,
+    stillNeed:       codes => `Still need: ${codes.join(', ')}`,
+
+    // Typeahead
+    didYouMeanPrefix: 'Did you mean ',
+
+    // Browse Programs
+    loadingPrograms:     'Loading programs...',
+    programCount:        n => `${n} program${n === 1 ? '' : 's'}.`,
+    courseCount:         n => `${n} course${n === 1 ? '' : 's'}`,
+    officialCatalogPage: 'Official catalog page',
+    loadingCourses:      'Loading courses...',
+    coursesGroup:        'Courses',
+
+    // CSV download
+    csvCollege:         'College',
+    csvProgram:         'Program',
+    csvType:            'Type',
+    csvAwardType:       'Award type',
+    csvDepartment:      'Department',
+    csvCatalogYear:     'Catalog year',
+    csvStatus:          'Status',
+    csvFills:           'Fills',
+    csvListedAs:        'Listed as',
+    csvCatalogPage:     'Catalog page',
+    csvPercentComplete: 'Percent complete',
+    csvUnitsCompleted:  'Units completed',
+    csvUnitsRequired:   'Units required',
+    csvRemaining:       'Remaining courses',
+    typeDegree:         'Degree',
+    typeCertificate:    'Certificate',
+    statusActive:       'Active',
+    statusRetired:      'Retired'
+  },
+
+
+  // ---------------------------------------------------------------------------
+  // Español
+  // ---------------------------------------------------------------------------
+  es: {
+    appTitle:               'Búsqueda inversa de cursos',
+    languageLabel:          'Idioma:',
+    collegeLabel:           'Colegio:',
+    intro:                  'Elija su colegio y escriba un número de curso para ver todos los certificados y títulos de asociado (Associate Degrees) para los que cuenta ese curso.',
+    formatLabel:            'Formato:',
+    formatHelp:             'Código del departamento seguido del número del curso — por ejemplo, CNIT 120 o CS 101. Un formato no válido muestra un mensaje de error.',
+    courseInputLabel:       'Número de curso:',
+    courseInputPlaceholder: 'p. ej., CNIT 120',
+    suggestionsLabel:       'Sugerencias de cursos',
+    includeRetired:         'Incluir programas descontinuados',
+    searchButton:           'Buscar',
+    transcriptLabel:        'O revise su progreso — escriba todos los cursos que ha completado:',
+    transcriptPlaceholder:  'p. ej., CNIT 106, CNIT 120, CS 110A',
+    progressButton:         'Revisar progreso',
+    downloadCsv:            'Descargar CSV',
+    downloadJson:           'Descargar JSON',
+    print:                  'Imprimir',
+    browseHeading:          'Explorar programas',
+    departmentLabel:        'Departamento:',
+    allDepartments:         'Todos los departamentos',
+    awardTypeLabel:         'Tipo de título:',
+    allAwardTypes:          'Todos los tipos',
+    sortLabel:              'Ordenar por:',
+    clockLabel:             'Fecha y hora:',
+
+    sortPercent:    'Más avanzados primero',
+    sortName:       'Nombre del programa',
+    sortDepartment: 'Departamento',
+    sortAwardType:  'Tipo de título',
+
+    invalidFormat:  'Formato no válido. Escriba el código del departamento seguido del número del curso — por ejemplo, "CNIT 120" o "CS 101".',
+    searching:      code => `Buscando "${code}"...`,
+    errorPrefix:    message => `Error: ${message}`,
+    didYouMean:     codes => ` ¿Quiso decir ${codes.map(c => `"${c}"`).join(' o ')}?`,
+    resultsFor:     (code, college) => `Resultados para ${code} en ${college}`,
+    matchesFound:   n => `${n} resultado${n === 1 ? '' : 's'}.`,
+    alsoSearched:   list => ` También se buscó: ${list}.`,
+    offlineCopy:    date => ` (De la copia sin conexión del catálogo, actualizada el ${date}.)`,
+    networkError:   'Error de red. No se pudo conectar con el servidor. Inténtelo de nuevo.',
+    noPrograms:     'No se encontraron títulos ni certificados para ese curso.',
+
+    degreesHeading:      n => `Títulos (${n})`,
+    certificatesHeading: n => `Certificados (${n})`,
+    noFilterMatches:     'Ningún programa coincide con estos filtros.',
+    showingCount:        (shown, total) => `Se muestran ${shown} de ${total} programas.`,
+    retired:             'Descontinuado — ya no se ofrece',
+    fillsLabel:          'Cumple:',
+    listedAs:            code => `En este programa aparece como ${code}`,
+    catalogYear:         year => `catálogo ${year}`,
+
+    coreRequirement: 'Requisito obligatorio',
+    electiveUnits:   (units, options) => `Optativo — cuenta para ${units} unidades entre ${options} opciones`,
+    electivePick:    (count, options) => `Optativo — elegir ${count} de ${options}`,
+    restrictedPick:  (count, options) => `Opción restringida — elegir ${count} de ${options}`,
+    elective:        'Optativo',
+    unitCount:       n => `${n} unidad${n === 1 ? '' : 'es'}`,
+
+    equivalencyCcn: (code, ccn) => `${code} / ${ccn} (${ccn} es el número de curso común de ${code})`,
+    crossListed:    (code, other) => `${code} / ${other} (mismo curso con dos códigos)`,
+
+    enterCourses:    'Escriba al menos un curso completado.',
+    invalidCodes:    codes => `Formato no válido: ${codes.join(', ')}. Use el código del departamento seguido del número del curso — por ejemplo, "CNIT 120".`,
+    tooManyCourses:  max => `Se pueden comprobar como máximo ${max} códigos de curso a la vez.`,
+    checking:        n => `Revisando ${n} curso${n === 1 ? '' : 's'}...`,
+    progressFor:     (codes, college) => `Progreso de ${codes.join(', ')} en ${college}`,
+    countToward:     n => `Sus cursos cuentan para ${n} programa${n === 1 ? '' : 's'}.`,
+    notCounted:      codes => ` No cuentan para ningún programa: ${codes.join(', ')}.`,
+    percentComplete: (percent, done, required) => `${percent}% completado (${done} de ${required} unidades)`,
+    doneCourses:     codes => `Completados: ${codes.join(', ')}`,
+    doneNone:        'Completados: ninguno todavía',
+    groupComplete:   '✔ Completo',
+    stillNeedOf:     (n, codes) => `Faltan ${n} de: ${codes.join(', ')}`,
+    stillNeedUnits:  (n, codes) => `Faltan ${n} unidad${n === 1 ? '' : 'es'} de: ${codes.join(', ')}`,
+    stillNeed:       codes => `Faltan: ${codes.join(', ')}`,
+
+    didYouMeanPrefix: 'Quizás quiso decir ',
+
+    loadingPrograms:     'Cargando programas...',
+    programCount:        n => `${n} programa${n === 1 ? '' : 's'}.`,
+    courseCount:         n => `${n} curso${n === 1 ? '' : 's'}`,
+    officialCatalogPage: 'Página oficial del catálogo',
+    loadingCourses:      'Cargando cursos...',
+    coursesGroup:        'Cursos',
+
+    csvCollege:         'Colegio',
+    csvProgram:         'Programa',
+    csvType:            'Tipo',
+    csvAwardType:       'Tipo de título',
+    csvDepartment:      'Departamento',
+    csvCatalogYear:     'Año del catálogo',
+    csvStatus:          'Estado',
+    csvFills:           'Cumple',
+    csvListedAs:        'Aparece como',
+    csvCatalogPage:     'Página del catálogo',
+    csvPercentComplete: 'Porcentaje completado',
+    csvUnitsCompleted:  'Unidades completadas',
+    csvUnitsRequired:   'Unidades requeridas',
+    csvRemaining:       'Cursos que faltan',
+    typeDegree:         'Título',
+    typeCertificate:    'Certificado',
+    statusActive:       'Vigente',
+    statusRetired:      'Descontinuado'
+  },
+
+
+  // ---------------------------------------------------------------------------
+  // 中文（简体）
+  // ---------------------------------------------------------------------------
+  zh: {
+    appTitle:               '课程反向搜索',
+    languageLabel:          '语言：',
+    collegeLabel:           '学院：',
+    intro:                  '选择您的学院，然后在下方输入课程编号，即可找到该课程可计入的所有证书和副学士学位。',
+    formatLabel:            '格式：',
+    formatHelp:             '系代码加课程编号——例如 CNIT 120 或 CS 101。格式无效时会显示错误信息。',
+    courseInputLabel:       '输入课程编号：',
+    courseInputPlaceholder: '例如：CNIT 120',
+    suggestionsLabel:       '课程建议',
+    includeRetired:         '包括已停办的项目',
+    searchButton:           '搜索',
+    transcriptLabel:        '或查看您的进度——输入您已完成的所有课程：',
+    transcriptPlaceholder:  '例如：CNIT 106, CNIT 120, CS 110A',
+    progressButton:         '查看进度',
+    downloadCsv:            '下载 CSV',
+    downloadJson:           '下载 JSON',
+    print:                  '打印',
+    browseHeading:          '浏览项目',
+    departmentLabel:        '系：',
+    allDepartments:         '所有系',
+    awardTypeLabel:         '学位/证书类型：',
+    allAwardTypes:          '所有类型',
+    sortLabel:              '排序：',
+    clockLabel:             '日期和时间：',
+
+    sortPercent:    '完成度最高优先',
+    sortName:       '项目名称',
+    sortDepartment: '系',
+    sortAwardType:  '学位/证书类型',
+
+    invalidFormat:  '格式无效。请输入系代码加课程编号——例如“CNIT 120”或“CS 101”。',
+    searching:      code => `正在搜索“${code}”...`,
+    errorPrefix:    message => `错误：${message}`,
+    didYouMean:     codes => ` 您是不是要找 ${codes.map(c => `“${c}”`).join(' 或 ')}？`,
+    resultsFor:     (code, college) => `${college} ${code} 的搜索结果`,
+    matchesFound:   n => `找到 ${n} 个结果。`,
+    alsoSearched:   list => ` 同时搜索了：${list}。`,
+    offlineCopy:    date => `（来自目录的离线副本，更新于 ${date}。）`,
+    networkError:   '网络错误。无法连接服务器，请重试。',
+    noPrograms:     '没有找到包含该课程的学位或证书。',
+
+    degreesHeading:      n => `学位（${n}）`,
+    certificatesHeading: n => `证书（${n}）`,
+    noFilterMatches:     '没有符合这些筛选条件的项目。',
+    showingCount:        (shown, total) => `显示 ${total} 个项目中的 ${shown} 个。`,
+    retired:             '已停办——不再开设',
+    fillsLabel:          '满足：',
+    listedAs:            code => `在此项目中列为 ${code}`,
+    catalogYear:         year => `${year} 学年目录`,
+
+    coreRequirement: '必修课',
+    electiveUnits:   (units, options) => `选修——从 ${options} 个选项中计入 ${units} 学分`,
+    electivePick:    (count, options) => `选修——从 ${options} 门中选 ${count} 门`,
+    restrictedPick:  (count, options) => `限定选修——从 ${options} 门中选 ${count} 门`,
+    elective:        '选修',
+    unitCount:       n => `${n} 学分`,
+
+    equivalencyCcn: (code, ccn) => `${code} / ${ccn}（${ccn} 是 ${code} 的通用课程编号）`,
+    crossListed:    (code, other) => `${code} / ${other}（跨系同一课程）`,
+
+    enterCourses:    '请至少输入一门已完成的课程。',
+    invalidCodes:    codes => `格式无效：${codes.join(', ')}。请使用系代码加课程编号——例如“CNIT 120”。`,
+    tooManyCourses:  max => `一次最多可检查 ${max} 个课程代码。`,
+    checking:        n => `正在检查 ${n} 门课程...`,
+    progressFor:     (codes, college) => `${college} ${codes.join(', ')} 的进度`,
+    countToward:     n => `您的课程可计入 ${n} 个项目。`,
+    notCounted:      codes => ` 未计入任何项目：${codes.join(', ')}。`,
+    percentComplete: (percent, done, required) => `已完成 ${percent}%（${required} 学分中已修 ${done} 学分）`,
+    doneCourses:     codes => `已完成：${codes.join(', ')}`,
+    doneNone:        '已完成：暂无',
+    groupComplete:   '✔ 已完成',
+    stillNeedOf:     (n, codes) => `还需从以下课程中选 ${n} 门：${codes.join(', ')}`,
+    stillNeedUnits:  (n, codes) => `还需从以下课程中修 ${n} 学分：${codes.join(', ')}`,
+    stillNeed:       codes => `还需：${codes.join(', ')}`,
+
+    didYouMeanPrefix: '您是不是要找 ',
+
+    loadingPrograms:     '正在加载项目...',
+    programCount:        n => `${n} 个项目。`,
+    courseCount:         n => `${n} 门课程`,
+    officialCatalogPage: '官方目录页面',
+    loadingCourses:      '正在加载课程...',
+    coursesGroup:        '课程',
+
+    csvCollege:         '学院',
+    csvProgram:         '项目',
+    csvType:            '类别',
+    csvAwardType:       '学位/证书类型',
+    csvDepartment:      '系',
+    csvCatalogYear:     '目录年份',
+    csvStatus:          '状态',
+    csvFills:           '满足',
+    csvListedAs:        '列为',
+    csvCatalogPage:     '目录页面',
+    csvPercentComplete: '完成百分比',
+    csvUnitsCompleted:  '已修学分',
+    csvUnitsRequired:   '所需学分',
+    csvRemaining:       '尚缺课程',
+    typeDegree:         '学位',
+    typeCertificate:    '证书',
+    statusActive:       '开设中',
+    statusRetired:      '已停办'
+  }
+};
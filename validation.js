@@ -0,0 +1,159 @@
+// =============================================================================
+// validation.js
+// Input rules shared by the page and every backend route that reads a
+// course code, a college, a date or a page of results.
+//
+// PURPOSE:
+//   script.js (in the browser), server.js (the original routes) and
+//   api-v1.js (the versioned API) all import their rules from here, so they
+//   cannot drift apart — a course code the page accepts is one POST /search
+//   accepts, and GET /api/v1/search too.
+//
+//   The browser loads this file as an ES module next to script.js, so it
+//   must stay plain JavaScript: no Node.js imports (fs, path, ...) and no
+//   packages from npm.
+// =============================================================================
+
+
+// -----------------------------------------------------------------------------
+// CONSTANTS
+// -----------------------------------------------------------------------------
+
+export const COURSE_REGEX = /^[A-Za-z]{2,4}\s(C\d{4}|\d{1,4}[A-Za-z]?)$/;
+// Pattern breakdown:
+//   ^             — Start anchor. Match must begin at character 1.
+//   [A-Za-z]{2,4} — 2 to 4 letters. Department codes: CS, CNIT, MATH, PSYC.
+//   \s            — Exactly one whitespace character (required separator).
+//   (...)         — Alternation group: matches EITHER the CCN format OR the
+//                   traditional format. The two branches are:
+//
+//   Branch 1 — Common Course Numbering (CCN) format, per AB 1111 (Fall 2025+):
+//   C\d{4}        — A literal "C" (for "Common") followed by exactly 4 digits.
+//                   CCN course numbers run from 1000 through 4000.
+//                   The "C" must be uppercase; colleges print CCN numbers
+//                   with an uppercase "C".
+//                   Examples: C1000, C1001, C4000
+//                   Full input examples: PSYC C1000, ENGL C1001, STAT C1000
+//
+//   Branch 2 — Traditional (pre-CCN) course number format:
+//   \d{1,4}       — 1 to 4 digits. Course numbers: 1, 80, 101, 9999.
+//   [A-Za-z]?     — 0 or 1 optional trailing letter suffix, e.g. "A".
+//                   Full input examples: CS 101, CNIT 120, MATH 80, BIOL 11A
+//
+//   $             — End anchor. Nothing may follow the last character.
+//
+// WHY an alternation group and not a simpler pattern?
+//   The CCN format introduces an alphabetic character ("C") in the position
+//   where the old format expects a digit. The two formats are mutually
+//   exclusive at that position, so a single linear pattern cannot cover both
+//   without becoming overly permissive (e.g., accepting "MATH A101" which is
+//   not a valid course code in either system).
+
+export const DEPARTMENT_REGEX = /^[A-Za-z]{2,4}$/;
+// The department part of a course code on its own: 'CNIT', 'PSYC'.
+
+export const INSTITUTION_REGEX = /^[a-z][a-z0-9-]{1,31}$/;
+// A college id: 'ccsf', 'skyline', 'de-anza'. The same id names the
+// college's parser plugin (parsers/ccsf.js) and fixtures folder
+// (fixtures/ccsf/), so it is kept to characters safe in a file name.
+
+export const DEFAULT_INSTITUTION = 'ccsf';
+// The college a request means when it does not name one. Requests from
+// before colleges could be chosen keep getting CCSF results, as they always
+// did; schema.sql gives existing catalog rows the same id.
+
+export const MAX_TRANSCRIPT_COURSES = 100;
+// Upper limit on the number of course codes accepted by one progress check.
+// A full two-year transcript is around 20-30 courses; the limit stops a
+// single request from sending thousands of codes into one query.
+
+export const DEFAULT_PAGE_SIZE = 50;
+export const MAX_PAGE_SIZE = 200;
+// Page sizes for paginated /api/v1 lists. 200 covers every program a
+// college like CCSF offers in one request while still bounding the size of
+// a response.
+
+
+// -----------------------------------------------------------------------------
+// FUNCTION: isCourseCode(value)
+// PURPOSE:  True if value is a string in one of the accepted course code
+//           formats. Surrounding whitespace is ignored.
+// -----------------------------------------------------------------------------
+
+export function isCourseCode(value) {
+  return typeof value === 'string' && COURSE_REGEX.test(value.trim());
+}
+
+
+// -----------------------------------------------------------------------------
+// FUNCTION: normalizeCode(value)
+// PURPOSE:  The form course codes are stored in: "  cnit 120 " → "CNIT 120".
+//           Call only after isCourseCode(value) has passed.
+// -----------------------------------------------------------------------------
+
+export function normalizeCode(value) {
+  return value.trim().toUpperCase();
+}
+
+
+// -----------------------------------------------------------------------------
+// FUNCTION: parseInstitution(value)
+// PURPOSE:  The college id a request asked for, lower-cased: "CCSF" → "ccsf".
+//           A missing value (undefined, null or '') means DEFAULT_INSTITUTION;
+//           anything that is not a well-formed id returns null. Whether the
+//           college actually has a catalog is for the route to check against
+//           listInstitutions().
+// -----------------------------------------------------------------------------
+
+export function parseInstitution(value) {
+  if (value === undefined || value === null || value === '') {
+    return DEFAULT_INSTITUTION;
+  }
+  if (typeof value !== 'string') {
+    return null;
+  }
+  const id = value.trim().toLowerCase();
+  return INSTITUTION_REGEX.test(id) ? id : null;
+}
+
+
+// -----------------------------------------------------------------------------
+// FUNCTION: isCalendarDate(value)
+// PURPOSE:  True for a real date written as YYYY-MM-DD. The regex rejects
+//           anything that is not a plain calendar date; the round trip
+//           through Date then rejects impossible dates such as 2026-13-45
+//           and 2026-02-30 (which Date would roll over to March 2).
+// -----------------------------------------------------------------------------
+
+export function isCalendarDate(value) {
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return false;
+  }
+  const date = new Date(value);
+  return !isNaN(date) && date.toISOString().startsWith(value);
+}
+
+
+// -----------------------------------------------------------------------------
+// FUNCTION: parsePage(query)
+// PURPOSE:  Reads ?limit= and ?offset= from a parsed query string.
+//           Returns { limit, offset }, or null if either is not a whole
+//           number in range. Missing values fall back to the defaults:
+//             {}                        → { limit: 50, offset: 0 }
+//             { limit: '10', offset: '20' } → { limit: 10, offset: 20 }
+//             { limit: '500' }          → null
+// -----------------------------------------------------------------------------
+
+export function parsePage(query) {
+  const { limit = String(DEFAULT_PAGE_SIZE), offset = '0' } = query;
+
+  if (!/^\d{1,9}$/.test(limit) || !/^\d{1,9}$/.test(offset)) {
+    return null;
+    // Also rejects arrays (?limit=1&limit=2), which are not strings.
+  }
+  if (Number(limit) < 1 || Number(limit) > MAX_PAGE_SIZE) {
+    return null;
+  }
+
+  return { limit: Number(limit), offset: Number(offset) };
+}